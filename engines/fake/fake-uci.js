@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+//
+// fake-uci.js
+//
+// A scripted UCI engine for trying out the engine features (sessions, analysis, matches) without a real engine.
+// It does not search: it mates in one if it can, else it takes the most valuable piece, and makes up a score
+// from the material balance. "Skill Level" (0..20) is the chance in 20 to play that move instead of a random one,
+// so two configurations of it make a match with a stronger and a weaker side.
+//
+// Registered as "fake" in src/config/engines.json (Linux and macOS, the file must be executable).
+//
+
+const readline = require('readline');
+const { Chess } = require('chess.js');
+
+const pieceValues = { p: 100, n: 300, b: 300, r: 500, q: 900, k: 0 };
+
+let chess = new Chess();
+let skill = 20;
+let multipv = 1;
+
+const send = (line) => process.stdout.write(line + '\n');
+
+// Material balance from the side to move
+const _material = () => {
+  let balance = 0;
+  for (const row of chess.board()) {
+    for (const square of row) {
+      if (square) {
+        balance += (square.color === chess.turn() ? 1 : -1) * pieceValues[square.type];
+      }
+    }
+  }
+  return balance;
+};
+
+const _uci = (move) => move.from + move.to + (move.promotion || '');
+
+const _search = (depth) => {
+  const moves = chess.moves({ verbose: true });
+  if (moves.length === 0) {
+    send(`info depth 0 score ${chess.isCheckmate() ? 'mate 0' : 'cp 0'}`);
+    send('bestmove (none)');
+    return;
+  }
+
+  // Mate first, then the best capture, the rest in random order
+  const gain = (move) => (move.san.endsWith('#') ? 10000 : move.captured ? pieceValues[move.captured] : 0);
+  const ranked = moves
+    .map(move => ({ move, gain: gain(move), random: Math.random() }))
+    .sort((a, b) => b.gain - a.gain || a.random - b.random);
+  if (Math.random() * 20 >= skill) {
+    const index = Math.floor(Math.random() * ranked.length);
+    [ranked[0], ranked[index]] = [ranked[index], ranked[0]];
+  }
+
+  const score = _material();
+  ranked.slice(0, multipv).forEach(({ move, gain }, index) => {
+    send(`info depth ${depth} seldepth ${depth} multipv ${index + 1} score cp ${score + gain} nodes ${moves.length} nps 1000 time 1 pv ${_uci(move)}`);
+  });
+  send(`bestmove ${_uci(ranked[0].move)}`);
+};
+
+const _position = (tokens) => {
+  const movesIndex = tokens.indexOf('moves');
+  const end = movesIndex < 0 ? tokens.length : movesIndex;
+  chess = new Chess(tokens[1] === 'fen' ? tokens.slice(2, end).join(' ') : undefined);
+  if (movesIndex >= 0) {
+    for (const uci of tokens.slice(movesIndex + 1)) {
+      chess.move({ from: uci.slice(0, 2), to: uci.slice(2, 4), promotion: uci[4] });
+    }
+  }
+};
+
+readline.createInterface({ input: process.stdin }).on('line', (line) => {
+  const tokens = line.trim().split(/\s+/);
+
+  switch (tokens[0]) {
+    case 'uci':
+      send('id name FakeUCI 1.0');
+      send('id author Juris Chess Sanctuary');
+      send('option name Skill Level type spin default 20 min 0 max 20');
+      send('option name MultiPV type spin default 1 min 1 max 10');
+      send('uciok');
+      break;
+    case 'isready':
+      send('readyok');
+      break;
+    case 'setoption': {
+      const match = line.match(/^setoption name (.+) value (.+)$/);
+      if (match && match[1] === 'Skill Level') skill = Number(match[2]);
+      if (match && match[1] === 'MultiPV') multipv = Number(match[2]);
+      break;
+    }
+    case 'ucinewgame':
+      chess = new Chess();
+      break;
+    case 'position':
+      _position(tokens);
+      break;
+    case 'go': {
+      const depthIndex = tokens.indexOf('depth');
+      _search(depthIndex > 0 ? Number(tokens[depthIndex + 1]) : 1);
+      break;
+    }
+    case 'quit':
+      process.exit(0);
+  }
+});
@@ -22,6 +22,15 @@ const isPortInUse = require("./src/utils/checkPort");
 const userRouter = require("./src/routes/userRouter");
 const pgnRouter = require("./src/routes/pgnRouter");
 const stockfishRouter = require("./src/routes/stockfishRouter");
+const playRouter = require("./src/routes/playRouter");
+const jobRouter = require("./src/routes/jobRouter");
+const explorerRouter = require("./src/routes/explorerRouter");
+const playerRouter = require("./src/routes/playerRouter");
+const eventRouter = require("./src/routes/eventRouter");
+const positionRouter = require("./src/routes/positionRouter");
+
+// Job subsystem: the handlers are registered by the controllers the routers above load
+const { startJobQueue } = require("./src/utils/jobQueue");
 
 
 
@@ -84,6 +93,15 @@ async function main() {
     app.use(`${basePath}/userrouter`, userRouter);    
     app.use(`${basePath}/pgnrouter`, pgnRouter);    
     app.use(`${basePath}/stockfishrouter`, stockfishRouter);    
+    app.use(`${basePath}/playrouter`, playRouter);
+    app.use(`${basePath}/jobrouter`, jobRouter);
+    app.use(`${basePath}/explorerrouter`, explorerRouter);
+    app.use(`${basePath}/playerrouter`, playerRouter);
+    app.use(`${basePath}/eventrouter`, eventRouter);
+    app.use(`${basePath}/positionrouter`, positionRouter);
+
+    // Start working on the queued jobs (and those interrupted by the last shutdown)
+    await startJobQueue();
 
     // This lists all the endpoints defined so far
     // as an array of objects.
@@ -0,0 +1,240 @@
+//
+// analysisController.js
+//
+// Full-game engine analysis of the games stored in PgnSchema.
+//
+
+const PgnSchema = require('../schemas/pgnSchema');
+const { validate: isUuid } = require('uuid');
+
+const { isPoolFull, poolSize, createSession, useSession, closeSession } = require('../utils/engineSessions');
+const { analyzeGame } = require('../utils/gameAnalysis');
+const { getSearchParams, hasSearchLimits } = require('../utils/engineSearch');
+const { cachedSearch } = require('../utils/evalCache');
+const { FENstartposition, replayMoves } = require('../utils/chessUtils');
+const { registerJobHandler, submitJob } = require('../utils/jobQueue');
+
+// Default search depth per position
+const defaultDepth = 16;
+
+//
+// INTERNAL: _getLimits
+//
+// Either a fixed depth or a fixed time (ms) per position. Depth wins if both are given.
+//
+const _getLimits = (body) => {
+  const depth = parseInt(body.depth);
+  const movetime = parseInt(body.movetime);
+
+  if (depth > 0) {
+    return { depth };
+  }
+  if (movetime > 0) {
+    return { movetime };
+  }
+  return { depth: defaultDepth };
+};
+
+//
+// analyzePgnImpl
+//
+// Runs the analysis in an engine session of its own and stores the result in PgnSchema.analysis.
+//
+// parameters: pgn_id, options { engine, options (UCI), depth | movetime }, onProgress (optional)
+//
+// returns: the updated PgnSchema document, null if there is no such game
+//
+const analyzePgnImpl = async (pgn_id, options = {}, onProgress) => {
+  const pgn = await PgnSchema.findOne({ pgn_id });
+  if (!pgn) {
+    return null;
+  }
+
+  const session = await createSession(options.engine, options.options || {});
+  try {
+    const analysis = await useSession(session, s => analyzeGame(s, pgn, _getLimits(options), onProgress, options.cache !== false));
+    pgn.analysis = analysis;
+    await pgn.save();
+    return pgn;
+  } finally {
+    await closeSession(session.id);
+  }
+};
+
+//
+// INTERNAL: _validateGameLimits
+//
+const _validateGameLimits = (params) => {
+  for (const name of ['depth', 'movetime']) {
+    if (params[name] !== undefined && !(parseInt(params[name]) > 0)) {
+      throw new Error(`${name} must be a positive integer.`);
+    }
+  }
+};
+
+//
+// Job handlers, see src/utils/jobQueue.js
+//
+// position: { fen, moves, engine, options, cache, ...search parameters of /engine/move }
+// game:     { pgn_id, engine, options, cache, depth | movetime }
+// batch:    { pgn_ids: [...], engine, options, cache, depth | movetime }
+//
+
+const _validatePositionJob = (params) => {
+  const search = getSearchParams(params);
+  if (!hasSearchLimits(search.limits)) {
+    throw new Error('A position job needs a search limit (depth, movetime, nodes, ...).');
+  }
+  replayMoves(params.fen || FENstartposition, params.moves || []);
+};
+
+const _runPositionJob = async (params, context) => {
+  const fen = params.fen || FENstartposition;
+  const plies = replayMoves(fen, params.moves || []);
+  const search = getSearchParams(params);
+
+  const session = await createSession(params.engine, params.options || {});
+  try {
+    context.progress(0, 1);
+    const result = await useSession(session, async () => {
+      session.engine.position({ fen, moves: plies.map(ply => ply.uci) });
+      session.fen = plies.length > 0 ? plies[plies.length - 1].fen : fen;
+      return cachedSearch(session, search, params.cache !== false);
+    });
+    context.progress(1, 1);
+    return { fen: session.fen, ...result };
+  } finally {
+    await closeSession(session.id);
+  }
+};
+
+const _validateGameJob = (params) => {
+  if (!isUuid(params.pgn_id)) {
+    throw new Error('pgn_id is missing or invalid.');
+  }
+  _validateGameLimits(params);
+};
+
+const _runGameJob = async (params, context) => {
+  const pgn = await analyzePgnImpl(params.pgn_id, params, context.progress);
+  if (!pgn) {
+    throw new Error(`PGN ${params.pgn_id} not found`);
+  }
+  return { pgn_id: pgn.pgn_id, white: pgn.analysis.white, black: pgn.analysis.black };
+};
+
+const _validateBatchJob = (params) => {
+  if (!Array.isArray(params.pgn_ids) || params.pgn_ids.length === 0 || !params.pgn_ids.every(isUuid)) {
+    throw new Error('pgn_ids must be a non-empty array of pgn_ids.');
+  }
+  _validateGameLimits(params);
+};
+
+// Games that fail do not stop the batch, they are reported in the result
+const _runBatchJob = async (params, context) => {
+  const games = [];
+  for (const [index, pgn_id] of params.pgn_ids.entries()) {
+    context.progress(index, params.pgn_ids.length);
+    try {
+      const pgn = await analyzePgnImpl(pgn_id, params, () => context.checkpoint());
+      games.push(pgn ? { pgn_id, status: 'analyzed' } : { pgn_id, status: 'failed', error: 'PGN not found' });
+    } catch (error) {
+      if (error.cancelled || error.poolFull) {
+        throw error;
+      }
+      games.push({ pgn_id, status: 'failed', error: error.message });
+    }
+  }
+  context.progress(params.pgn_ids.length, params.pgn_ids.length);
+  return { analyzed: games.filter(game => game.status === 'analyzed').length, games };
+};
+
+registerJobHandler('position', _runPositionJob, { validate: _validatePositionJob });
+registerJobHandler('game', _runGameJob, { validate: _validateGameJob });
+registerJobHandler('batch', _runBatchJob, { validate: _validateBatchJob });
+
+//
+// POST: /pgn/:pgn_id/analysis
+//
+// Summary: Evaluates every ply of the stored game with the engine and stores the result with the game.
+//
+// Body (all optional):
+//{
+//  "engine": "stockfish",   // name in the engine registry
+//  "depth": 16,             // search depth per position (default 16), or
+//  "movetime": 500,         // search time per position in ms
+//  "options": { "Threads": 2, "Hash": 256 },
+//  "cache": false,          // do not take evaluations from the evaluation cache
+//  "async": true            // run it as job: respond 202 with the job, poll GET /jobs/:id for the progress
+//}
+//
+const analyzePgn = async (req, res) => {
+  try {
+    const { pgn_id } = req.params;
+
+    // Validate UUID format
+    if (!isUuid(pgn_id)) {
+      return res.status(400).json({ message: 'Invalid pgn_id format in analyzePgn' });
+    }
+
+    try {
+      _validateGameLimits(req.body);
+    } catch (error) {
+      return res.status(400).json({ message: 'Invalid analysis parameters', error: error.message });
+    }
+
+    if (req.body.async) {
+      const { async, ...params } = req.body;
+      const job = await submitJob('game', { ...params, pgn_id });
+      return res.status(202).json({ message: 'PGN analysis queued', job });
+    }
+
+    if (isPoolFull()) {
+      return res.status(503).json({ message: `All ${poolSize()} engine sessions are in use, try again later.` });
+    }
+
+    const pgn = await analyzePgnImpl(pgn_id, req.body);
+    if (!pgn) {
+      return res.status(404).json({ message: 'PGN not found' });
+    }
+
+    res.status(200).json({ message: 'PGN analyzed successfully', pgn_id, analysis: pgn.analysis });
+  } catch (error) {
+    console.error('Failed to analyze PGN:', error);
+    res.status(500).json({ message: 'Error analyzing PGN', error: error.message });
+  }
+};
+
+//
+// GET: /pgn/:pgn_id/analysis
+//
+// Summary: Returns the stored analysis of the game, 404 if the game has not been analyzed yet.
+//
+const getPgnAnalysis = async (req, res) => {
+  try {
+    const { pgn_id } = req.params;
+
+    // Validate UUID format
+    if (!isUuid(pgn_id)) {
+      return res.status(400).json({ message: 'Invalid pgn_id format in getPgnAnalysis' });
+    }
+
+    const pgn = await PgnSchema.findOne({ pgn_id }, { pgn_id: 1, white: 1, black: 1, result: 1, analysis: 1 }).lean();
+    if (!pgn) {
+      return res.status(404).json({ message: 'PGN not found' });
+    }
+    if (!pgn.analysis) {
+      return res.status(404).json({ message: 'PGN has not been analyzed yet' });
+    }
+
+    res.status(200).json(pgn);
+  } catch (error) {
+    res.status(400).json({ message: 'Error fetching PGN analysis', error: error.message });
+  }
+};
+
+module.exports = {
+  analyzePgn,
+  getPgnAnalysis,
+  analyzePgnImpl
+};
@@ -0,0 +1,200 @@
+//
+// annotationController.js
+//
+// Editing the annotations of the stored games: comments, NAGs and variations at any ply (see src/utils/gameAnnotations.js
+// for the paths that address moves and variations). The game is replayed after every change, so pgnText, the export,
+// has the annotations right away.
+//
+
+const PgnSchema = require('../schemas/pgnSchema');
+const { validate: isUuid } = require('uuid');
+
+const { FENstartposition } = require('../utils/chessUtils');
+const { setComment, setNags, addVariation, promoteVariation, deleteVariation } = require('../utils/gameAnnotations');
+const { snapshotFields, saveWithRevision } = require('../utils/pgnRevisions');
+
+// The moves field holds the JSON of the parser's move objects, '*' (the default) is a game without moves
+const _parseMoves = (moves) => {
+  if (moves === undefined || moves === null || moves === '' || moves === '*') {
+    return [];
+  }
+  const parsed = JSON.parse(moves);
+  if (!Array.isArray(parsed)) {
+    throw new Error('moves is not a list of moves.');
+  }
+  return parsed;
+};
+
+// pgnContent is the parser's game object, records added through /pgns/addpgn may hold anything else
+const _parseContent = (pgnContent) => {
+  try {
+    const parsed = JSON.parse(pgnContent);
+    return parsed && typeof parsed === 'object' ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+//
+// annotatePgnImpl
+//
+// Loads the game, lets edit change its move tree and saves it. The moves of pgnContent are kept the same as moves,
+// the game comment lives in pgnContent only. Every edit is a revision (see src/utils/pgnRevisions.js).
+//
+// parameters: pgn_id, edit (game { moves, gameComment }, startFen) => result, options { user }
+//
+// returns: { pgn, result } (result: what edit returned), null if there is no such game
+//
+const annotatePgnImpl = async (pgn_id, edit, { user = null } = {}) => {
+  const pgn = await PgnSchema.findOne({ pgn_id });
+  if (!pgn) {
+    return null;
+  }
+  const before = snapshotFields(pgn);
+
+  const content = _parseContent(pgn.pgnContent);
+  const game = { moves: _parseMoves(pgn.moves), gameComment: content ? content.gameComment || null : null };
+  const gameComment = JSON.stringify(game.gameComment);
+  const startFen = pgn.setup === '1' && pgn.FEN ? pgn.FEN : FENstartposition;
+
+  const result = edit(game, startFen);
+
+  if (!content && JSON.stringify(game.gameComment) !== gameComment) {
+    throw new Error('The game comment cannot be stored, the game has no parsed pgnContent.');
+  }
+  pgn.moves = JSON.stringify(game.moves, null, 0);
+  if (content) {
+    pgn.pgnContent = JSON.stringify({ ...content, gameComment: game.gameComment, moves: game.moves }, null, 0);
+  }
+  await saveWithRevision(pgn, 'annotate', before, { user });
+  return { pgn, result };
+};
+
+//
+// INTERNAL: _annotate
+//
+// The common part of the handlers: checks pgn_id, runs the edit and responds with the updated game.
+//
+const _annotate = async (req, res, message, edit) => {
+  const { pgn_id } = req.params;
+  if (!isUuid(pgn_id)) {
+    return res.status(400).json({ message: 'Invalid pgn_id format' });
+  }
+
+  try {
+    const annotated = await annotatePgnImpl(pgn_id, edit, { user: req.user ? req.user._id : null });
+    if (!annotated) {
+      return res.status(404).json({ message: 'PGN not found' });
+    }
+    const { pgn, result } = annotated;
+    res.status(200).json({ message, ...(result && { path: result }), pgn });
+  } catch (error) {
+    res.status(400).json({ message: 'Error editing annotations', error: error.message });
+  }
+};
+
+//
+// PUT: setCommentByPgnId
+//
+// Summary: Adds or replaces the comment after a move, or before the first move of the game (the game comment)
+// or of a variation. An empty text deletes the comment.
+//
+// Body:
+//{
+//  "path": "12.1.14",        // the move, see src/utils/gameAnnotations.js
+//  "position": "after",      // or "before", default "after"
+//  "text": "Better was 14. Nf3"
+//}
+//
+// Response: { "message": "Comment saved", "pgn": { ... the updated game, pgnText included } }
+//
+const setCommentByPgnId = async (req, res) => {
+  const { path, position = 'after', text } = req.body;
+  await _annotate(req, res, text ? 'Comment saved' : 'Comment deleted', game => setComment(game, path, position, text));
+};
+
+//
+// DELETE: deleteCommentByPgnId
+//
+// Summary: Deletes a comment, the move's [%clk ...] and other commands stay.
+//
+// Query parameters: path (the move), position ("after" (default) or "before")
+// Example: /pgn/:pgn_id/comment?path=12&position=after
+//
+const deleteCommentByPgnId = async (req, res) => {
+  const { path, position = 'after' } = req.query;
+  await _annotate(req, res, 'Comment deleted', game => setComment(game, path, position, ''));
+};
+
+//
+// PUT: setNagsByPgnId
+//
+// Summary: Sets the NAGs of a move, replacing those it had. Annotation symbols are translated into NAGs.
+// An empty list removes them.
+//
+// Body:
+//{
+//  "path": "23",
+//  "nags": ["?!", "$14"]     // stored and exported as $6 $14
+//}
+//
+const setNagsByPgnId = async (req, res) => {
+  const { path, nags } = req.body;
+  await _annotate(req, res, 'NAGs saved', game => setNags(game, path, nags));
+};
+
+//
+// POST: addVariationByPgnId
+//
+// Summary: Adds a variation as alternative to a move: the moves are played instead of it. They are checked with chess.js,
+// nested variations included, and may carry comments and NAGs.
+//
+// Body:
+//{
+//  "path": "12",                                    // the move the variation is an alternative to
+//  "moves": "6... Nc6 {Natural} 7. Nf3 (7. d5) e5"  // movetext, or a list of moves in SAN: ["Nc6", "Nf3", "e5"]
+//}
+//
+// Response: { "message": "Variation added", "path": "12.2", "pgn": { ... } }, path is the path of the new variation
+//
+const addVariationByPgnId = async (req, res) => {
+  const { path, moves } = req.body;
+  await _annotate(req, res, 'Variation added', (game, startFen) => addVariation(game, startFen, path, moves));
+};
+
+//
+// POST: promoteVariationByPgnId
+//
+// Summary: Promotes a variation: it takes the place of the moves it is an alternative to, which become a variation.
+// A variation of the mainline becomes the mainline, the game is replayed along it.
+//
+// Body: { "path": "12.1" }   // the variation
+//
+const promoteVariationByPgnId = async (req, res) => {
+  const { path } = req.body;
+  await _annotate(req, res, 'Variation promoted', (game, startFen) => promoteVariation(game, startFen, path));
+};
+
+//
+// DELETE: deleteVariationByPgnId
+//
+// Summary: Deletes a variation with all its subvariations, or, for the path of a move in a variation,
+// that move and the rest of the variation.
+//
+// Query parameters: path (the variation, e.g. 12.1, or a move in it, e.g. 12.1.15)
+// Example: /pgn/:pgn_id/variations?path=12.1
+//
+const deleteVariationByPgnId = async (req, res) => {
+  const { path } = req.query;
+  await _annotate(req, res, 'Variation deleted', game => deleteVariation(game, path));
+};
+
+module.exports = {
+  setCommentByPgnId,
+  deleteCommentByPgnId,
+  setNagsByPgnId,
+  addVariationByPgnId,
+  promoteVariationByPgnId,
+  deleteVariationByPgnId,
+  annotatePgnImpl
+};
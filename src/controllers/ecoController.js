@@ -0,0 +1,55 @@
+//
+// ecoController.js
+//
+// ECO codes: The named lines of a code in the bundled table (src/config/eco.tsv, see src/utils/ecoClassifier.js)
+// and how many of the stored games have it.
+//
+
+const PgnSchema = require('../schemas/pgnSchema');
+const { ecoEntries } = require('../utils/ecoClassifier');
+
+//
+// GET: /eco/:code
+//
+// Summary: The named lines of an ECO code (A00 to E99), with their moves and final position, and the number
+// of stored games classified with the code (by tag or by the classifier).
+//
+// Example: /eco/B90
+//
+// Response:
+//{
+//  "eco": "B90",
+//  "opening": "Sicilian Defense",
+//  "games": 1234,
+//  "lines": [{ "name": "Sicilian Defense: Najdorf Variation", "opening": "Sicilian Defense", "variation": "Najdorf Variation",
+//              "moves": "1. e4 c5 2. Nf3 d6 3. d4 cxd4 4. Nxd4 Nf6 5. Nc3 a6", "fen": "...", "plies": 10 }, ...]
+//}
+//
+const getEcoByCode = async (req, res) => {
+  const eco = String(req.params.code).trim().toUpperCase();
+  if (!/^[A-E]\d\d$/.test(eco)) {
+    return res.status(400).json({ message: 'Invalid ECO code', error: 'An ECO code is a letter A to E followed by two digits, e.g. B90.' });
+  }
+
+  try {
+    const entries = ecoEntries(eco);
+    if (entries.length === 0) {
+      return res.status(404).json({ message: `ECO code ${eco} not found` });
+    }
+    const games = await PgnSchema.countDocuments({ eco });
+
+    res.status(200).json({
+      eco,
+      opening: entries[0].opening,
+      games,
+      lines: entries.map(({ name, opening, variation, moves, fen, plies }) => ({ name, opening, variation, moves, fen, plies }))
+    });
+  } catch (error) {
+    console.error('Error in getEcoByCode:', error);
+    res.status(500).json({ message: 'Error getting ECO code', error: error.message });
+  }
+};
+
+module.exports = {
+  getEcoByCode
+};
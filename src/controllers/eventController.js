@@ -0,0 +1,168 @@
+//
+// eventController.js
+//
+// Tournaments: the events of the stored games, and their crosstables and standings (see src/utils/crosstable.js).
+// Events are identified by their names as stored in event.
+//
+
+const PgnSchema = require('../schemas/pgnSchema');
+const { buildCrosstable, crosstableText, crosstableHtml } = require('../utils/crosstable');
+const { rangeConditions, escapeRegex } = require('../utils/normalizedFields');
+const { getPagination } = require('../utils/pagination');
+
+// Page size of the event list: default and maximum
+const defaultLimit = 20;
+const maxLimit = 100;
+
+// The placeholders of unknown events are no events
+const unknownEvents = ['', '?', 'Unknown Event'];
+
+const crosstableFormats = ['json', 'text', 'html'];
+const crosstableTypes = ['auto', 'roundrobin', 'swiss'];
+
+// The date with its normalized start (src/utils/normalizedFields.js) to compare by, null if not even the year is known
+const _knownDate = { $cond: [{ $ne: [{ $ifNull: ['$dateParts.start', null] }, null] }, { start: '$dateParts.start', date: '$date' }, null] };
+
+//
+// GET: /events
+//
+// Summary: The events of the stored games with their date span, number of games and players, latest first.
+//
+// Query parameters (all optional):
+// q      - part of the event name, case-insensitive
+// page   - default 1
+// limit  - default 20, at most 100
+//
+// Response:
+//{
+//  "page": 1, "limit": 20, "total": 2,
+//  "data": [{ "event": "Club Championship 2024", "site": "Zurich", "firstDate": "2024.01.10", "lastDate": "2024.03.06",
+//             "games": 45, "players": 10 }, ...]
+//}
+//
+const getEvents = async (req, res) => {
+  try {
+    const { page, limit, skip } = getPagination(req.query, defaultLimit, maxLimit);
+    const event = req.query.q
+      ? { $regex: new RegExp(escapeRegex(String(req.query.q).trim()), 'i'), $nin: unknownEvents }
+      : { $nin: unknownEvents };
+
+    const [result] = await PgnSchema.aggregate([
+      { $match: { event } },
+      {
+        $group: {
+          _id: '$event',
+          site: { $first: '$site' },
+          firstDate: { $min: _knownDate },
+          lastDate: { $max: _knownDate },
+          games: { $sum: 1 },
+          whitePlayers: { $addToSet: '$white' },
+          blackPlayers: { $addToSet: '$black' }
+        }
+      },
+      { $sort: { 'lastDate.start': -1, _id: 1 } },
+      {
+        $facet: {
+          data: [
+            { $skip: skip },
+            { $limit: limit },
+            {
+              $addFields: {
+                firstDate: '$firstDate.date',
+                lastDate: '$lastDate.date',
+                players: { $size: { $setUnion: ['$whitePlayers', '$blackPlayers'] } }
+              }
+            },
+            { $project: { whitePlayers: 0, blackPlayers: 0 } }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]).allowDiskUse(true);
+
+    res.status(200).json({
+      page,
+      limit,
+      total: result.total.length > 0 ? result.total[0].count : 0,
+      data: result.data.map(({ _id, ...fields }) => ({ event: _id, ...fields }))
+    });
+  } catch (error) {
+    console.error('Error in getEvents:', error);
+    res.status(500).json({ message: 'Error fetching events', error: error.message });
+  }
+};
+
+//
+// GET: /events/:event/crosstable
+//
+// Summary: The crosstable of a round robin, or the standings of a swiss tournament, with points, tiebreaks
+// (Buchholz, Sonneborn-Berger), performance ratings and the pairings of each round.
+// Whether the event is a round robin is found out from the pairings unless type says so.
+//
+// Query parameters (all optional):
+// format  - json (default), text (plain-text table) or html (HTML table)
+// type    - auto (default), roundrobin or swiss
+// site    - only the games played at this site, for events of the same name at different places ...
+// since   - ... or from this date on: 2024, 2024.05 or 2024-05-17 ...
+// until   - ... up to this date, same format (eventSince, eventUntil: by the EventDate, see rangeConditions in
+//           src/utils/normalizedFields.js)
+//
+// Example: /events/Club Championship 2024/crosstable?format=text
+//
+// Response (json):
+//{
+//  "event": "Club Championship 2024", "type": "roundrobin", "players": 10, "games": 45, "rounds": 9,
+//  "standings": [{ "rank": 1, "name": "...", "rating": 2210, "points": 7, "games": 9, "buchholz": 38.5, "sonnebornBerger": 30.25,
+//                  "performance": 2280, "results": [{ "round": 1, "opponent": "...", "opponentRank": 6, "color": "w", "points": 1, "pgn_id": "..." }] }],
+//  "pairings": [{ "round": 1, "games": [{ "board": 1, "white": "...", "black": "...", "result": "1-0", "pgn_id": "..." }] }]
+//}
+//
+const getEventCrosstable = async (req, res) => {
+  const format = req.query.format || 'json';
+  const type = req.query.type || 'auto';
+  if (!crosstableFormats.includes(format) || !crosstableTypes.includes(type)) {
+    return res.status(400).json({
+      message: 'Invalid crosstable parameters',
+      error: `format must be one of ${crosstableFormats.join(', ')}, type one of ${crosstableTypes.join(', ')}.`
+    });
+  }
+
+  const event = String(req.params.event);
+  const filter = { event };
+  if (req.query.site) {
+    filter.site = String(req.query.site);
+  }
+  try {
+    const conditions = rangeConditions(req.query);
+    if (conditions.length > 0) {
+      filter.$and = conditions;
+    }
+  } catch (error) {
+    return res.status(400).json({ message: 'Invalid crosstable parameters', error: error.message });
+  }
+
+  try {
+
+    const games = await PgnSchema.find(filter, { pgn_id: 1, white: 1, black: 1, whiteElo: 1, blackElo: 1, result: 1, round: 1, date: 1 }).lean();
+    if (games.length === 0) {
+      return res.status(404).json({ message: `No games of event ${event} found` });
+    }
+
+    const crosstable = buildCrosstable(event, games, type);
+    if (format === 'text') {
+      return res.status(200).type('text/plain; charset=utf-8').send(crosstableText(crosstable));
+    }
+    if (format === 'html') {
+      return res.status(200).type('text/html; charset=utf-8').send(crosstableHtml(crosstable));
+    }
+    res.status(200).json(crosstable);
+  } catch (error) {
+    console.error('Error in getEventCrosstable:', error);
+    res.status(500).json({ message: 'Error building crosstable', error: error.message });
+  }
+};
+
+module.exports = {
+  getEvents,
+  getEventCrosstable
+};
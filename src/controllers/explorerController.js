@@ -0,0 +1,313 @@
+//
+// explorerController.js
+//
+// Opening explorer: What has been played in a position in the games of PgnSchema, and how did it go.
+//
+// Without filters the statistics are read from ExplorerStatSchema, precomputed per position and move and kept up to
+// date whenever games are stored, changed or deleted (see src/utils/explorerStats.js). The start position costs no
+// more than any other. The most recent games of each move come from an index on PgnSchema.positionMoves.
+//
+// With filters (dates, ratings, player) they are aggregated from the games that reached the position (positionKeys),
+// narrowed down by the indexed normalized fields (src/utils/normalizedFields.js). Requires MongoDB 5.2 or later ($topN).
+//
+
+const PgnSchema = require('../schemas/pgnSchema');
+const ExplorerStatSchema = require('../schemas/explorerStatSchema');
+const { FENstartposition, validateFen, replayMoves, uciLineToSan } = require('../utils/chessUtils');
+const { positionKeys } = require('../utils/positionIndex');
+const { rangeConditions, rangeParams } = require('../utils/normalizedFields');
+const { explorerFields, applyExplorerStats } = require('../utils/explorerStats');
+const { registerJobHandler, submitJob } = require('../utils/jobQueue');
+
+// Top games per move: default and maximum
+const defaultTopGames = 4;
+const maxTopGames = 20;
+
+// Games per batch of the rebuild of the statistics
+const batchSize = () => parseInt(process.env.PGN_IMPORT_BATCH_SIZE) || 500;
+
+// What the explorer shows of a game
+const topGameFields = { _id: 0, pgn_id: 1, white: 1, black: 1, whiteElo: 1, blackElo: 1, result: 1, date: 1, event: 1 };
+
+const _percent = (count, total) => total ? Math.round(count / total * 1000) / 10 : 0;
+
+//
+// INTERNAL: _getPosition
+//
+// The position to explore: fen (default: the initial position), followed by the moves (SAN or UCI,
+// separated by spaces or commas) if there are any.
+//
+// returns: the FEN of the position, throws on an invalid FEN or illegal moves
+//
+const _getPosition = (query) => {
+  const fen = query.fen ? String(query.fen).trim() : FENstartposition;
+  const validation = validateFen(fen);
+  if (!validation.ok) {
+    throw new Error(validation.error);
+  }
+  const moves = query.moves ? String(query.moves).split(/[\s,]+/).filter(move => move) : [];
+  const plies = replayMoves(fen, moves);
+  return plies.length > 0 ? plies[plies.length - 1].fen : fen;
+};
+
+//
+// INTERNAL: _getFilters
+//
+// returns: { match (on the stored fields), minRating, maxRating, filtered (false: none given) }, throws on invalid values
+//
+const _getFilters = (query) => {
+  const match = {};
+
+  // since, until, minElo, ... as in the game search, on the indexed normalized fields
+  const ranges = rangeConditions(query);
+  if (ranges.length > 0) {
+    match.$and = ranges;
+  }
+
+  if (query.player) {
+    const color = query.color;
+    if (color !== undefined && color !== 'white' && color !== 'black') {
+      throw new Error('color must be white or black.');
+    }
+    if (color) {
+      match[color] = String(query.player);
+    } else {
+      match.$or = [{ white: String(query.player) }, { black: String(query.player) }];
+    }
+  }
+
+  const ratings = {};
+  for (const name of ['minRating', 'maxRating']) {
+    if (query[name] !== undefined) {
+      ratings[name] = parseInt(query[name]);
+      if (isNaN(ratings[name])) {
+        throw new Error(`${name} must be a number.`);
+      }
+    }
+  }
+  return { match, ...ratings, filtered: Object.keys(match).length > 0 || Object.keys(ratings).length > 0 };
+};
+
+const _countResult = (result) => ({ $sum: { $cond: [{ $eq: ['$result', result] }, 1, 0] } });
+
+//
+// INTERNAL: _explorerPipeline
+//
+const _explorerPipeline = (fullKey, { match, minRating, maxRating }, topGames) => {
+  const pipeline = [
+    { $match: { positionKeys: fullKey, ...match } },
+    {
+      $project: {
+        pgn_id: 1, white: 1, black: 1, whiteElo: 1, blackElo: 1, result: 1, date: 1, event: 1, dateParts: 1,
+        whiteRating: 1,
+        blackRating: 1,
+        next: { $first: { $filter: { input: '$positionMoves', cond: { $eq: ['$$this.k', fullKey] } } } }
+      }
+    },
+    {
+      $addFields: {
+        // The average rating of the players, if both are known
+        averageRating: {
+          $cond: [{ $and: ['$whiteRating', '$blackRating'] }, { $avg: ['$whiteRating', '$blackRating'] }, null]
+        }
+      }
+    }
+  ];
+
+  if (minRating !== undefined || maxRating !== undefined) {
+    const range = {};
+    if (minRating !== undefined) range.$gte = minRating;
+    if (maxRating !== undefined) range.$lte = maxRating;
+    pipeline.push({ $match: { averageRating: range } });
+  }
+
+  pipeline.push(
+    {
+      $group: {
+        _id: '$next.m', // null: the game ended in the position
+        games: { $sum: 1 },
+        white: _countResult('1-0'),
+        draws: _countResult('1/2-1/2'),
+        black: _countResult('0-1'),
+        ratingSum: { $sum: '$averageRating' },
+        ratingGames: { $sum: { $cond: [{ $eq: [{ $type: '$averageRating' }, 'null'] }, 0, 1] } },
+        topGames: {
+          $topN: {
+            n: topGames,
+            sortBy: { 'dateParts.start': -1, averageRating: -1 },
+            output: {
+              pgn_id: '$pgn_id', white: '$white', black: '$black', whiteElo: '$whiteElo', blackElo: '$blackElo',
+              result: '$result', date: '$date', event: '$event'
+            }
+          }
+        }
+      }
+    },
+    { $sort: { games: -1, _id: 1 } }
+  );
+  return pipeline;
+};
+
+//
+// INTERNAL: _storedGroups
+//
+// The statistics of the position without filters, from ExplorerStatSchema, in the form of the groups of _explorerPipeline
+//
+const _storedGroups = async (fullKey, topGames) => {
+  const stats = await ExplorerStatSchema.find({ key: fullKey, games: { $gt: 0 } }).sort({ games: -1, move: 1 }).lean();
+  return Promise.all(stats.map(async (stat) => ({
+    ...stat,
+    _id: stat.move,
+    topGames: stat.move ? await _topGames(fullKey, stat.move, topGames) : []
+  })));
+};
+
+//
+// INTERNAL: _topGames
+//
+// The most recent games that played move in the position (index on positionMoves and dateParts)
+//
+const _topGames = (fullKey, move, topGames) =>
+  PgnSchema.find({ positionMoves: { $elemMatch: { k: fullKey, m: move } } }, topGameFields)
+    .sort({ 'dateParts.start': -1, _id: -1 })
+    .limit(topGames)
+    .lean();
+
+// Aggregated group -> what the client gets to see
+const _statistics = (group) => ({
+  games: group.games,
+  white: _percent(group.white, group.games),
+  draws: _percent(group.draws, group.games),
+  black: _percent(group.black, group.games),
+  averageRating: group.ratingGames ? Math.round(group.ratingSum / group.ratingGames) : null
+});
+
+//
+// GET: /explorer
+//
+// Summary: All continuations played in the position, with the number of games, the results in percent
+// (white wins, draws, black wins), the average rating of the players and the most recent games of each move.
+//
+// Query parameters (all optional):
+// fen        - the position, default the initial position
+// moves      - moves played from fen, SAN or UCI, separated by spaces or commas: "e4,e5,Nf3"
+// since      - games played from this date on: 2020, 2020.05 or 2020-05-17
+// until      - games played up to this date, same format
+// eventSince, eventUntil, minElo, maxElo, minWhiteElo, ... - as in the game search (GET /pgns)
+// minRating  - the average Elo of both players at least ...
+// maxRating  - ... and at most this (games with an unknown rating do not count then)
+// player     - games of this player ("Carlsen, Magnus"), as White or Black ...
+// color      - ... or with this color only: white | black
+// topGames   - number of games shown per move, default 4, at most 20
+//
+// Example: /explorer?moves=e4 c5 Nf3&since=2015&minRating=2500
+//
+// Response:
+//{
+//  "fen": "...",
+//  "games": 1234, "white": 38.1, "draws": 33.5, "black": 28.4, "averageRating": 2512,
+//  "moves": [{ "uci": "d7d6", "san": "d6", "games": 512, "white": 37.3, "draws": 34.8, "black": 27.9,
+//              "averageRating": 2530, "topGames": [{ "pgn_id": "...", "white": "...", ... }] }, ...]
+//}
+// Without filters the statistics are the precomputed ones (see rebuildExplorerStats).
+//
+const getExplorer = async (req, res) => {
+  let fen;
+  let filters;
+  try {
+    fen = _getPosition(req.query);
+    filters = _getFilters(req.query);
+  } catch (error) {
+    return res.status(400).json({ message: 'Invalid explorer parameters', error: error.message });
+  }
+  const topGames = Math.min(Math.max(parseInt(req.query.topGames) || defaultTopGames, 1), maxTopGames);
+
+  try {
+    const fullKey = positionKeys(fen).f;
+    const groups = filters.filtered
+      ? await PgnSchema.aggregate(_explorerPipeline(fullKey, filters, topGames))
+      : await _storedGroups(fullKey, topGames);
+
+    const counters = ['games', 'white', 'draws', 'black', 'ratingSum', 'ratingGames'];
+    const total = Object.fromEntries(counters.map(counter => [counter, groups.reduce((sum, group) => sum + group[counter], 0)]));
+
+    const moves = groups
+      .filter(group => group._id)
+      .map(group => ({
+        uci: group._id,
+        san: uciLineToSan(fen, [group._id])[0] || null,
+        ..._statistics(group),
+        topGames: group.topGames
+      }));
+
+    res.status(200).json({
+      fen,
+      ..._statistics(total),
+      moves
+    });
+  } catch (error) {
+    console.error('Error in getExplorer:', error);
+    res.status(500).json({ message: 'Error exploring position', error: error.message });
+  }
+};
+
+//
+// rebuildExplorerStatsImpl
+//
+// Counts the explorer statistics of all stored games from scratch (see src/utils/explorerStats.js), e.g. for the
+// games stored before the statistics existed. Games stored or changed while the job runs may be counted twice or not
+// at all, as with the other collection-wide jobs run it when nothing is imported.
+//
+// parameters: context (job context)
+//
+// returns: { games, statistics (number of statistics documents) }
+//
+const rebuildExplorerStatsImpl = async (context) => {
+  const total = await PgnSchema.countDocuments();
+  await ExplorerStatSchema.deleteMany({});
+
+  let games = 0;
+  let batch = [];
+  const cursor = PgnSchema.find({}, explorerFields.join(' ')).select('+positionKeys +positionMoves').lean().cursor();
+  for await (const game of cursor) {
+    batch.push(game);
+    games++;
+    if (batch.length >= batchSize()) {
+      await applyExplorerStats([], batch);
+      batch = [];
+      context.progress(games, total);
+    }
+  }
+  if (batch.length > 0) {
+    await applyExplorerStats([], batch);
+  }
+  context.progress(total, total);
+
+  const statistics = await ExplorerStatSchema.countDocuments();
+  console.log(`Explorer statistics rebuilt: ${games} games, ${statistics} statistics`);
+  return { games, statistics };
+};
+
+registerJobHandler('explorer', (params, context) => rebuildExplorerStatsImpl(context), { engines: 0 });
+
+//
+// POST: rebuildExplorerStats
+//
+// Summary: Queues the rebuild of the explorer statistics (see rebuildExplorerStatsImpl). Responds 202 with the job,
+// GET /jobs/:id shows the progress. Runs without a time budget, the whole collection is counted in one go.
+//
+const rebuildExplorerStats = async (req, res) => {
+  try {
+    const job = await submitJob('explorer', {}, 0);
+    res.status(202).json({ message: 'Explorer statistics rebuild queued', job });
+  } catch (error) {
+    console.error('Error in rebuildExplorerStats:', error);
+    res.status(500).json({ message: 'Error queueing explorer statistics rebuild', error: error.message });
+  }
+};
+
+module.exports = {
+  getExplorer,
+  rebuildExplorerStats,
+  rebuildExplorerStatsImpl
+};
@@ -0,0 +1,136 @@
+//
+// jobController.js
+//
+// The API of the job subsystem (src/utils/jobQueue.js). The job types are registered by the controllers
+// doing the work, e.g. analysisController registers "position", "game" and "batch".
+//
+
+const JobSchema = require('../schemas/jobSchema');
+const { validate: isUuid } = require('uuid');
+const { getJobTypes, submitJob, cancelJob } = require('../utils/jobQueue');
+
+//
+// POST: /jobs
+//
+// Body:
+//{
+//  "type": "batch",                                    // see GET /jobs/types, internal types such as "import" are refused
+//  "params": { "pgn_ids": ["...", "..."], "depth": 14 },
+//  "timeBudgetMs": 600000                              // optional, default JOB_TIME_BUDGET_MS (30 minutes)
+//}
+//
+const createJob = async (req, res) => {
+  const { type, params, timeBudgetMs } = req.body;
+
+  if (timeBudgetMs !== undefined && !(Number.isInteger(timeBudgetMs) && timeBudgetMs >= 0)) {
+    return res.status(400).json({ message: 'timeBudgetMs must be a non-negative integer' });
+  }
+
+  // The import of an uploaded file and the like are started by their own routes, with parameters the server sets
+  if (getJobTypes().includes(type) && !getJobTypes({ internal: false }).includes(type)) {
+    return res.status(400).json({ message: 'Error submitting job', error: `Jobs of type "${type}" cannot be submitted here. Types: ${getJobTypes({ internal: false }).join(', ')}` });
+  }
+
+  let job;
+  try {
+    job = await submitJob(type, params || {}, timeBudgetMs);
+  } catch (error) {
+    // Unknown types and invalid parameters are the client's fault, database errors are not
+    const status = error.name === 'MongooseError' || error.name === 'MongoServerError' ? 500 : 400;
+    return res.status(status).json({ message: 'Error submitting job', error: error.message });
+  }
+
+  res.status(201).json({ message: 'Job queued', job });
+};
+
+//
+// GET: /jobs/types
+//
+const getJobTypeList = async (req, res) => {
+  res.status(200).json({ types: getJobTypes({ internal: false }) });
+};
+
+//
+// GET: /jobs
+//
+// Lists the jobs, newest first. Query parameters: status, type, page, limit (default 1, 10)
+//
+const getJobs = async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 10;
+    const page = parseInt(req.query.page) || 1;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.type) filter.type = req.query.type;
+
+    // The results can be big (full-game analyses), fetch the job itself for them
+    const jobs = await JobSchema.find(filter, { result: 0 }).sort({ createdAt: -1 }).skip(skip).limit(limit).lean();
+    const total = await JobSchema.countDocuments(filter);
+
+    res.status(200).json({ page, limit, total, totalPages: Math.ceil(total / limit), data: jobs });
+  } catch (error) {
+    res.status(400).json({ message: 'Error fetching jobs', error: error.message });
+  }
+};
+
+//
+// GET: /jobs/:id
+//
+// Status, progress and (once completed) the result of a job
+//
+const getJobById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isUuid(id)) {
+      return res.status(400).json({ message: 'Invalid job id format in getJobById' });
+    }
+
+    const job = await JobSchema.findOne({ job_id: id }).lean();
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+    res.status(200).json(job);
+  } catch (error) {
+    res.status(400).json({ message: 'Error fetching job', error: error.message });
+  }
+};
+
+//
+// DELETE: /jobs/:id
+//
+// Cancels a job. Queued jobs are cancelled right away (200), running jobs stop at their next
+// progress report (202, poll GET /jobs/:id until the status is "cancelled").
+//
+const deleteJobById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isUuid(id)) {
+      return res.status(400).json({ message: 'Invalid job id format in deleteJobById' });
+    }
+
+    const job = await cancelJob(id);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    if (job.status === 'running') {
+      return res.status(202).json({ message: 'Job is being cancelled', job });
+    }
+    if (job.status !== 'cancelled') {
+      return res.status(409).json({ message: `Job has already ${job.status === 'completed' ? 'completed' : 'failed'}`, job });
+    }
+    res.status(200).json({ message: 'Job cancelled', job });
+  } catch (error) {
+    res.status(400).json({ message: 'Error cancelling job', error: error.message });
+  }
+};
+
+module.exports = {
+  createJob,
+  getJobTypeList,
+  getJobs,
+  getJobById,
+  deleteJobById
+};
@@ -0,0 +1,52 @@
+//
+// matchController.js
+//
+// Engine-vs-engine matches and gauntlets, played as jobs (see src/utils/engineMatch.js and src/utils/jobQueue.js).
+//
+
+const { getMatchConfig, runMatch } = require('../utils/engineMatch');
+const { registerJobHandler, submitJob } = require('../utils/jobQueue');
+
+// A match runs both engines at the same time
+registerJobHandler('match', runMatch, { engines: 2, validate: getMatchConfig });
+
+//
+// POST: /matches
+//
+// Summary: Queues an engine match (two engine configurations) or gauntlet (engines[0] against all the others).
+// Responds 202 with the job, GET /jobs/:id shows the progress and, once completed, the standings:
+// score, Elo difference with error margin (95%), likelihood of superiority and the SPRT verdict per pairing.
+//
+// Body:
+//{
+//  "engines": [
+//    { "engine": "stockfish", "options": { "Skill Level": 5 }, "name": "SF skill 5" },
+//    { "engine": "stockfish", "options": { "Skill Level": 3 }, "name": "SF skill 3" }
+//  ],
+//  "games": 100,                                       // per pairing, colours alternate
+//  "tc": { "base": 10000, "inc": 100 },                // or "depth": 10, "movetime": 100, "nodes": 10000
+//  "openings": { "pgn_ids": ["..."], "plies": 8 },     // or { "fens": [...] }
+//  "sprt": { "elo0": 0, "elo1": 20 },                  // optional, stops the pairing once decided
+//  "timeBudgetMs": 3600000                             // optional, time budget of the job
+//}
+//
+const createMatch = async (req, res) => {
+  const { timeBudgetMs, ...params } = req.body;
+
+  try {
+    getMatchConfig(params);
+  } catch (error) {
+    return res.status(400).json({ message: 'Invalid match parameters', error: error.message });
+  }
+
+  try {
+    const job = await submitJob('match', params, timeBudgetMs);
+    res.status(202).json({ message: 'Match queued', job });
+  } catch (error) {
+    res.status(400).json({ message: 'Error queueing match', error: error.message });
+  }
+};
+
+module.exports = {
+  createMatch
+};
@@ -3,12 +3,28 @@
 //
 
 const PgnSchema = require('../schemas/pgnSchema');
+const UserSchema = require('../schemas/UserSchema');
 const pgnParser = require('@mliebelt/pgn-parser');
 const { validate: isUuid, v4: uuidv4 } = require('uuid'); // Import v4 for UUID generation
 
 // REVIEW: Refactor into middlwware?
 const multer = require('multer');
 const fs = require('fs');
+const path = require('path');
+
+const { readPgnGames, parseGame } = require('../utils/pgnStream');
+const { registerJobHandler, submitJob } = require('../utils/jobQueue');
+const { gameFingerprint, mergeGameData, mergeableFields } = require('../utils/pgnDuplicates');
+const { gameToPgn, writeGames } = require('../utils/pgnWriter');
+const { replayGame, replayVersion } = require('../utils/gameReplay');
+const { ecoFields } = require('../utils/ecoClassifier');
+const { snapshotFields, recordRevision, discardRevisions, saveWithRevision, bulkWriteWithRevisions } = require('../utils/pgnRevisions');
+const { readJsonGames } = require('../utils/jsonGames');
+const { importFormats, extensionFormats, detectImportFormat } = require('../utils/importFormats');
+const { importEpdFileImpl } = require('./positionController');
+const { repairGame } = require('../utils/gameValidation');
+const { normalizedFields, rangeConditions, rangeParams } = require('../utils/normalizedFields');
+const { explorerFields, updateExplorerStats } = require('../utils/explorerStats');
 
 //
 // INTERNAL: _getNumberOfGamesFromPGN (Helper function)
@@ -27,6 +43,50 @@ const _getNumberOfGamesFromPGN = (pgn) => {
   }
 };
 
+//
+// pgnGameToGameData
+//
+// Maps one game as it comes out of the parser onto the PgnSchema fields.
+//
+// parameters: game (one element of pgnParser.parse())
+//
+// returns: the game data object, ready for new PgnSchema(gameData), with the game already replayed
+// (pgnText, plies, replay, see src/utils/gameReplay.js) and classified if it has no ECO tag
+//
+const pgnGameToGameData = (game) => {
+  const gameData = {
+    pgn_id: uuidv4(),
+    // Extracted tags
+    event: game.tags.Event || 'Unknown Event',
+    site: game.tags.Site || 'Unknown Site',
+    date: (game.tags.Date?.value || game.tags.Date) || '????.??.??',
+    round: game.tags.Round || '1',
+    white: game.tags.White || 'Unknown',
+    black: game.tags.Black || 'Unknown',
+    result: game.tags.Result || '*',
+    // Additional properties
+    pgnContent: JSON.stringify(game, null, 0),
+    moves: JSON.stringify(game.moves, null, 0),
+    setup: game.tags.SetUp || game.tags.Setup || '0', // The standard spells it "SetUp"
+    FEN: game.tags.FEN || 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1',
+    annotations: '',
+    eco: game.tags.ECO || '',
+    opening: game.tags.Opening || '',
+    variation: game.tags.Variation || '',
+    ecoSource: game.tags.ECO ? 'tag' : undefined, // without ECO tag the replay classifies the game
+    whiteElo: game.tags.WhiteElo || '',
+    blackElo: game.tags.BlackElo || '',
+    whiteRatingDiff: game.tags.WhiteRatingDiff || '',
+    blackRatingDiff: game.tags.BlackRatingDiff || '',
+    // The parser splits the time control into its periods, e.g. "40/7200:3600" -> two objects with a value each
+    timeControl: [].concat(game.tags.TimeControl || []).map(period => period?.value ?? period).join(':'),
+    termination: game.tags.Termination || '',
+    eventDate: (game.tags.EventDate?.value || game.tags.EventDate) || '????.??.??'
+  };
+  gameData.fingerprint = gameFingerprint(gameData);
+  return Object.assign(gameData, replayGame(gameData));
+};
+
 //
 // Multer setup
 // Base directory for file uploads is the projects root directory
@@ -47,17 +107,19 @@ const storage = multer.diskStorage({
   destination: function (req, file, cb) {
     cb(null, uploadDir);
   },
+  // Prefixed, so two uploads of "twic1500.pgn" do not overwrite each other while they are imported
   filename: function (req, file, cb) {
-    cb(null, file.originalname);
+    cb(null, `${uuidv4()}-${file.originalname}`);
   }
 });
 
-// Multer file filter configuration
+// Multer file filter configuration: PGN, EPD / FEN and NDJSON files (see src/utils/importFormats.js)
 const fileFilter = (req, file, cb) => {
-  if (file.mimetype === 'application/octet-stream' || file.originalname.endsWith('.pgn')) {
+  const extension = path.extname(file.originalname).toLowerCase();
+  if (file.mimetype === 'application/octet-stream' || extensionFormats[extension]) {
     cb(null, true);
   } else {
-    cb(new Error("Only PGN files are allowed"), false);
+    cb(new Error(`Only ${Object.keys(extensionFormats).join(', ')} files are allowed`), false);
   }
 };
 
@@ -67,9 +129,282 @@ const fileFilter = (req, file, cb) => {
 const upload = multer({ storage: storage, fileFilter: fileFilter });
 
 
+//
+// Import of PGN files
+//
+// The upload is imported as a job (type "import", see src/utils/jobQueue.js): The file is read game by game
+// (src/utils/pgnStream.js) and the games are written in batches with insertMany, so even the monthly Lichess
+// dumps do not have to fit into memory. Games that cannot be parsed or stored are reported with their line number.
+// NDJSON game exports (src/utils/jsonGames.js) are imported the same way, each object turned into PGN first.
+// EPD and FEN files are positions, not games, they go to importEpdFileImpl (positionController.js).
+//
+// Environment variables:
+// PGN_IMPORT_BATCH_SIZE - games per insertMany (default 500)
+//
+const importBatchSize = () => parseInt(process.env.PGN_IMPORT_BATCH_SIZE) || 500;
+
+// A file full of broken games must not blow up the job document (16 MB limit), the rest is only counted
+const maxReportedFailures = 1000;
+
+// What to do with games that are already stored (same fingerprint, see src/utils/pgnDuplicates.js):
+// skip  - do not import them (default)
+// merge - fill in what the stored game does not know yet (tags, a richer annotated movetext)
+// keep  - import them anyway
+const duplicateModes = ['skip', 'merge', 'keep'];
+
+//
+// importPgnFileImpl
+//
+// parameters:
+// filePath - the PGN file, or NDJSON file / JSON document for format 'ndjson' (see src/utils/jsonGames.js)
+// options  - { duplicates: 'skip' | 'merge' | 'keep', format: 'pgn' (default) | 'ndjson', repair: true | false }
+// context  - job context (progress, saveProgress, previousProgress), see src/utils/jobQueue.js
+//
+// returns: { games, saved, duplicates, failed, failures: [{ game, line, error, white, black }], failuresTruncated,
+//            flagged, flaggedGames: [{ game, line, pgn_id, ply, error }],
+//            validation: { ok, warning, error, repaired, byCode: { code: number of issues } } }
+// Games with an illegal move are imported, but flagged (replay.status 'failed', see src/utils/gameReplay.js).
+// Every game is validated (src/utils/gameValidation.js), with repair its fixable issues are repaired before it is stored.
+//
+const importPgnFileImpl = async (filePath, options, context) => {
+  const { size } = await fs.promises.stat(filePath);
+  const duplicateMode = options.duplicates || 'skip';
+
+  // An interrupted import continues after the last batch it reported as written
+  const previous = (context.previousProgress && context.previousProgress.details) || {};
+  const resumeAt = previous.committed || 0;
+  const counts = {
+    parsed: resumeAt,
+    saved: previous.saved || 0,
+    duplicates: previous.duplicates || 0,
+    failed: previous.failed || 0,
+    flagged: previous.flagged || 0,
+    validation: previous.validation || { ok: 0, warning: 0, error: 0, repaired: 0, byCode: {} },
+    committed: resumeAt
+  };
+  const failures = previous.failures || [];
+  const flaggedGames = previous.flaggedGames || [];
+  let bytesRead = 0;
+  let batch = new Map(); // fingerprint (or game number for "keep") -> { doc, game, line }
+
+  const fail = (failure) => {
+    counts.failed++;
+    if (failures.length < maxReportedFailures) {
+      failures.push(failure);
+    }
+  };
+
+  // Duplicates of games in the database are skipped or merged into the stored game
+  const _handleStoredDuplicates = async (entries) => {
+    const stored = await PgnSchema.find({ fingerprint: { $in: entries.map(entry => entry.doc.fingerprint) } })
+      .select('-plies -analysis +positionKeys +positionMoves')
+      .lean();
+    const storedByFingerprint = new Map(stored.map(game => [game.fingerprint, game]));
+
+    const merges = [];
+    const merged = [];
+    const remaining = entries.filter(entry => {
+      const storedGame = storedByFingerprint.get(entry.doc.fingerprint);
+      if (!storedGame) {
+        return true;
+      }
+      counts.duplicates++;
+      const updates = duplicateMode === 'merge' ? mergeGameData(storedGame, entry.doc) : {};
+      if (Object.keys(updates).length > 0) {
+        // bulkWrite bypasses the validate hooks, so the derived fields are computed here
+        Object.assign(updates, replayGame({ ...storedGame, ...updates }));
+        merges.push({ updateOne: { filter: { _id: storedGame._id }, update: { $set: updates } } });
+        merged.push({ before: storedGame, after: { ...storedGame, ...updates } });
+      }
+      return false;
+    });
+
+    if (merges.length > 0) {
+      const before = merged.map(game => game.before);
+      const after = merged.map(game => game.after);
+      await bulkWriteWithRevisions(merges, before, after, 'merge');
+      await updateExplorerStats(before, after);
+    }
+    return remaining;
+  };
+
+  const flush = async () => {
+    if (batch.size === 0) {
+      return;
+    }
+    let entries = [...batch.values()];
+    const lastGame = Math.max(...entries.map(entry => entry.game));
+    batch = new Map();
+
+    if (duplicateMode !== 'keep') {
+      entries = await _handleStoredDuplicates(entries);
+    }
+
+    let inserted = entries;
+    try {
+      if (entries.length > 0) {
+        await PgnSchema.insertMany(entries.map(entry => entry.doc), { ordered: false });
+      }
+    } catch (error) {
+      // ordered: false, so everything but the write errors has been inserted
+      if (!error.writeErrors) {
+        throw error;
+      }
+      const writeErrors = [].concat(error.writeErrors);
+      const failed = new Set(writeErrors.map(writeError => writeError.index));
+      inserted = entries.filter((entry, index) => !failed.has(index));
+      for (const writeError of writeErrors) {
+        const entry = entries[writeError.index];
+        fail({ game: entry.game, line: entry.line, error: writeError.errmsg || writeError.message, white: entry.doc.white, black: entry.doc.black });
+      }
+    }
+    counts.saved += inserted.length;
+    await updateExplorerStats([], inserted.map(entry => entry.doc));
+
+    for (const { doc, game, line } of inserted.filter(entry => entry.doc.replay.status === 'failed')) {
+      counts.flagged++;
+      if (flaggedGames.length < maxReportedFailures) {
+        flaggedGames.push({ game, line, pgn_id: doc.pgn_id, ply: doc.replay.ply, error: doc.replay.error });
+      }
+    }
+    counts.committed = lastGame;
+    // The lists go with the counts, so a resumed import still reports the games of its first run
+    await context.saveProgress(bytesRead, size, { ...counts, failures, flaggedGames });
+  };
+
+  const json = options.format === 'ndjson';
+  for await (const gameText of json ? readJsonGames(filePath) : readPgnGames(filePath)) {
+    bytesRead = gameText.bytesRead;
+    const gameNumber = gameText.index + 1;
+    if (gameNumber <= resumeAt) {
+      continue;
+    }
+    counts.parsed++;
+
+    if (gameText.error) {
+      fail({ game: gameNumber, line: gameText.line, error: gameText.error });
+      continue;
+    }
+    let game;
+    try {
+      // The PGN of a JSON game is one line of the file, the line of a syntax error is the one in the PGN then
+      game = parseGame(json ? { text: gameText.text, line: 1 } : gameText);
+    } catch (error) {
+      fail({ game: gameNumber, line: json ? gameText.line : error.line, error: error.message });
+      continue;
+    }
+
+    const doc = new PgnSchema(pgnGameToGameData(game));
+    if (options.repair) {
+      const { updates, repaired } = repairGame(doc, doc.validation);
+      if (repaired.length > 0) {
+        doc.set(updates);
+        doc.set(replayGame(doc));
+        doc.fingerprint = gameFingerprint(doc);
+        counts.validation.repaired++;
+      }
+    }
+    counts.validation[doc.validation.status]++;
+    for (const issue of doc.validation.issues) {
+      counts.validation.byCode[issue.code] = (counts.validation.byCode[issue.code] || 0) + 1;
+    }
+
+    const invalid = doc.validateSync();
+    if (invalid) {
+      fail({ game: gameNumber, line: gameText.line, error: invalid.message, white: doc.white, black: doc.black });
+      continue;
+    }
+
+    // Duplicates within the batch itself
+    const key = duplicateMode === 'keep' ? gameNumber : doc.fingerprint;
+    const pending = batch.get(key);
+    if (pending) {
+      counts.duplicates++;
+      if (duplicateMode === 'merge') {
+        pending.doc.set(mergeGameData(pending.doc, doc));
+        pending.doc.set(replayGame(pending.doc));
+      }
+      continue;
+    }
+
+    batch.set(key, { doc, game: gameNumber, line: gameText.line });
+    if (batch.size >= importBatchSize()) {
+      await flush();
+    }
+  }
+  await flush();
+  context.progress(size, size, { ...counts, failures, flaggedGames });
+
+  console.log(`${json ? 'NDJSON' : 'PGN'} import of ${filePath} completed. Saved games: ${counts.saved}, Duplicates: ${counts.duplicates}, Failed games: ${counts.failed}, Flagged games: ${counts.flagged}`);
+  return {
+    games: counts.saved + counts.duplicates + counts.failed,
+    saved: counts.saved,
+    duplicates: counts.duplicates,
+    duplicateMode,
+    failed: counts.failed,
+    failures,
+    failuresTruncated: counts.failed > failures.length,
+    flagged: counts.flagged,
+    flaggedGames,
+    validation: counts.validation
+  };
+};
+
+// Job handler
+const _runImportJob = async (params, context) => {
+  const importFile = params.format === 'epd' ? importEpdFileImpl : importPgnFileImpl;
+  return { fileName: params.fileName, format: params.format || 'pgn', ...(await importFile(params.filePath, params, context)) };
+};
+
+// Is the file one of the uploads? The import job reads the file and removes it afterwards.
+const _isUploadedFile = (filePath) => {
+  try {
+    const relative = path.relative(fs.realpathSync(uploadDir), fs.realpathSync(filePath));
+    return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+  } catch (error) {
+    return false; // does not exist
+  }
+};
+
+// The import is submitted by the upload routes only (internal), with no time budget: a dump with millions of games
+// takes hours. The upload is removed once the import is over (completed, cancelled or failed), not before: an import
+// interrupted by a server restart resumes after the last batch it wrote (context.previousProgress).
+registerJobHandler('import', _runImportJob, {
+  engines: 0,
+  internal: true,
+  cleanup: (params) =>
+    fs.promises.unlink(params.filePath).catch(error => console.error(`Could not remove ${params.filePath}:`, error.message)),
+  validate: (params) => {
+    if (!params.filePath || !_isUploadedFile(params.filePath)) {
+      throw new Error(`filePath is missing or not a file in the upload directory ${uploadDir}.`);
+    }
+    if (params.duplicates !== undefined && !duplicateModes.includes(params.duplicates)) {
+      throw new Error(`duplicates must be one of ${duplicateModes.join(', ')}.`);
+    }
+    if (params.repair !== undefined && typeof params.repair !== 'boolean') {
+      throw new Error('repair must be true or false.');
+    }
+    if (params.format !== undefined && !importFormats.includes(params.format)) {
+      throw new Error(`format must be one of ${importFormats.join(', ')}.`);
+    }
+  }
+});
+
 //
 // POST: uploadPgnFile
-// 
+//
+// Summary: Queues the import of the uploaded file and responds 202 with the import job. The file may be PGN,
+// EPD / FEN (positions, see positionController.js), an NDJSON game export of Lichess or a monthly archive of Chess.com
+// (JSON), the format is detected from the content and the extension (src/utils/importFormats.js).
+// GET /jobs/:id shows the progress (progress.done/total are bytes, progress.details counts the games or positions
+// parsed, saved, duplicates and failed, and lists the failed games so far) and, once completed, the failed games or
+// positions with their line numbers.
+//
+// Form fields: pgnfile (the file; "file" for POST /import), duplicates ("skip" (default), "merge" or "keep", for games),
+// repair ("true": repair the fixable problems of the games, see src/utils/gameValidation.js)
+//
+// Response: { "message": "NDJSON import queued", "format": "ndjson", "job": { ... } }
+//
 const uploadPgnFile = async (req, res) => {
   try {
     // Check if a file was uploaded
@@ -77,81 +412,444 @@ const uploadPgnFile = async (req, res) => {
       return res.status(400).json({ message: 'No file uploaded' });
     }
 
-    const filePath = req.file.path;
+    const { duplicates } = req.body;
+    if (duplicates !== undefined && !duplicateModes.includes(duplicates)) {
+      fs.promises.unlink(req.file.path).catch(() => {});
+      return res.status(400).json({ message: `duplicates must be one of ${duplicateModes.join(', ')}` });
+    }
+
+    const format = await detectImportFormat(req.file.path, req.file.originalname);
+    if (!format) {
+      fs.promises.unlink(req.file.path).catch(() => {});
+      return res.status(400).json({ message: 'Unknown file format', error: 'The file is neither PGN, EPD / FEN nor NDJSON.' });
+    }
 
-    // Read the uploaded file
-    fs.readFile(filePath, 'utf8', async (err, fileContent) => {
-      if (err) {
-        return res.status(500).json({ message: 'Error reading file' });
-      }
+    const repair = req.body.repair === true || req.body.repair === 'true';
+    const job = await submitJob('import', { filePath: req.file.path, fileName: req.file.originalname, format, duplicates, repair }, 0);
+    res.status(202).json({ message: `${format.toUpperCase()} import queued`, format, job });
+  } catch (error) {
+    console.error('Error in uploadPgnFile:', error);
+    res.status(500).json({ message: 'Error queueing PGN import', error: error.message });
+  }
+};
+
+
+//
+// dedupePgnsImpl
+//
+// Finds the games stored more than once (same fingerprint) and merges every group into its oldest record:
+// the survivor takes over what the duplicates know in addition (see mergeGameData), users who had a duplicate
+// in their pgngames get the survivor instead, and the duplicates are deleted.
+// Records stored before fingerprints existed get theirs first, also in a dry run.
+//
+// parameters: options { dryRun }, context (job context)
+//
+// returns: { fingerprinted, groups, removed, usersUpdated, dryRun, merged: [{ survivor, removed: [pgn_id] }] (first 100) }
+//
+const dedupePgnsImpl = async ({ dryRun = false }, context) => {
+  // 1) Fingerprints for old records
+  let fingerprinted = 0;
+  let updates = [];
+  const unprinted = PgnSchema.find({ fingerprint: { $exists: false } }, { white: 1, black: 1, date: 1, result: 1, setup: 1, FEN: 1, moves: 1 }).lean().cursor();
+  for await (const game of unprinted) {
+    updates.push({ updateOne: { filter: { _id: game._id }, update: { $set: { fingerprint: gameFingerprint(game) } } } });
+    if (updates.length >= importBatchSize()) {
+      await PgnSchema.bulkWrite(updates, { ordered: false });
+      fingerprinted += updates.length;
+      updates = [];
+      context.checkpoint();
+    }
+  }
+  if (updates.length > 0) {
+    await PgnSchema.bulkWrite(updates, { ordered: false });
+    fingerprinted += updates.length;
+  }
+
+  // 2) The groups of duplicates
+  const groups = await PgnSchema.aggregate([
+    { $match: { fingerprint: { $ne: null } } },
+    { $group: { _id: '$fingerprint', ids: { $push: '$_id' }, count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1 } } }
+  ]).allowDiskUse(true);
+
+  // 3) Merge them
+  const report = { fingerprinted, groups: groups.length, removed: 0, usersUpdated: 0, dryRun, merged: [] };
+  for (const [index, group] of groups.entries()) {
+    context.progress(index, groups.length);
+
+    const [survivor, ...duplicates] = await PgnSchema.find({ _id: { $in: group.ids } }).sort({ createdAt: 1, _id: 1 });
+    const before = snapshotFields(survivor);
+    for (const duplicate of duplicates) {
+      survivor.set(mergeGameData(survivor, duplicate));
+    }
+    const duplicateIds = duplicates.map(duplicate => duplicate._id);
 
-      // Parse the PGN content
-      let parsedGames;
+    if (!dryRun) {
+      if (survivor.isModified()) {
+        await saveWithRevision(survivor, 'merge', before);
+      }
+      // Two steps: $addToSet and $pull on the same array in one update are not allowed
+      const { modifiedCount } = await UserSchema.updateMany({ pgngames: { $in: duplicateIds } }, { $addToSet: { pgngames: survivor._id } });
+      const pulled = await UserSchema.updateMany({ pgngames: { $in: duplicateIds } }, { $pull: { pgngames: { $in: duplicateIds } } });
+      report.usersUpdated += Math.max(modifiedCount, pulled.modifiedCount);
+      const deleted = await PgnSchema.find({ _id: { $in: duplicateIds } }, explorerFields.join(' ')).select('+positionKeys +positionMoves').lean();
+      // The duplicates can be restored like any deleted game
+      const revisions = [];
+      for (const duplicate of duplicates) {
+        revisions.push(await recordRevision(duplicate.pgn_id, 'delete', snapshotFields(duplicate), null, { game: duplicate._id }));
+      }
       try {
-        parsedGames = pgnParser.parse(fileContent);
-      } catch (parseError) {
-        console.error('Error parsing PGN:', parseError);
-        return res.status(400).json({ message: 'Error parsing PGN data' });
+        await PgnSchema.deleteMany({ _id: { $in: duplicateIds } });
+      } catch (error) {
+        await discardRevisions(revisions);
+        throw error;
       }
+      await updateExplorerStats(deleted);
+    }
 
-      // Initialize arrays to store saved and failed games
-      const savedGames = [];
-      const failedGames = [];
-
-      // Process each parsed game
-      for (const game of parsedGames) {
-        try {
-          // Construct game data object
-          const gameData = {
-            pgn_id: uuidv4(),
-            // Extracted tags
-            event: game.tags.Event || 'Unknown Event',
-            site: game.tags.Site || 'Unknown Site',
-            date: (game.tags.Date?.value || game.tags.Date) || 'Unknown Date',
-            round: game.tags.Round || '1',
-            white: game.tags.White || 'Unknown',
-            black: game.tags.Black || 'Unknown',
-            result: game.tags.Result || '*',
-            // Additional properties
-            pgnContent: JSON.stringify(game, null, 0),
-            moves: JSON.stringify(game.moves, null, 0),
-            setup: game.tags.Setup || '0',
-            FEN: game.tags.FEN || 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1',
-            annotations: '',
-            eco: game.tags.ECO || '',
-            opening: game.tags.Opening || '',
-            variation: game.tags.Variation || '',
-            whiteElo: game.tags.WhiteElo || '',
-            blackElo: game.tags.BlackElo || '',
-            whiteRatingDiff: game.tags.WhiteRatingDiff || '',
-            blackRatingDiff: game.tags.BlackRatingDiff || '',
-            eventDate: (game.tags.EventDate?.value || game.tags.EventDate) || 'Unknown Date'
-          };
-
-          // Save the game to the database
-          const pgnRecord = new PgnSchema(gameData);
-          const savedGame = await pgnRecord.save();
-          console.log(`Record with pgn_id ${gameData.pgn_id} successfully created`);
-          savedGames.push(savedGame);
-        } catch (saveError) {
-          failedGames.push({ game, error: saveError.message });
-          console.error(saveError.message);
-        }
-      } // End of for loop
-
-      // Log processing summary
-      console.log(`PGN processing completed. Saved games: ${savedGames.length}, Failed games: ${failedGames.length}, Total games: ${parsedGames.length}`);
-
-      // Send response
-      res.status(201).json({ message: 'PGN processing completed', savedGames, failedGames, totalGames: parsedGames.length });
-    });
+    report.removed += duplicates.length;
+    if (report.merged.length < 100) {
+      report.merged.push({ survivor: survivor.pgn_id, removed: duplicates.map(duplicate => duplicate.pgn_id) });
+    }
+  }
+  context.progress(groups.length, groups.length);
+
+  console.log(`Dedupe ${dryRun ? '(dry run) ' : ''}completed: ${report.groups} groups, ${report.removed} duplicates removed`);
+  return report;
+};
+
+registerJobHandler('dedupe', (params, context) => dedupePgnsImpl(params, context), { engines: 0 });
+
+//
+// POST: dedupePgns
+//
+// Summary: Queues the search for duplicate games in the collection and their merge (see dedupePgnsImpl).
+// Responds 202 with the job, GET /jobs/:id shows the progress and the report.
+//
+// Body (optional): { "dryRun": true }   // only report what would be merged
+//
+const dedupePgns = async (req, res) => {
+  try {
+    const job = await submitJob('dedupe', { dryRun: req.body.dryRun === true || req.body.dryRun === 'true' }, 0);
+    res.status(202).json({ message: 'PGN dedupe queued', job });
   } catch (error) {
-    // Catch any synchronous errors
-    console.error('Error in uploadPgnFile:', error);
-    res.status(500).json({ message: 'Internal server error' });
+    res.status(500).json({ message: 'Error queueing PGN dedupe', error: error.message });
+  }
+};
+
+//
+// replayPgnsImpl
+//
+// Replays the stored games (see src/utils/gameReplay.js) and stores pgnText, plies, the replay status and the
+// position index. Without "all" only the games whose derived fields are missing or outdated (replay.version) are done.
+// This is also the backfill of the position search (POST /pgns/search/position); the statistics of the opening explorer
+// (src/utils/explorerStats.js) follow the replayed games.
+//
+// parameters: options { all }, context (job context)
+//
+// returns: { replayed, ok, failed, failedGames: [{ pgn_id, ply, san, error }] (first 100) }
+//
+const replayPgnsImpl = async ({ all = false }, context) => {
+  const filter = all ? {} : { 'replay.version': { $ne: replayVersion } };
+  const total = await PgnSchema.countDocuments(filter);
+  const report = { replayed: 0, ok: 0, failed: 0, failedGames: [] };
+
+  let updates = [];
+  let changed = { before: [], after: [] }; // for the revisions and the explorer statistics
+  const write = async () => {
+    // The replay classifies the games, a changed ECO classification is a revision
+    await bulkWriteWithRevisions(updates, changed.before, changed.after, 'classify');
+    await updateExplorerStats(changed.before, changed.after);
+    report.replayed += updates.length;
+    updates = [];
+    changed = { before: [], after: [] };
+    context.progress(report.replayed, total);
+  };
+
+  const games = PgnSchema.find(filter).select('-plies -analysis +positionKeys +positionMoves').lean().cursor();
+  for await (const game of games) {
+    const derived = replayGame(game);
+    changed.before.push(game);
+    changed.after.push({ ...game, ...derived });
+    if (derived.replay.status === 'ok') {
+      report.ok++;
+    } else {
+      report.failed++;
+      if (report.failedGames.length < 100) {
+        report.failedGames.push({ pgn_id: game.pgn_id, ...derived.replay });
+      }
+    }
+    updates.push({ updateOne: { filter: { _id: game._id }, update: { $set: derived } } });
+    if (updates.length >= importBatchSize()) {
+      await write();
+    }
+  }
+  if (updates.length > 0) {
+    await write();
+  }
+  context.progress(total, total);
+
+  console.log(`Replay completed: ${report.replayed} games, ${report.failed} failed`);
+  return report;
+};
+
+registerJobHandler('replay', (params, context) => replayPgnsImpl(params, context), { engines: 0 });
+
+//
+// POST: replayPgns
+//
+// Summary: Queues the replay of the stored games (see replayPgnsImpl). Responds 202 with the job,
+// GET /jobs/:id shows the progress and the games that could not be replayed.
+//
+// Body (optional): { "all": true }   // replay every game, not only the outdated ones
+//
+const replayPgns = async (req, res) => {
+  try {
+    const job = await submitJob('replay', { all: req.body.all === true || req.body.all === 'true' }, 0);
+    res.status(202).json({ message: 'PGN replay queued', job });
+  } catch (error) {
+    res.status(500).json({ message: 'Error queueing PGN replay', error: error.message });
+  }
+};
+
+//
+// normalizePgnsImpl
+//
+// Sets the normalized dates and ratings (dateParts, eventDateParts, whiteRating, blackRating, see src/utils/normalizedFields.js)
+// of the stored games, the backfill of the range filters. Unlike the replay only the four tags are read, so this is quick.
+// Without "all" only the games that do not have them yet are done.
+//
+// parameters: options { all }, context (job context)
+//
+// returns: { normalized, undated, unrated }
+//
+const normalizePgnsImpl = async ({ all = false }, context) => {
+  const filter = all ? {} : { $or: [{ dateParts: { $exists: false } }, { whiteRating: { $exists: false } }] };
+  const total = await PgnSchema.countDocuments(filter);
+  const report = { normalized: 0, undated: 0, unrated: 0 };
+
+  let updates = [];
+  const write = async () => {
+    await PgnSchema.bulkWrite(updates, { ordered: false });
+    report.normalized += updates.length;
+    updates = [];
+    context.progress(report.normalized, total);
+  };
+
+  const games = PgnSchema.find(filter, { date: 1, eventDate: 1, whiteElo: 1, blackElo: 1 }).lean().cursor();
+  for await (const game of games) {
+    const fields = normalizedFields(game);
+    if (fields.dateParts.year === null) {
+      report.undated++;
+    }
+    if (fields.whiteRating === null && fields.blackRating === null) {
+      report.unrated++;
+    }
+    updates.push({ updateOne: { filter: { _id: game._id }, update: { $set: fields } } });
+    if (updates.length >= importBatchSize()) {
+      await write();
+    }
+  }
+  if (updates.length > 0) {
+    await write();
+  }
+  context.progress(total, total);
+
+  console.log(`Normalization completed: ${report.normalized} games, ${report.undated} without date, ${report.unrated} without ratings`);
+  return report;
+};
+
+registerJobHandler('normalize', (params, context) => normalizePgnsImpl(params, context), { engines: 0 });
+
+//
+// POST: normalizePgns
+//
+// Summary: Queues the normalization of the dates and ratings of the stored games (see normalizePgnsImpl).
+// Responds 202 with the job, GET /jobs/:id shows the progress and the report.
+// New and updated games are normalized on the fly; run this once for the games stored before.
+//
+// Body (optional): { "all": true }   // normalize every game, not only those without the fields
+//
+const normalizePgns = async (req, res) => {
+  try {
+    const job = await submitJob('normalize', { all: req.body.all === true || req.body.all === 'true' }, 0);
+    res.status(202).json({ message: 'PGN normalization queued', job });
+  } catch (error) {
+    res.status(500).json({ message: 'Error queueing PGN normalization', error: error.message });
+  }
+};
+
+//
+// reclassifyEcoImpl
+//
+// Classifies the stored games again (see src/utils/ecoClassifier.js), e.g. after a change of the ECO table.
+// Games whose classification changes are replayed, so their pgnText gets the new tags, and so are games
+// without plies. Games with an ECO tag keep it unless overrideTags is set.
+//
+// parameters: options { overrideTags }, context (job context)
+//
+// returns: { checked, changed, byCode: { eco: number of the changed games now classified with it } }
+//
+const reclassifyEcoImpl = async ({ overrideTags = false }, context) => {
+  const filter = overrideTags ? {} : { ecoSource: { $ne: 'tag' } };
+  const total = await PgnSchema.countDocuments(filter);
+  const report = { checked: 0, changed: 0, byCode: {} };
+
+  let updates = [];
+  let changedGames = { before: [], after: [] }; // for the revisions and the explorer statistics
+  const write = async () => {
+    await bulkWriteWithRevisions(updates, changedGames.before, changedGames.after, 'classify');
+    await updateExplorerStats(changedGames.before, changedGames.after);
+    report.changed += updates.length;
+    updates = [];
+    changedGames = { before: [], after: [] };
+  };
+
+  const games = PgnSchema.find(filter).select('-analysis +positionKeys +positionMoves').lean().cursor();
+  for await (const game of games) {
+    const replayed = game.replay && game.replay.status ? null : replayGame(game);
+    const fields = ecoFields(game, (replayed || game).plies, { overrideTags });
+    report.checked++;
+
+    const changed = ['eco', 'opening', 'variation', 'ecoSource'].some(field => fields[field] !== undefined && fields[field] !== game[field]);
+    if (replayed || changed) {
+      // The replay classifies the game the same way, the ecoSource is set now
+      const derived = { ...fields, ...replayGame({ ...game, ...fields }) };
+      updates.push({ updateOne: { filter: { _id: game._id }, update: { $set: derived } } });
+      changedGames.before.push(game);
+      changedGames.after.push({ ...game, ...derived });
+      if (derived.eco) {
+        report.byCode[derived.eco] = (report.byCode[derived.eco] || 0) + 1;
+      }
+    }
+    if (updates.length >= importBatchSize()) {
+      await write();
+    }
+    if (report.checked % 100 === 0) {
+      context.progress(report.checked, total);
+    }
+  }
+  if (updates.length > 0) {
+    await write();
+  }
+  context.progress(total, total);
+
+  console.log(`ECO reclassification completed: ${report.checked} games checked, ${report.changed} changed`);
+  return report;
+};
+
+registerJobHandler('eco', (params, context) => reclassifyEcoImpl(params, context), { engines: 0 });
+
+//
+// POST: reclassifyEco
+//
+// Summary: Queues the ECO classification of the stored games (see reclassifyEcoImpl). Responds 202 with the job,
+// GET /jobs/:id shows the progress and the number of games changed.
+// New and updated games are classified on the fly; the replay job (POST /pgns/replay) classifies the games stored
+// before the classifier existed.
+//
+// Body (optional): { "overrideTags": true }   // classify the games with an ECO tag as well, replacing the tag values
+//
+const reclassifyEco = async (req, res) => {
+  try {
+    const job = await submitJob('eco', { overrideTags: req.body.overrideTags === true || req.body.overrideTags === 'true' }, 0);
+    res.status(202).json({ message: 'ECO reclassification queued', job });
+  } catch (error) {
+    res.status(500).json({ message: 'Error queueing ECO reclassification', error: error.message });
+  }
+};
+
+//
+// PGN export
+//
+
+// Fields that can be used as filters of the bulk export, equality on the stored value as in getAllPgnByFields
+const exportFilterFields = ['pgn_id', 'event', 'site', 'date', 'round', 'white', 'black', 'result',
+  'eco', 'opening', 'variation', 'whiteElo', 'blackElo', 'eventDate'];
+
+//
+// setPgnDownloadHeaders
+//
+const setPgnDownloadHeaders = (res, fileName) => {
+  res.setHeader('Content-Type', 'application/x-chess-pgn; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+};
+
+//
+// GET: exportPgnByPgnId
+//
+// Summary: The game as PGN file in export format (see src/utils/pgnWriter.js)
+//
+const exportPgnByPgnId = async (req, res) => {
+  try {
+    const { pgn_id } = req.params;
+
+    // Validate UUID format
+    if (!isUuid(pgn_id)) {
+      return res.status(400).json({ message: 'Invalid pgn_id format in exportPgnByPgnId' });
+    }
+
+    const pgn = await PgnSchema.findOne({ pgn_id }).lean();
+    if (!pgn) {
+      return res.status(404).json({ message: 'PGN not found' });
+    }
+
+    const text = pgn.pgnText || gameToPgn(pgn);
+    setPgnDownloadHeaders(res, `${pgn_id}.pgn`);
+    res.status(200).send(text);
+  } catch (error) {
+    res.status(500).json({ message: 'Error exporting PGN', error: error.message });
   }
 };
 
+//
+// GET: exportPgns
+//
+// Summary: Streams all games matching the query parameters as one PGN file.
+// Example: /pgns/export.pgn?white=Carlsen, Magnus&result=1-0
+// The date and rating ranges of the search (since, until, minElo, ..., see rangeConditions in src/utils/normalizedFields.js)
+// can be used as well, e.g. /pgns/export.pgn?since=2020&minElo=2600
+// Without query parameters the whole collection is exported.
+//
+const exportPgns = async (req, res) => {
+  let filter = {};
+  for (const [param, value] of Object.entries(req.query)) {
+    if (rangeParams.includes(param)) {
+      continue;
+    }
+    if (!exportFilterFields.includes(param)) {
+      return res.status(400).json({ message: `Unknown filter ${param}. Valid filters: ${exportFilterFields.concat(rangeParams).join(', ')}` });
+    }
+    filter[param] = String(value);
+  }
+  try {
+    const conditions = rangeConditions(req.query);
+    if (conditions.length > 0) {
+      filter = { $and: [filter, ...conditions] };
+    }
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+
+  const cursor = PgnSchema.find(filter, { plies: 0, analysis: 0 }).sort({ _id: 1 }).lean().cursor();
+  try {
+    setPgnDownloadHeaders(res, 'export.pgn');
+    res.status(200);
+    const { written, skipped } = await writeGames(res, cursor);
+    console.log(`exportPgns: ${written} games exported, ${skipped} skipped, filter ${JSON.stringify(filter)}`);
+    res.end();
+  } catch (error) {
+    console.error('Error in exportPgns:', error);
+    // Once the download has started, all we can do is to break it off
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).json({ message: 'Error exporting PGNs', error: error.message });
+    }
+  } finally {
+    await cursor.close();
+  }
+};
 
 //
 // POST: addPgnToDB
@@ -206,7 +904,8 @@ const addPgnToDB = async (req, res) => {
 //
 // DELETE: deletePgn
 //
-// Summary: Deletes a PGN via pgn_id from the database using the request parameters
+// Summary: Deletes a PGN via pgn_id from the database using the request parameters.
+// The game is kept as its last revision, POST /pgn/:pgn_id/revert/:rev brings it back.
 // 
 const deletePgnByPgnId = async (req, res) => {
   try {
@@ -217,13 +916,22 @@ const deletePgnByPgnId = async (req, res) => {
       return res.status(400).json({ message: 'Invalid pgn_id format in deletePgnByPgnId' });
     }
 
-    const deletedPgn = await PgnSchema.findOneAndDelete({ pgn_id });
+    // With the position index, which is not selected by default, for the explorer statistics
+    const stored = await PgnSchema.findOne({ pgn_id }).select('-plies -analysis +positionKeys +positionMoves').lean();
+    if (!stored) {
+      return res.status(404).json({ message: 'PGN not found' });
+    }
 
+    // The revision first, so the game can be restored whatever happens after the delete
+    const revision = await recordRevision(pgn_id, 'delete', snapshotFields(stored), null, { user: req.user ? req.user._id : null, game: stored._id });
+    const deletedPgn = await PgnSchema.findOneAndDelete({ _id: stored._id });
     if (!deletedPgn) {
+      await discardRevisions([revision]);
       return res.status(404).json({ message: 'PGN not found' });
     }
+    await updateExplorerStats([stored]);
 
-    res.status(200).json({ message: 'PGN deleted successfully', pgn: deletedPgn });
+    res.status(200).json({ message: 'PGN deleted successfully', pgn: deletedPgn, rev: revision ? revision.rev : null });
   } catch (error) {
     res.status(400).json({ message: 'Error deleting PGN', error: error.message });
   }
@@ -265,15 +973,46 @@ const deletePgnByPgnId = async (req, res) => {
 //  }
 //};
 
-const updatePgnByPgnIdImpl = async (pgn_id, updateData) => {
+// Fields that are derived from the game and cannot be set by an update
+const derivedFields = ['pgn_id', 'fingerprint', 'pgnText', 'plies', 'plyCount', 'replay', 'validation', 'ecoSource', 'analysis',
+  'dateParts', 'eventDateParts', 'whiteRating', 'blackRating', 'createdAt', 'updatedAt'];
+
+const _withoutDerivedFields = (data) =>
+  Object.fromEntries(Object.entries(data).filter(([field]) => !derivedFields.includes(field)));
+
+//
+// updatePgnByPgnIdImpl
+//
+// The record is loaded, changed and saved (not findOneAndUpdate), so the validate hooks replay the game
+// and update the fingerprint. With pgnText in updateData, the game is replaced by the parsed PGN text;
+// other fields in updateData are applied on top of it. eco, opening and variation set by an update count as tags,
+// an empty eco lets the classifier decide again. The change is recorded as a revision (see src/utils/pgnRevisions.js).
+//
+// parameters: pgn_id, updateData, options { user (who changes the game, for the revision) }
+//
+// returns: the updated PgnSchema document, null if there is no such game
+//
+const updatePgnByPgnIdImpl = async (pgn_id, updateData, { user = null } = {}) => {
   try {
-    const updatedPgn = await PgnSchema.findOneAndUpdate(
-      { pgn_id },
-      updateData,
-      { new: true, runValidators: true } // Return the updated document and run schema validators
-    );
+    const pgn = await PgnSchema.findOne({ pgn_id });
+    if (!pgn) {
+      return null;
+    }
+    const before = snapshotFields(pgn);
+
+    const { pgnText, ...fields } = updateData;
+    if (pgnText !== undefined) {
+      const gameData = pgnGameToGameData(pgnParser.parse(String(pgnText), { startRule: 'game' }));
+      pgn.set(_withoutDerivedFields(gameData));
+      pgn.set('ecoSource', gameData.ecoSource);
+    }
+    pgn.set(_withoutDerivedFields(fields));
+    if (['eco', 'opening', 'variation'].some(field => fields[field] !== undefined)) {
+      pgn.set('ecoSource', pgn.eco ? 'tag' : undefined);
+    }
 
-    return updatedPgn;
+    await saveWithRevision(pgn, 'update', before, { user });
+    return pgn;
   } catch (error) {
     throw new Error('Error updating PGN: ' + error.message);
   }
@@ -283,8 +1022,14 @@ const updatePgnByPgnIdImpl = async (pgn_id, updateData) => {
 // PUT: updatePgnByPgnId
 //
 // Summary: Updates a PGN via pgn_id in the database using the request parameters,
-// using the request body for the updated data
-// 
+// using the request body for the updated data. The game is replayed afterwards; if its moves turn out
+// to be illegal, it is stored anyway with replay.status 'failed' and the message says so.
+//
+// Body: any PgnSchema fields, e.g. { "white": "Carlsen, Magnus" }, or the whole game as PGN text:
+//{
+//  "pgnText": "[White \"Carlsen, Magnus\"]\n[Black \"Caruana, Fabiano\"]\n\n1. e4 e5 2. Nf3 *"
+//}
+//
 const updatePgnByPgnId = async (req, res) => {
   try {
     const { pgn_id } = req.params;
@@ -294,13 +1039,16 @@ const updatePgnByPgnId = async (req, res) => {
       return res.status(400).json({ message: 'Invalid pgn_id format in updatePgnByPgnId' });
     }
 
-    const updatedPgn = await updatePgn(pgn_id, req.body);
+    const updatedPgn = await updatePgnByPgnIdImpl(pgn_id, req.body, { user: req.user ? req.user._id : null });
 
     if (!updatedPgn) {
       return res.status(404).json({ message: 'PGN not found' });
     }
 
-    res.status(200).json({ message: 'PGN updated successfully', pgn: updatedPgn });
+    const message = updatedPgn.replay.status === 'failed'
+      ? `PGN updated, but its moves could not be replayed: ${updatedPgn.replay.error}`
+      : 'PGN updated successfully';
+    res.status(200).json({ message, pgn: updatedPgn });
   } catch (error) {
     res.status(400).json({ message: 'Error updating PGN', error: error.message });
   }
@@ -348,8 +1096,18 @@ const getAllPgns = async (req, res) => {
 //
 // GET: getAllPgnsPaginated
 // Improved version of getAllPgns with pagination
+// The date and rating ranges of the search narrow the list down, e.g. ?page=2&since=2020.05&minWhiteElo=2500
+// (see rangeConditions in src/utils/normalizedFields.js)
 //
 const getAllPgnsPaginated = async (req, res) => {
+  let filter;
+  try {
+    const conditions = rangeConditions(req.query);
+    filter = conditions.length > 0 ? { $and: conditions } : {};
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+
   try {
     // Set the limit of items to return per page, default to 10 if not provided
     const limit = parseInt(req.query.limit) || 10;
@@ -361,10 +1119,10 @@ const getAllPgnsPaginated = async (req, res) => {
     const skip = (page - 1) * limit;
 
     // Fetch the paginated results from the database
-    const pgns = await PgnSchema.find().skip(skip).limit(limit);
+    const pgns = await PgnSchema.find(filter).skip(skip).limit(limit);
 
-    // Count total number of documents in the collection
-    const total = await PgnSchema.countDocuments();
+    // Count total number of documents matching the filter
+    const total = await PgnSchema.countDocuments(filter);
 
     // Calculate the total number of pages based on the total number of documents and the limit
     const totalPages = Math.ceil(total / limit);
@@ -428,6 +1186,9 @@ const getAllPgnsPaginated = async (req, res) => {
 // 1) Parameters: The fields pgn_id,  white, black and date are used and evaluated as parameters to specify the fields to be returned.
 // 2) Query parameters: "white=Doe,%20John"" and "black=Smith,%20Jane"  are used to filter the results based on the specified values.
 //
+// The date and rating ranges of the search narrow the result down as well, whether the fields are returned or not,
+// e.g. /pgns/fields/pgn_id white date?since=2020&minElo=2600 (see rangeConditions in src/utils/normalizedFields.js)
+//
 const getAllPgnByFields = async (req, res) => {
   const startTime = Date.now();
   console.log(`Process started at: ${new Date(startTime).toISOString()}`);
@@ -478,6 +1239,16 @@ const getAllPgnByFields = async (req, res) => {
       });
     }
 
+    let conditions;
+    try {
+      conditions = rangeConditions(req.query);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+    if (conditions.length > 0) {
+      filter = { $and: [filter, ...conditions] };
+    }
+
     console.log(`getAllPgnByFields: Filter: ${JSON.stringify(filter)}`);
 
     // Execute the explainQuery query to get some information about the query execution
@@ -527,9 +1298,15 @@ const getAllPgnByFields = async (req, res) => {
 //};
 
 const getPgnByPgnId = async (req, res) => {
-  const { id } = req.params;
+  const { pgn_id } = req.params;
+
+  // Validate UUID format
+  if (!isUuid(pgn_id)) {
+    return res.status(400).json({ message: 'Invalid pgn_id format in getPgnByPgnId' });
+  }
+
   try {
-    const game = await getPgnByPgnIdImpl(id);
+    const game = await getPgnByPgnIdImpl(pgn_id);
     if (game) {
       res.status(200).json({ game });
     } else {
@@ -568,7 +1345,17 @@ module.exports = {
   deletePgnByPgnId,
   updatePgnByPgnId,
   uploadPgnFile,
+  dedupePgns,
+  replayPgns,
+  normalizePgns,
+  reclassifyEco,
+  exportPgnByPgnId,
+  exportPgns,
+  setPgnDownloadHeaders,
   upload,
   addPgnToDBImpl,
-  getPgnByPgnIdImpl
+  updatePgnByPgnIdImpl,
+  getPgnByPgnIdImpl,
+  pgnGameToGameData,
+  importPgnFileImpl
 };
@@ -0,0 +1,378 @@
+//
+// playController.js
+//
+// Play against the engine: The server keeps the game, checks the user's moves with chess.js,
+// lets the engine reply and stores the finished game as a PgnSchema record.
+//
+// A game lives in memory while it is played. It owns an engine session (see src/utils/engineSessions.js)
+// that is restarted transparently if it expired while the user was thinking.
+//
+
+const { Chess } = require('chess.js');
+const pgnParser = require('@mliebelt/pgn-parser');
+const { v4: uuidv4 } = require('uuid');
+
+const { addPgnToDBImpl, pgnGameToGameData } = require('./pgnController');
+const { isPoolFull, poolSize, createSession, getSession, useSession, closeSession } = require('../utils/engineSessions');
+const { getSearchParams, hasSearchLimits, runSearch } = require('../utils/engineSearch');
+const { FENstartposition, isUciMove, uciToMoveObject, moveToUci, getGameOver, pgnDate } = require('../utils/chessUtils');
+
+const games = new Map(); // game id -> game
+
+// Finished games are kept this long so the client can still fetch the final state
+const finishedGameRetention = 10 * 60 * 1000;
+
+//
+// INTERNAL: _strengthToOptions
+//
+// strength: { elo: 1500 }  -> UCI_LimitStrength + UCI_Elo
+//           { skill: 5 }   -> Skill Level (Stockfish: 0..20)
+//
+// Throws if a value is no integer, the range is the engine's (see _checkStrengthRange)
+//
+const _strengthToOptions = (strength = {}) => {
+  const options = {};
+  for (const [key, option] of [['elo', 'UCI_Elo'], ['skill', 'Skill Level']]) {
+    if (strength[key] === undefined) {
+      continue;
+    }
+    const value = Number(strength[key]);
+    if (!Number.isInteger(value)) {
+      throw new Error(`strength.${key} must be an integer.`);
+    }
+    options[option] = value;
+  }
+  if (options.UCI_Elo !== undefined) {
+    options.UCI_LimitStrength = true;
+  }
+  return options;
+};
+
+//
+// INTERNAL: _checkStrengthRange
+//
+// The strength options against the min and max the engine announced in its "uci" reply.
+// Options the engine does not know are skipped anyway when they are applied (see src/utils/engineSessions.js).
+//
+// returns: the error message, null if the values are in range
+//
+const _checkStrengthRange = (engine, options) => {
+  for (const name of ['UCI_Elo', 'Skill Level']) {
+    const announced = engine.options && engine.options[name];
+    if (options[name] === undefined || !announced) {
+      continue;
+    }
+    const min = announced.min !== null && announced.min !== undefined ? parseInt(announced.min) : -Infinity;
+    const max = announced.max !== null && announced.max !== undefined ? parseInt(announced.max) : Infinity;
+    if (options[name] < min || options[name] > max) {
+      return `${name} must be between ${min} and ${max} for this engine, got ${options[name]}.`;
+    }
+  }
+  return null;
+};
+
+//
+// INTERNAL: _getEngineSession
+//
+// The game's engine session, restarted if it has expired in the meantime.
+//
+const _getEngineSession = async (game) => {
+  let session = getSession(game.engineSessionId);
+  if (!session) {
+    session = await createSession(game.engine, game.engineOptions);
+    game.engineSessionId = session.id;
+  }
+  return session;
+};
+
+//
+// INTERNAL: _engineMove
+//
+// Lets the engine play its move in the game's current position.
+//
+const _engineMove = async (game) => {
+  const session = await _getEngineSession(game);
+  return useSession(session, async () => {
+    session.engine.position({ fen: game.startFen, moves: game.chess.history({ verbose: true }).map(moveToUci) });
+    session.fen = game.chess.fen();
+    const result = await runSearch(session, game.search);
+    const move = game.chess.move(uciToMoveObject(result.bestmove));
+    return { uci: moveToUci(move), san: move.san, lines: result.lines };
+  });
+};
+
+//
+// INTERNAL: _finishGame
+//
+// Stores the game as PgnSchema record with the Seven Tag Roster filled in and frees the engine.
+//
+const _finishGame = async (game, result, termination) => {
+  game.status = 'finished';
+  game.result = result;
+  game.termination = termination;
+
+  const chess = game.chess;
+  chess.header(
+    'Event', game.event,
+    'Site', game.site,
+    'Date', pgnDate(game.createdAt),
+    'Round', '-',
+    'White', game.userColor === 'w' ? game.playerName : game.engineName,
+    'Black', game.userColor === 'b' ? game.playerName : game.engineName,
+    'Result', result,
+    'Termination', termination
+  );
+
+  try {
+    const [parsedGame] = pgnParser.parse(chess.pgn());
+    const newPgn = await addPgnToDBImpl(pgnGameToGameData(parsedGame));
+    game.pgn_id = newPgn.pgn_id;
+    console.log(`Game ${game.id} finished (${result}, ${termination}), saved as pgn_id ${game.pgn_id}`);
+  } finally {
+    await closeSession(game.engineSessionId);
+    setTimeout(() => games.delete(game.id), finishedGameRetention).unref();
+  }
+};
+
+// What the client gets to see of a game
+const _gameState = (game) => ({
+  gameId: game.id,
+  status: game.status,
+  userColor: game.userColor,
+  engine: game.engineName,
+  fen: game.chess.fen(),
+  turn: game.chess.turn(),
+  inCheck: game.chess.inCheck(),
+  moves: game.chess.history(),
+  legalMoves: game.status === 'active' ? game.chess.moves() : [],
+  result: game.result,
+  termination: game.termination,
+  pgn_id: game.pgn_id
+});
+
+//
+// POST: /games
+//
+// Starts a game against the engine.
+//
+// Body (all optional):
+//{
+//  "color": "white",                  // the user's colour: "white", "black" or "random"
+//  "fen": "<FEN>",                    // start position, default is the initial position
+//  "engine": "stockfish",             // name in the engine registry
+//  "strength": { "elo": 1500 },       // or { "skill": 5 }
+//  "movetime": 1000,                  // the engine's search, same parameters as /engine/move (default depth 12)
+//  "playerName": "Adler, Juergen",
+//  "event": "Training", "site": "Juris Chess Sanctuary"
+//}
+//
+const createGame = async (req, res) => {
+  let chess;
+  let search;
+  let engineOptions;
+  try {
+    chess = new Chess(req.body.fen || FENstartposition);
+    search = getSearchParams(req.body);
+    engineOptions = _strengthToOptions(req.body.strength);
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid game parameters', details: error.message });
+  }
+  if (!hasSearchLimits(search.limits)) {
+    search.limits.depth = 12;
+  }
+  if (getGameOver(chess)) {
+    return res.status(400).json({ error: 'The start position is already game over.' });
+  }
+
+  let userColor = (req.body.color || 'white').toLowerCase();
+  if (userColor === 'random') {
+    userColor = Math.random() < 0.5 ? 'white' : 'black';
+  }
+  if (userColor !== 'white' && userColor !== 'black') {
+    return res.status(400).json({ error: 'color must be "white", "black" or "random".' });
+  }
+
+  if (isPoolFull()) {
+    return res.status(503).json({ error: `All ${poolSize()} engine sessions are in use, try again later.` });
+  }
+
+  let session = null;
+  let game = null;
+  try {
+    session = await createSession(req.body.engine, engineOptions);
+    const outOfRange = _checkStrengthRange(session.engine, engineOptions);
+    if (outOfRange) {
+      await closeSession(session.id);
+      return res.status(400).json({ error: 'Invalid game parameters', details: outOfRange });
+    }
+    session.engine.ucinewgame();
+
+    game = {
+      id: uuidv4(),
+      engine: session.engineConfig.name,
+      engineName: session.engine.id.name || session.engineConfig.name,
+      engineOptions,
+      engineSessionId: session.id,
+      search,
+      userColor: userColor[0],
+      startFen: chess.fen(),
+      chess,
+      playerName: req.body.playerName || 'Player',
+      event: req.body.event || 'Sanctuary game',
+      site: req.body.site || 'Juris Chess Sanctuary',
+      createdAt: new Date(),
+      status: 'active',
+      result: '*',
+      termination: null,
+      pgn_id: null,
+      busy: false
+    };
+    games.set(game.id, game);
+
+    // The engine opens if it is its turn
+    let engineMove = null;
+    if (chess.turn() !== game.userColor) {
+      engineMove = await _engineMove(game);
+      const gameOver = getGameOver(chess);
+      if (gameOver) {
+        await _finishGame(game, gameOver.result, gameOver.termination);
+      }
+    }
+
+    res.status(201).json({ ...(_gameState(game)), engineMove });
+  } catch (error) {
+    console.error('Failed to create game:', error);
+    // Nobody knows the game id, so neither the game nor its engine may stay (a finished game cleans up itself)
+    if (!game || game.status === 'active') {
+      if (game) {
+        games.delete(game.id);
+      }
+      const sessionId = game ? game.engineSessionId : session && session.id;
+      if (sessionId) {
+        await closeSession(sessionId).catch(closeError => console.error('Failed to close engine session:', closeError));
+      }
+    }
+    res.status(500).json({ error: 'Failed to create game', details: error.message });
+  }
+};
+
+//
+// GET: /game/:game_id
+//
+const getGame = async (req, res) => {
+  const game = games.get(req.params.game_id);
+  if (!game) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+  res.status(200).json(_gameState(game));
+};
+
+//
+// POST: /game/:game_id/move
+//
+// Body: { "move": "Nf3" } or { "move": "g1f3" }
+//
+// The move is checked with chess.js, then the engine replies (unless the game is over).
+// A finished game is stored as PGN, its pgn_id is part of the response.
+// If the engine fails to reply, the move is taken back and the response (500) shows the game as before it.
+//
+const playMove = async (req, res) => {
+  const game = games.get(req.params.game_id);
+  if (!game) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+  if (game.status !== 'active') {
+    return res.status(400).json({ error: 'Game is already finished', ...(_gameState(game)) });
+  }
+  if (game.busy) {
+    return res.status(409).json({ error: 'The engine is still thinking about its move.' });
+  }
+  if (game.chess.turn() !== game.userColor) {
+    return res.status(400).json({ error: 'It is not your turn.' });
+  }
+
+  const { move } = req.body;
+  let userMove;
+  try {
+    userMove = game.chess.move(isUciMove(move) ? uciToMoveObject(move) : move);
+  } catch (error) {
+    return res.status(400).json({ error: `Illegal move: ${move}`, legalMoves: game.chess.moves() });
+  }
+
+  game.busy = true;
+  let engineMove = null;
+  try {
+    let gameOver = getGameOver(game.chess);
+    if (!gameOver) {
+      engineMove = await _engineMove(game);
+      gameOver = getGameOver(game.chess);
+    }
+    if (gameOver) {
+      await _finishGame(game, gameOver.result, gameOver.termination);
+    }
+
+    res.status(200).json({ ...(_gameState(game)), userMove: { uci: moveToUci(userMove), san: userMove.san }, engineMove });
+  } catch (error) {
+    console.error('Failed to play move:', error);
+    // Without the engine's reply the user's move is taken back, so it can be played again
+    if (!engineMove && game.status === 'active') {
+      game.chess.undo();
+    }
+    res.status(500).json({ error: 'Failed to play move', details: error.message, ...(_gameState(game)) });
+  } finally {
+    game.busy = false;
+  }
+};
+
+//
+// POST: /game/:game_id/resign
+//
+// The user resigns, the game is stored as lost.
+//
+const resignGame = async (req, res) => {
+  const game = games.get(req.params.game_id);
+  if (!game) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+  if (game.status !== 'active') {
+    return res.status(400).json({ error: 'Game is already finished', ...(_gameState(game)) });
+  }
+
+  try {
+    await _finishGame(game, game.userColor === 'w' ? '0-1' : '1-0', 'resignation');
+    res.status(200).json(_gameState(game));
+  } catch (error) {
+    console.error('Failed to resign game:', error);
+    res.status(500).json({ error: 'Failed to resign game', details: error.message });
+  }
+};
+
+//
+// DELETE: /game/:game_id
+//
+// Aborts the game without storing it.
+//
+const abortGame = async (req, res) => {
+  const game = games.get(req.params.game_id);
+  if (!game) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+
+  try {
+    games.delete(game.id);
+    if (game.status === 'active') {
+      await closeSession(game.engineSessionId);
+    }
+    res.status(200).json({ status: 'Game aborted', gameId: game.id });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to abort game', details: error.message });
+  }
+};
+
+module.exports = {
+  createGame,
+  getGame,
+  playMove,
+  resignGame,
+  abortGame
+};
@@ -0,0 +1,146 @@
+//
+// playerController.js
+//
+// The players of the stored games: an index with autocomplete, and the statistics of a player
+// (see src/utils/playerStats.js). Players are identified by their names as stored in white and black.
+//
+
+const PgnSchema = require('../schemas/pgnSchema');
+const { createPlayerStats } = require('../utils/playerStats');
+const { dateRange, escapeRegex } = require('../utils/normalizedFields');
+const { getPagination } = require('../utils/pagination');
+
+// Page size of the player index: default and maximum
+const defaultLimit = 20;
+const maxLimit = 100;
+
+// The placeholders of unknown players are no players
+const unknownPlayers = ['', '?', 'Unknown', 'N.N.'];
+
+// What the statistics need of a game
+const statsFields = { pgn_id: 1, white: 1, black: 1, whiteElo: 1, blackElo: 1, result: 1, date: 1, dateParts: 1, eco: 1, opening: 1, event: 1 };
+
+const _countColor = (color) => ({ $sum: { $cond: [{ $eq: ['$players.color', color] }, 1, 0] } });
+
+//
+// GET: /players
+//
+// Summary: The players of the stored games with their number of games, most games first.
+// With q, only the players whose name begins with q (case-insensitive), for autocompletion.
+//
+// Query parameters (all optional):
+// q      - the beginning of the name: "carl" finds "Carlsen, Magnus" and "Carlsson, Erik"
+// page   - default 1
+// limit  - default 20, at most 100
+//
+// Response:
+//{
+//  "page": 1, "limit": 20, "total": 2,
+//  "data": [{ "name": "Carlsen, Magnus", "games": 1234, "white": 620, "black": 614, "lastDate": "2024.01.28" }, ...]
+//}
+//
+const getPlayers = async (req, res) => {
+  try {
+    const { page, limit, skip } = getPagination(req.query, defaultLimit, maxLimit);
+    const name = req.query.q ? new RegExp('^' + escapeRegex(String(req.query.q).trim()), 'i') : null;
+
+    const [result] = await PgnSchema.aggregate([
+      ...(name ? [{ $match: { $or: [{ white: name }, { black: name }] } }] : []),
+      { $project: { date: 1, dateParts: 1, players: [{ name: '$white', color: 'white' }, { name: '$black', color: 'black' }] } },
+      { $unwind: '$players' },
+      { $match: { 'players.name': name ? { $regex: name, $nin: unknownPlayers } : { $nin: unknownPlayers } } },
+      {
+        $group: {
+          _id: '$players.name',
+          games: { $sum: 1 },
+          white: _countColor('white'),
+          black: _countColor('black'),
+          // By the normalized date (src/utils/normalizedFields.js), only dates with a known year
+          lastDate: { $max: { $cond: [{ $ne: [{ $ifNull: ['$dateParts.start', null] }, null] }, { start: '$dateParts.start', date: '$date' }, null] } }
+        }
+      },
+      { $sort: { games: -1, _id: 1 } },
+      {
+        $facet: {
+          data: [{ $skip: skip }, { $limit: limit }, { $addFields: { lastDate: '$lastDate.date' } }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]).allowDiskUse(true);
+
+    res.status(200).json({
+      page,
+      limit,
+      total: result.total.length > 0 ? result.total[0].count : 0,
+      data: result.data.map(({ _id, ...counts }) => ({ name: _id, ...counts }))
+    });
+  } catch (error) {
+    console.error('Error in getPlayers:', error);
+    res.status(500).json({ message: 'Error fetching players', error: error.message });
+  }
+};
+
+//
+// GET: /players/:name
+//
+// Summary: The statistics of a player over all stored games: games and score in total and by colour,
+// results by year, the most played openings (ECO) with each colour, the best wins and worst losses
+// by the opponent's rating, the rating history (the player's Elo in the games, one value per month)
+// and the performance rating over a period (default: all games).
+// The name must be written as stored, e.g. "Carlsen, Magnus", GET /players?q=carlsen finds it.
+//
+// Query parameters (all optional):
+// since  - performance rating over the games from this date on: 2020, 2020.05 or 2020-05-17 ...
+// until  - ... up to this date, same format
+//
+// Response:
+//{
+//  "name": "Carlsen, Magnus", "games": 1234, "wins": 500, "draws": 600, "losses": 134, "score": 800, "percent": 64.8,
+//  "firstDate": "2001.01.12", "lastDate": "2024.01.28",
+//  "white": { "games": 620, "wins": 280, ..., "percent": 68.1 }, "black": { ... },
+//  "byYear": [{ "year": "2023", "games": 80, "wins": 35, "draws": 38, "losses": 7, "score": 54, "percent": 67.5 }, ...],
+//  "openings": { "white": [{ "eco": "C65", "opening": "Ruy Lopez", "games": 40, ... }], "black": [...] },
+//  "bestWins": [{ "pgn_id": "...", "color": "black", "opponent": "...", "opponentRating": 2830, "result": "0-1", "date": "...", "event": "...", "eco": "..." }],
+//  "worstLosses": [...],
+//  "ratingHistory": [{ "date": "2023.01", "rating": 2859 }, ...],
+//  "performance": { "since": "2023", "until": null, "games": 80, "score": 54, "averageOpponentRating": 2740, "rating": 2865 }
+//}
+//
+const getPlayerByName = async (req, res) => {
+  let period;
+  try {
+    // The games whose dateParts.start is in [start, end), see src/utils/normalizedFields.js
+    period = {
+      since: req.query.since ? String(req.query.since).trim() : undefined,
+      until: req.query.until ? String(req.query.until).trim() : undefined,
+      start: req.query.since ? dateRange('since', req.query.since).start : undefined,
+      end: req.query.until ? dateRange('until', req.query.until).end : undefined
+    };
+  } catch (error) {
+    return res.status(400).json({ message: 'Invalid period', error: error.message });
+  }
+
+  try {
+    const name = String(req.params.name).trim();
+
+    const stats = createPlayerStats(name, period);
+    const games = PgnSchema.find({ $or: [{ white: name }, { black: name }] }, statsFields).lean().cursor();
+    for await (const game of games) {
+      stats.add(game);
+    }
+
+    const result = stats.result();
+    if (result.games === 0) {
+      return res.status(404).json({ message: `No games of ${name} found` });
+    }
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Error in getPlayerByName:', error);
+    res.status(500).json({ message: 'Error fetching player statistics', error: error.message });
+  }
+};
+
+module.exports = {
+  getPlayers,
+  getPlayerByName
+};
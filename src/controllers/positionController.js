@@ -0,0 +1,205 @@
+//
+// positionController.js
+//
+// Position sets: the positions of imported EPD and FEN files, e.g. test suites (see src/utils/epd.js).
+// The files are uploaded like PGN files (POST /import, see pgnController.js), the import job hands them to importEpdFileImpl.
+//
+
+const PositionSchema = require('../schemas/positionSchema');
+const PgnSchema = require('../schemas/pgnSchema');
+const fs = require('fs');
+const { validate: isUuid } = require('uuid');
+
+const { parseEpd, readEpdPositions } = require('../utils/epd');
+const { positionKeys } = require('../utils/positionIndex');
+const { getPagination } = require('../utils/pagination');
+
+// Page size of the position list: default and maximum
+const defaultLimit = 50;
+const maxLimit = 500;
+
+// Positions per insertMany, and the number of failures the job reports in detail (as for the PGN import)
+const importBatchSize = () => parseInt(process.env.PGN_IMPORT_BATCH_SIZE) || 500;
+const maxReportedFailures = 1000;
+
+//
+// importEpdFileImpl
+//
+// parameters:
+// filePath - the EPD or FEN file
+// options  - { fileName }, stored as source of the positions
+// context  - job context (progress, saveProgress, previousProgress), see src/utils/jobQueue.js
+//
+// returns: { positions, saved, failed, failures: [{ position, line, error }], failuresTruncated }
+//
+const importEpdFileImpl = async (filePath, options, context) => {
+  const { size } = await fs.promises.stat(filePath);
+  const source = options.fileName || '';
+
+  // An interrupted import continues after the last batch it reported as written
+  const previous = (context.previousProgress && context.previousProgress.details) || {};
+  const resumeAt = previous.committed || 0;
+  const counts = {
+    parsed: resumeAt,
+    saved: previous.saved || 0,
+    failed: previous.failed || 0,
+    committed: resumeAt
+  };
+  const failures = previous.failures || [];
+  let bytesRead = 0;
+  let batch = []; // { doc, position, line }
+
+  const fail = (failure) => {
+    counts.failed++;
+    if (failures.length < maxReportedFailures) {
+      failures.push(failure);
+    }
+  };
+
+  const flush = async () => {
+    if (batch.length === 0) {
+      return;
+    }
+    const entries = batch;
+    batch = [];
+
+    let saved = entries.length;
+    try {
+      await PositionSchema.insertMany(entries.map(entry => entry.doc), { ordered: false });
+    } catch (error) {
+      // ordered: false, so everything but the write errors has been inserted
+      if (!error.writeErrors) {
+        throw error;
+      }
+      const writeErrors = [].concat(error.writeErrors);
+      saved -= writeErrors.length;
+      for (const writeError of writeErrors) {
+        const entry = entries[writeError.index];
+        fail({ position: entry.position, line: entry.line, error: writeError.errmsg || writeError.message });
+      }
+    }
+    counts.saved += saved;
+    counts.committed = entries[entries.length - 1].position;
+    await context.saveProgress(bytesRead, size, { ...counts, failures });
+  };
+
+  for await (const entry of readEpdPositions(filePath)) {
+    bytesRead = entry.bytesRead;
+    const positionNumber = entry.index + 1;
+    if (positionNumber <= resumeAt) {
+      continue;
+    }
+    counts.parsed++;
+
+    let epd;
+    try {
+      epd = parseEpd(entry.text);
+    } catch (error) {
+      fail({ position: positionNumber, line: entry.line, error: error.message });
+      continue;
+    }
+
+    batch.push({
+      doc: {
+        fen: epd.fen,
+        positionKey: positionKeys(epd.fen).f,
+        epdId: epd.id,
+        bestMoves: epd.bestMoves,
+        avoidMoves: epd.avoidMoves,
+        comment: epd.comment,
+        operations: epd.operations,
+        source,
+        line: entry.line
+      },
+      position: positionNumber,
+      line: entry.line
+    });
+    if (batch.length >= importBatchSize()) {
+      await flush();
+    }
+  }
+  await flush();
+  context.progress(size, size, { ...counts, failures });
+
+  console.log(`EPD import of ${filePath} completed. Saved positions: ${counts.saved}, Failed positions: ${counts.failed}`);
+  return {
+    positions: counts.saved + counts.failed,
+    saved: counts.saved,
+    failed: counts.failed,
+    failures,
+    failuresTruncated: counts.failed > failures.length
+  };
+};
+
+//
+// GET: /positions
+//
+// Summary: The imported positions, in file order.
+//
+// Query parameters (all optional):
+// source - the name of the imported file, e.g. "wac.epd"
+// id     - the EPD id, e.g. "WAC.001"
+// page   - default 1
+// limit  - default 50, at most 500
+//
+// Response:
+//{
+//  "page": 1, "limit": 50, "total": 300,
+//  "data": [{ "position_id": "...", "fen": "2rr3k/pp3pp1/1nnqbN1p/3pN3/2pP4/2P3Q1/PPB4P/R4RK1 w - - 0 1", "epdId": "WAC.001",
+//             "bestMoves": ["Qg6"], "avoidMoves": [], "comment": "", "operations": { "bm": ["Qg6"], "id": ["WAC.001"] },
+//             "source": "wac.epd", "line": 1, ... }, ...]
+//}
+//
+const getPositions = async (req, res) => {
+  try {
+    const { page, limit, skip } = getPagination(req.query, defaultLimit, maxLimit);
+    const filter = {};
+    if (req.query.source) {
+      filter.source = String(req.query.source);
+    }
+    if (req.query.id) {
+      filter.epdId = String(req.query.id);
+    }
+
+    const [data, total] = await Promise.all([
+      PositionSchema.find(filter, { _id: 0, __v: 0 }).sort({ source: 1, line: 1 }).skip(skip).limit(limit).lean(),
+      PositionSchema.countDocuments(filter)
+    ]);
+    res.status(200).json({ page, limit, total, data });
+  } catch (error) {
+    console.error('Error in getPositions:', error);
+    res.status(500).json({ message: 'Error fetching positions', error: error.message });
+  }
+};
+
+//
+// GET: /positions/:position_id
+//
+// Summary: One imported position, with the number of stored games that reached it (see src/utils/positionIndex.js).
+//
+// Response: { "position_id": "...", "fen": "...", "bestMoves": ["Qg6"], ..., "games": 3 }
+//
+const getPositionById = async (req, res) => {
+  const { position_id } = req.params;
+  if (!isUuid(position_id)) {
+    return res.status(400).json({ message: 'Invalid position_id format' });
+  }
+
+  try {
+    const position = await PositionSchema.findOne({ position_id }, { _id: 0, __v: 0 }).lean();
+    if (!position) {
+      return res.status(404).json({ message: 'Position not found' });
+    }
+    const games = await PgnSchema.countDocuments({ positionKeys: position.positionKey });
+    res.status(200).json({ ...position, games });
+  } catch (error) {
+    console.error('Error in getPositionById:', error);
+    res.status(500).json({ message: 'Error fetching position', error: error.message });
+  }
+};
+
+module.exports = {
+  getPositions,
+  getPositionById,
+  importEpdFileImpl
+};
@@ -0,0 +1,196 @@
+//
+// revisionController.js
+//
+// The revision history of the stored games (see src/utils/pgnRevisions.js): the list of revisions, the differences
+// between two revisions, and the revert to a revision, which also brings deleted games back.
+//
+
+const PgnSchema = require('../schemas/pgnSchema');
+const RevisionSchema = require('../schemas/revisionSchema');
+const { validate: isUuid } = require('uuid');
+
+const { snapshotFields, diffFields, saveWithRevision, stateAtRevision } = require('../utils/pgnRevisions');
+
+//
+// INTERNAL: _getHistory
+//
+// returns: { pgn (PgnSchema document, null if deleted), current (its snapshot or null), revisions (ascending) },
+// null if neither the game nor revisions of it exist
+//
+const _getHistory = async (pgn_id) => {
+  const [pgn, revisions] = await Promise.all([
+    PgnSchema.findOne({ pgn_id }),
+    RevisionSchema.find({ pgn_id }).sort({ rev: 1 }).lean()
+  ]);
+  if (!pgn && revisions.length === 0) {
+    return null;
+  }
+  return { pgn, current: pgn ? snapshotFields(pgn) : null, revisions };
+};
+
+// Query parameter or route parameter -> revision number, NaN if it is none
+const _getRev = (value) => (/^\d+$/.test(String(value ?? '').trim()) ? parseInt(value) : NaN);
+
+//
+// GET: /pgn/:pgn_id/revisions
+//
+// Summary: The revisions of a game, oldest first: who changed what when, with the previous values of the changed fields.
+// Also for deleted games, whose last revision is the delete.
+//
+// Response:
+//{
+//  "pgn_id": "...", "deleted": false, "latest": 2,
+//  "revisions": [{ "rev": 1, "action": "update", "user": null, "createdAt": "...", "changedFields": ["white"],
+//                  "previous": { "white": "Carlsen, M." } }, ...]
+//}
+//
+const getRevisions = async (req, res) => {
+  const { pgn_id } = req.params;
+  if (!isUuid(pgn_id)) {
+    return res.status(400).json({ message: 'Invalid pgn_id format' });
+  }
+
+  try {
+    const history = await _getHistory(pgn_id);
+    if (!history) {
+      return res.status(404).json({ message: 'PGN not found' });
+    }
+    const { pgn, revisions } = history;
+    res.status(200).json({
+      pgn_id,
+      deleted: !pgn,
+      latest: revisions.length > 0 ? revisions[revisions.length - 1].rev : 0,
+      revisions: revisions.map(({ rev, action, revertedTo, user, createdAt, changedFields, previous }) =>
+        ({ rev, action, ...(revertedTo !== undefined && { revertedTo }), user, createdAt, changedFields, previous }))
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching revisions', error: error.message });
+  }
+};
+
+//
+// GET: /pgn/:pgn_id/revisions/diff
+//
+// Summary: The fields that differ between the game at two revisions, with their values at each.
+//
+// Query parameters:
+// from - revision, default: the one before "to" (0 is the game before the first revision)
+// to   - revision, default: the latest
+//
+// Example: /pgn/:pgn_id/revisions/diff?from=1&to=3
+//
+// Response:
+//{
+//  "pgn_id": "...", "from": 1, "to": 3,
+//  "changes": [{ "field": "white", "from": "Carlsen, M.", "to": "Carlsen, Magnus" }]
+//}
+// A deleted game has no fields: all its fields show up as changed from or to null.
+//
+const getRevisionDiff = async (req, res) => {
+  const { pgn_id } = req.params;
+  if (!isUuid(pgn_id)) {
+    return res.status(400).json({ message: 'Invalid pgn_id format' });
+  }
+
+  try {
+    const history = await _getHistory(pgn_id);
+    if (!history) {
+      return res.status(404).json({ message: 'PGN not found' });
+    }
+    const { current, revisions } = history;
+    const latest = revisions.length > 0 ? revisions[revisions.length - 1].rev : 0;
+    const to = req.query.to !== undefined ? _getRev(req.query.to) : latest;
+    const from = req.query.from !== undefined ? _getRev(req.query.from) : Math.max(to - 1, 0);
+    if (isNaN(from) || isNaN(to)) {
+      return res.status(400).json({ message: 'Invalid revisions', error: 'from and to must be revision numbers.' });
+    }
+
+    let changes;
+    try {
+      changes = diffFields(stateAtRevision(current, revisions, from), stateAtRevision(current, revisions, to));
+    } catch (error) {
+      return res.status(400).json({ message: 'Invalid revisions', error: error.message });
+    }
+    res.status(200).json({ pgn_id, from, to, changes });
+  } catch (error) {
+    res.status(500).json({ message: 'Error comparing revisions', error: error.message });
+  }
+};
+
+//
+// revertPgnImpl
+//
+// Brings the game back to what it was at revision rev. This is a revision of its own (revert), or, if the game had
+// been deleted, it is stored again (restore), under its pgn_id and _id.
+//
+// parameters: pgn_id, rev, options { user }
+//
+// returns: { pgn, revision } (revision null if the game was at rev already), null if there is no such game.
+// Throws if there is no such revision or the game did not exist at it.
+//
+const revertPgnImpl = async (pgn_id, rev, { user = null } = {}) => {
+  const history = await _getHistory(pgn_id);
+  if (!history) {
+    return null;
+  }
+  const { current, revisions } = history;
+  let { pgn } = history;
+
+  const state = stateAtRevision(current, revisions, rev);
+  if (!state) {
+    throw new Error(`The game was deleted at revision ${rev}, revert to the revision before.`);
+  }
+  // null stands for "not set"
+  const fields = Object.fromEntries(Object.entries(state).map(([field, value]) => [field, value === null ? undefined : value]));
+
+  if (pgn) {
+    pgn.set(fields);
+  } else {
+    // The _id the game had, so the users' pgngames find it again (revisions from before _id was recorded have none)
+    const withId = [...revisions].reverse().find(revision => revision.game);
+    pgn = new PgnSchema({ ...(withId ? { _id: withId.game } : {}), pgn_id, ...fields });
+  }
+  const revision = await saveWithRevision(pgn, current ? 'revert' : 'restore', current, { user, revertedTo: rev });
+  return { pgn, revision };
+};
+
+//
+// POST: /pgn/:pgn_id/revert/:rev
+//
+// Summary: Reverts the game to revision rev (0: before the first revision), a deleted game is restored.
+// Nothing is lost: the revert is a revision itself and can be reverted in turn.
+//
+// Response: { "message": "PGN reverted to revision 2", "rev": 5, "pgn": { ... } }, rev is the new revision
+//
+const revertPgn = async (req, res) => {
+  const { pgn_id } = req.params;
+  if (!isUuid(pgn_id)) {
+    return res.status(400).json({ message: 'Invalid pgn_id format' });
+  }
+  const rev = _getRev(req.params.rev);
+  if (isNaN(rev)) {
+    return res.status(400).json({ message: 'Invalid revision', error: `${req.params.rev} is not a revision number.` });
+  }
+
+  try {
+    const reverted = await revertPgnImpl(pgn_id, rev, { user: req.user ? req.user._id : null });
+    if (!reverted) {
+      return res.status(404).json({ message: 'PGN not found' });
+    }
+    const { pgn, revision } = reverted;
+    res.status(200).json({
+      message: revision && revision.action === 'restore' ? `PGN restored as of revision ${rev}` : `PGN reverted to revision ${rev}`,
+      rev: revision ? revision.rev : null,
+      pgn
+    });
+  } catch (error) {
+    res.status(400).json({ message: 'Error reverting PGN', error: error.message });
+  }
+};
+
+module.exports = {
+  getRevisions,
+  getRevisionDiff,
+  revertPgn,
+  revertPgnImpl
+};
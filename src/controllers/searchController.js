@@ -0,0 +1,320 @@
+//
+// searchController.js
+//
+// Searches in the stored games that go beyond the fields of PgnSchema.
+//
+
+const mongoose = require('mongoose');
+const PgnSchema = require('../schemas/pgnSchema');
+const { validateFen } = require('../utils/chessUtils');
+const { searchKey, matchingPlies } = require('../utils/positionIndex');
+const { rangeConditions, escapeRegex } = require('../utils/normalizedFields');
+const { getPagination } = require('../utils/pagination');
+
+// Page size of the search results: default and maximum
+const defaultLimit = 20;
+const maxLimit = 100;
+
+// What a search result shows of a game
+const resultFields = { pgn_id: 1, event: 1, site: 1, date: 1, round: 1, white: 1, black: 1, result: 1, eco: 1, whiteElo: 1, blackElo: 1,
+  plyCount: 1, dateParts: 1, whiteRating: 1, blackRating: 1 };
+
+// The fields the game search can sort by, all of them indexed. Without sort, the games come in the order they were stored.
+const sortFields = ['date', 'white', 'black', 'result', 'eco', 'plyCount', 'whiteElo', 'blackElo'];
+
+// Dates and ratings are sorted by their normalized fields (src/utils/normalizedFields.js), the tags do not sort as dates and numbers
+const sortPaths = { date: 'dateParts.start', whiteElo: 'whiteRating', blackElo: 'blackRating' };
+
+const resultValues = ['1-0', '0-1', '1/2-1/2', '*'];
+
+// The status and issue codes of the validation, see src/utils/gameValidation.js
+const validationValues = ['ok', 'warning', 'error'];
+const issueCodes = ['illegal-move', 'replay-failed', 'result-mismatch', 'missing-tag', 'malformed-tag'];
+
+const _isTrue = (value) => value === true || value === 'true';
+
+const _getNumber = (query, name) => {
+  if (query[name] === undefined || query[name] === '') {
+    return undefined;
+  }
+  const value = parseInt(query[name]);
+  if (isNaN(value)) {
+    throw new Error(`${name} must be a number.`);
+  }
+  return value;
+};
+
+// 'B20-B99,E60' -> [{ eco: { $gte: 'B20', $lte: 'B99' } }, { eco: 'E60' }]
+const _ecoConditions = (value) => String(value).split(',').map(part => part.trim()).filter(part => part).map(part => {
+  const [from, to = from] = part.toUpperCase().split(/\s*[-–]\s*/);
+  if (![from, to].every(code => /^[A-E]\d\d$/.test(code)) || from > to) {
+    throw new Error(`Invalid ECO code or range ${part}, e.g. B90 or B20-B99.`);
+  }
+  return from === to ? { eco: from } : { eco: { $gte: from, $lte: to } };
+});
+
+//
+// INTERNAL: _getSearchFilter
+//
+// returns: the MongoDB filter of the game search, throws on invalid values
+//
+const _getSearchFilter = (query) => {
+  const conditions = [];
+
+  if (query.player) {
+    const color = query.color;
+    if (color !== undefined && color !== 'white' && color !== 'black') {
+      throw new Error('color must be white or black.');
+    }
+    const name = new RegExp('^' + escapeRegex(String(query.player).trim()), 'i');
+    conditions.push(color ? { [color]: name } : { $or: [{ white: name }, { black: name }] });
+  }
+
+  // Elo and date ranges on the normalized fields. Games with an unknown rating or date do not match them.
+  conditions.push(...rangeConditions(query));
+
+  if (query.result) {
+    const results = String(query.result).split(',').map(result => result.trim());
+    const invalid = results.find(result => !resultValues.includes(result));
+    if (invalid !== undefined) {
+      throw new Error(`Invalid result ${invalid}. Valid results: ${resultValues.join(', ')}`);
+    }
+    conditions.push({ result: { $in: results } });
+  }
+
+  if (query.eco) {
+    conditions.push({ $or: _ecoConditions(query.eco) });
+  }
+
+  // Text search in event and site, case-insensitive
+  for (const field of ['event', 'site']) {
+    if (query[field]) {
+      conditions.push({ [field]: new RegExp(escapeRegex(String(query[field]).trim()), 'i') });
+    }
+  }
+
+  // Games flagged by the validation (stored with the game, games replayed before it existed need the replay job)
+  for (const [name, field, values] of [['validation', 'validation.status', validationValues], ['issue', 'validation.issues.code', issueCodes]]) {
+    if (query[name]) {
+      const requested = String(query[name]).split(',').map(value => value.trim());
+      const invalid = requested.find(value => !values.includes(value));
+      if (invalid !== undefined) {
+        throw new Error(`Invalid ${name} ${invalid}. Valid values: ${values.join(', ')}`);
+      }
+      conditions.push({ [field]: { $in: requested } });
+    }
+  }
+
+  const minPlies = _getNumber(query, 'minPlies');
+  const maxPlies = _getNumber(query, 'maxPlies');
+  if (minPlies !== undefined || maxPlies !== undefined) {
+    const plyCount = {};
+    if (minPlies !== undefined) plyCount.$gte = minPlies;
+    if (maxPlies !== undefined) plyCount.$lte = maxPlies;
+    conditions.push({ plyCount });
+  }
+
+  return conditions;
+};
+
+//
+// INTERNAL: _getSort
+//
+// returns: { sort (field name, '_id' if none), path (the field sorted by), order (1 or -1) }, throws on invalid values
+//
+const _getSort = (query) => {
+  const sort = query.sort || '_id';
+  if (sort !== '_id' && !sortFields.includes(sort)) {
+    throw new Error(`Invalid sort field ${sort}. Valid sort fields: ${sortFields.join(', ')}`);
+  }
+  const order = query.order || 'asc';
+  if (order !== 'asc' && order !== 'desc') {
+    throw new Error('order must be asc or desc.');
+  }
+  return { sort, path: sortPaths[sort] || sort, order: order === 'asc' ? 1 : -1 };
+};
+
+// The value of a field of a game, also of a nested one ('dateParts.start')
+const _valueAt = (game, path) => path.split('.').reduce((value, key) => (value === undefined || value === null ? value : value[key]), game);
+
+// Cursor of the next page: the sort value and the _id of the last game of the page, and the sort it belongs to
+const _encodeCursor = (game, { sort, path, order }) =>
+  Buffer.from(JSON.stringify({ s: sort, o: order, v: sort === '_id' ? null : _valueAt(game, path) ?? null, id: String(game._id) })).toString('base64url');
+
+const _decodeCursor = (cursor, { sort, path, order }) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid cursor.');
+  }
+  if (!decoded || !mongoose.isValidObjectId(decoded.id)) {
+    throw new Error('Invalid cursor.');
+  }
+  if (decoded.s !== sort || decoded.o !== order) {
+    throw new Error('The cursor belongs to another sort order.');
+  }
+  // Dates come back from JSON as strings
+  const value = path === sortPaths.date && decoded.v !== null ? new Date(decoded.v) : decoded.v;
+  if (value instanceof Date && isNaN(value)) {
+    throw new Error('Invalid cursor.');
+  }
+  return { value, id: new mongoose.Types.ObjectId(decoded.id) };
+};
+
+//
+// INTERNAL: _afterCursor
+//
+// The games after the cursor in the sort order (sort field, then _id). Games stored in the meantime do not
+// shift the pages, they show up where they belong in the order. Games without a value of the sort field
+// (null) come first in ascending and last in descending order, as MongoDB sorts them.
+//
+const _afterCursor = ({ value, id }, { sort, path, order }) => {
+  const next = order === 1 ? '$gt' : '$lt';
+  if (sort === '_id') {
+    return { _id: { [next]: id } };
+  }
+  if (value === null) {
+    return order === 1
+      ? { $or: [{ [path]: null, _id: { $gt: id } }, { [path]: { $ne: null } }] }
+      : { [path]: null, _id: { $lt: id } };
+  }
+  const after = [{ [path]: { [next]: value } }, { [path]: value, _id: { [next]: id } }];
+  if (order === -1) {
+    after.push({ [path]: null });
+  }
+  return { $or: after };
+};
+
+//
+// GET: /pgns/search
+//
+// Summary: Searches the games by players, ratings, dates, result, ECO codes, event, site and length,
+// sorted and paginated by cursor: the response of a page holds the cursor of the next one.
+// Unlike page numbers, cursors do not skip or repeat games when games are stored in the meantime.
+//
+// Query parameters (all optional):
+// player      - the beginning of a player's name, case-insensitive: "carlsen" finds "Carlsen, Magnus" ...
+// color       - ... as white or black only
+// minElo      - both players rated at least ...
+// maxElo      - ... and at most this; minWhiteElo, maxWhiteElo, minBlackElo, maxBlackElo for one side only
+// since       - games played from this date on: 2020, 2020.05 or 2020-05-17
+// until       - games played up to this date, same format (until=2020.05 includes all of May)
+// eventSince, eventUntil - the same for the date the event started (EventDate)
+// result      - 1-0, 0-1, 1/2-1/2 or *, more than one separated by commas
+// eco         - ECO codes and ranges, separated by commas: B90 or B20-B99,E60-E99
+// event, site - contains this text, case-insensitive
+// minPlies    - games with at least ...
+// maxPlies    - ... and at most this number of plies (games replayed before plyCount existed need the replay job)
+// validation  - ok, warning or error, more than one separated by commas: the games flagged so by the validation
+// issue       - games with issues of this code: illegal-move, replay-failed, result-mismatch, missing-tag, malformed-tag
+// sort        - date, white, black, result, eco, plyCount, whiteElo or blackElo; default: the order the games were stored.
+//               Games with an unknown date or rating come first in ascending order. Ratings and dates are read from the
+//               normalized fields (games stored before they existed need the normalize job, POST /pgns/normalize)
+// order       - asc (default) or desc
+// limit       - games per page, default 20, at most 100
+// cursor      - nextCursor of the previous page
+// total       - true: count the matching games as well (costs an extra query)
+//
+// Example: /pgns/search?player=carlsen&minElo=2700&since=2015&eco=B20-B99&sort=date&order=desc
+//
+// Response: { limit, sort, order, count, nextCursor (null on the last page), total (if asked for), data: [{ pgn_id, white, black, ... }] }
+//
+const searchGames = async (req, res) => {
+  let conditions;
+  let sorting;
+  let after = null;
+  try {
+    conditions = _getSearchFilter(req.query);
+    sorting = _getSort(req.query);
+    if (req.query.cursor) {
+      after = _afterCursor(_decodeCursor(req.query.cursor, sorting), sorting);
+    }
+  } catch (error) {
+    return res.status(400).json({ message: 'Invalid search parameters', error: error.message });
+  }
+  const { limit } = getPagination(req.query, defaultLimit, maxLimit);
+
+  try {
+    const filter = conditions.length > 0 ? { $and: conditions } : {};
+    const pageFilter = after ? { $and: conditions.concat(after) } : filter;
+    const sort = sorting.sort === '_id' ? { _id: sorting.order } : { [sorting.path]: sorting.order, _id: sorting.order };
+
+    const [games, total] = await Promise.all([
+      PgnSchema.find(pageFilter, resultFields).sort(sort).limit(limit + 1).lean(),
+      _isTrue(req.query.total) ? PgnSchema.countDocuments(filter) : undefined
+    ]);
+
+    const page = games.slice(0, limit);
+    const nextCursor = games.length > limit ? _encodeCursor(page[page.length - 1], sorting) : null;
+
+    res.status(200).json({
+      limit,
+      sort: sorting.sort === '_id' ? null : sorting.sort,
+      order: sorting.order === 1 ? 'asc' : 'desc',
+      count: page.length,
+      nextCursor,
+      ...(total !== undefined && { total }),
+      data: page.map(({ _id, ...game }) => game)
+    });
+  } catch (error) {
+    console.error('Error in searchGames:', error);
+    res.status(500).json({ message: 'Error searching games', error: error.message });
+  }
+};
+
+//
+// POST: /pgns/search/position
+//
+// Summary: Finds all games that reached the position, with the plies at which they reached it
+// (0 is the start position, 1 the position after White's first move, and so on).
+// Games stored before the position index existed are found once the replay job has indexed them (POST /pgns/replay).
+//
+// Body:
+//{
+//  "fen": "r1bqkbnr/pppp1ppp/2n5/4p3/4P3/5N2/PPPP1PPP/RNBQKB1R w KQkq - 2 3",
+//  "ignoreSideToMove": false,   // optional, also find the position with the other side to move
+//  "ignoreCastling": false,     // optional, also find the position with other castling rights
+//  "page": 1,                   // optional, default 1
+//  "limit": 20                  // optional, default 20, at most 100
+//}
+//
+// Response: { page, limit, total, totalPages, data: [{ pgn_id, white, black, ..., plies: [5], ply: 5 }] }
+// where ply is the first ply at which the game reached the position.
+//
+const searchPosition = async (req, res) => {
+  try {
+    const { fen } = req.body;
+    if (typeof fen !== 'string' || !validateFen(fen.trim()).ok) {
+      const reason = typeof fen === 'string' ? validateFen(fen.trim()).error : 'fen is missing';
+      return res.status(400).json({ message: 'Invalid FEN', error: reason });
+    }
+
+    const options = {
+      ignoreSideToMove: _isTrue(req.body.ignoreSideToMove),
+      ignoreCastling: _isTrue(req.body.ignoreCastling)
+    };
+    const { page, limit, skip } = getPagination(req.body, defaultLimit, maxLimit);
+    const filter = { positionKeys: searchKey(fen, options) };
+
+    const [games, total] = await Promise.all([
+      PgnSchema.find(filter, { ...resultFields, setup: 1, FEN: 1, 'plies.fen': 1 }).sort({ _id: 1 }).skip(skip).limit(limit).lean(),
+      PgnSchema.countDocuments(filter)
+    ]);
+
+    const data = games.map(({ _id, setup, FEN, plies, ...game }) => {
+      const found = matchingPlies({ setup, FEN, plies }, fen, options);
+      return { ...game, ply: found[0], plies: found };
+    });
+
+    res.status(200).json({ page, limit, total, totalPages: Math.ceil(total / limit), ...options, data });
+  } catch (error) {
+    console.error('Error in searchPosition:', error);
+    res.status(500).json({ message: 'Error searching position', error: error.message });
+  }
+};
+
+module.exports = {
+  searchGames,
+  searchPosition
+};
@@ -12,15 +12,16 @@ const {
   getPgnByPgnIdImpl,
   updatePgnByPgnIdImpl } = require('./pgnController'); // Is this good practice? Should we import the implementation functions from the controller?
 
-
-// Path to the Stockfish engine executable. Actually we are in the controllers folder, so we need to go up two levels to find the engines folder.
-
-const stockfishPath = '../../engines/stockfish/16/stockfish-windows-x86-64-sse41-popcnt.exe';
-const enginePath = path.resolve(__dirname, stockfishPath);
+// The engines we can run (name, binary path per platform, default UCI options) are listed
+// in the engine registry, see src/config/engines.json.
+const {
+  listEngines: listRegisteredEngines,
+  getEngineConfig,
+  isEngineAvailable } = require('../utils/engineRegistry');
 
 /// FEN start position for the chess board. As we are using the UCI protocol, we need to provide the initial position in Forsyth-Edwards Notation (FEN).
 // As we build up the game history from the initial position by adding a moves array we need this constant more often ;-)
-const FENstartposition = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+const { FENstartposition } = require('../utils/chessUtils');
 
 // Check if the file exists and is executable
 const doesExist = async (filePath) => {
@@ -39,46 +40,102 @@ const isExecutable = async (filePath) => {
   }
 };
 
-let Engine;
+// Every client works on its own engine process, see src/utils/engineSessions.js.
+// The engine routes get the caller's session attached as req.engineSession by the requireEngineSession middleware.
+const {
+  sessionEvents,
+  poolSize,
+  isPoolFull,
+  freeSessionCount,
+  createSession,
+  useSession,
+  closeSession } = require('../utils/engineSessions');
+const { parseInfoLine, parseBestMoveLine } = require('../utils/uciInfo');
+const {
+  validateFen,
+  moveToUci,
+  replayMoves,
+  pgnMovetextToSan } = require('../utils/chessUtils');
+const { getSearchParams, hasSearchLimits } = require('../utils/engineSearch');
+const { cachedSearch } = require('../utils/evalCache');
 
-// Import the chess-uci library (no other chance to do this, because it is ES6 and "require"" is blocked)
-// https://github.com/tidynail/chess-uci
-// https://www.npmjs.com/package/chess-uci
 //
-import('chess-uci').then(chessUci => {
-  Engine = chessUci.Engine;
-}).catch(error => {
-  console.error('Failed to import chess-uci:', error);
-  });
-
-let stockfish; // Stockfish engine instance, is being initialized in initEngine.
+// GET: /engines
+//
+// Lists the engines registered for the platform we are running on,
+// and whether their binaries are actually there.
+//
+const listEngines = async (req, res) => {
+  try {
+    const engines = listRegisteredEngines().map(engine => ({
+      name: engine.name,
+      description: engine.description,
+      platform: engine.platform,
+      options: engine.options,
+      isDefault: engine.isDefault,
+      available: isEngineAvailable(engine)
+    }));
+    res.status(200).json({ count: engines.length, engines });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
 
+//
+// GET: /engine/sessions
+//
+// The pool size and how many of its sessions are in use. Not the sessions themselves: their ids are all it takes
+// to use an engine (requireEngineSession).
+//
+// Response: { "poolSize": 2, "inUse": 1 }
+//
+const getEngineSessions = async (req, res) => {
+  res.status(200).json({ poolSize: poolSize(), inUse: poolSize() - freeSessionCount() });
+};
 
+//
+// initEngine
+//
+// POST: /engine/init
+//
+// Starts a new engine session. The returned sessionId has to be passed to all other engine routes
+// (header "X-Engine-Session", or "sessionId" in the body or query).
+//
+// Body (all optional):
+//{
+//  "engine": "stockfish",                   // name in the engine registry, default engine if missing
+//  "options": { "Threads": 4, "Hash": 256 }  // override the registry's default UCI options
+//}
+// An engine that is not registered for this platform is answered with 404 and the names of those that are (GET /engines).
 const initEngine = async (req, res) => {
   try {
-    await doesExist(enginePath);
-    await isExecutable(enginePath);
-    if (!stockfish) {
-      // Make sure the Engine class has been imported
-      if (!Engine) {
-        throw new Error('Engine class not loaded yet');
+    // Inside the try, the registry may be missing or invalid
+    if (req.body.engine !== undefined) {
+      const engines = listRegisteredEngines().map(engine => engine.name);
+      if (!engines.includes(req.body.engine)) {
+        return res.status(404).json({ error: `Unknown engine "${req.body.engine}". Known engines: ${engines.join(', ')}`, engines });
       }
-      stockfish = new Engine(enginePath, { log: true });   // log all messages
-      console.log("@@@@@@@@@@@@@@@@@@@@" , stockfish);
-
-      await stockfish.uci(); // Tell the engine we are talking UCI
-      stockfish.position(); // Set the initial position, which might not be the start position later
-      await stockfish.isready(); // Are you ready?
+    }
 
-        stockfish.on('data', (data) => {
-        sendLogUpdate(data.toString());
-      });
+    const engineConfig = getEngineConfig(req.body.engine);
+    const enginePath = engineConfig.path;
 
+    await doesExist(enginePath);
+    await isExecutable(enginePath);
 
-      res.status(200).json({ status: 'Stockfish engine initialized and ready to use.' });
-    } else {
-      res.status(200).json({ status: 'Stockfish engine is already initialized.' });
+    if (isPoolFull()) {
+      return res.status(503).json({ error: `All ${poolSize()} engine sessions are in use, try again later.` });
     }
+
+    const session = await createSession(engineConfig.name, req.body.options || {});
+
+    res.status(200).json({
+      status: `Engine ${engineConfig.name} initialized and ready to use.`,
+      sessionId: session.id,
+      engine: engineConfig.name,
+      id: session.engine.id,
+      options: session.options
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -88,14 +145,13 @@ const initEngine = async (req, res) => {
 // quitEngine
 //
 // POST: /engine/quit
+//
+// Terminates the caller's engine process, other sessions are not affected.
+// The session id is gone afterwards, call /engine/init again for a new one.
 const quitEngine = async (req, res) => {
   try {
-    if (!stockfish) {
-      return res.status(500).json({ error: 'Stockfish engine is not initialized.' });
-    }
-
-    await stockfish.quit();
-    res.status(200).json({ status: 'Stockfish terminated successfully.' });
+    await closeSession(req.engineSession.id);
+    res.status(200).json({ status: 'Engine terminated successfully.', sessionId: req.engineSession.id });
   } catch (error) {
     console.error('Failed to quit:', error);
     res.status(500).json({ error: 'Failed to quit', details: error.message });
@@ -108,12 +164,8 @@ const quitEngine = async (req, res) => {
 // POST: /engine/stop
 const stopEngine = async (req, res) => {
   try {
-    if (!stockfish) {
-      return res.status(500).json({ error: 'Stockfish engine is not initialized.' });
-    }
-
-    await stockfish.stop();
-    res.status(200).json({ status: 'Stockfish calculations stopped!' });
+    await req.engineSession.engine.stop();
+    res.status(200).json({ status: 'Engine calculations stopped!' });
   } catch (error) {
     console.error('Failed to stop calculations:', error);
     res.status(500).json({ error: 'Failed to to stop calculations', details: error.message });
@@ -123,28 +175,42 @@ const stopEngine = async (req, res) => {
 
 
 /**
- * Handles a request to make a move with the Stockfish engine.
- * The search depth for the move can be specified as a parameter in the URL.
- * If no depth is specified, a default value of 20 is used.
+ * Handles a request to make a move with the engine of the caller's session.
  *
- * req -  The search depth should be specified as a parameter in the URL.
- * res -  The best move found by the engine will be included in the response body.
+ * POST: /engine/move/:depth  - the search depth is given in the URL (default 20)
+ * POST: /engine/move         - the search is described by the JSON body, see src/utils/engineSearch.js:
+ *                              depth, movetime, nodes, mate, wtime/btime/winc/binc/movestogo, searchmoves, multipv
+ *
+ * Depth limited searches are answered from the evaluation cache (src/utils/evalCache.js) if the position
+ * has been searched at least as deep before. "cache": false in the body forces a fresh search.
+ *
+ * Example: "Show me the three best moves", searching 2 seconds
+ *{
+ *  "movetime": 2000,
+ *  "multipv": 3
+ *}
+ *
+ * res -  The best move found by the engine and the top lines (score and PV each) are included in the response body.
  */
 const makeMove = async (req, res) => {
+  let search;
   try {
-    // Check if the Stockfish engine is initialized
-    if (!stockfish) {
-      return res.status(500).json({ error: 'Stockfish engine is not initialized.' });
-    }
+    search = getSearchParams({ ...req.body, depth: req.params.depth || req.body.depth });
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid search parameters', details: error.message });
+  }
 
-    // Get the search depth from the URL, or use a default value of 20
-    const depth = req.params.depth || 20;
+  // Without any limit we would search forever, so use a default depth of 20
+  if (!hasSearchLimits(search.limits)) {
+    search.limits.depth = 20;
+  }
 
-    // Start the engine's calculation process with the specified search depth
-    const result = await stockfish.go({ depth: Number(depth) });
+  try {
+    // Start the engine's calculation process with the specified search limits
+    const result = await useSession(req.engineSession, session => cachedSearch(session, search, req.body.cache !== false));
 
     // Send a response with the best move found by the engine
-    res.status(200).json({ bestMove: result.bestmove });
+    res.status(200).json({ bestMove: result.bestmove, ponder: result.ponder, lines: result.lines, cached: result.cached });
   } catch (error) {
     // Log the error and send a response with an error status code and message
     console.error('Failed to make move:', error);
@@ -158,26 +224,36 @@ const makeMove = async (req, res) => {
 // 
 //  POST: /engine/analyze
 //  Summary: Set analysis modus that can be interrrupted by stopping the engine. So you have to stop the engine explicitly.
+//  The body takes the same search parameters as /engine/move (multipv, searchmoves, ...). Only when it contains
+//  a limit (depth, movetime, nodes, ...) the analysis ends by itself, otherwise it runs as "go infinite".
+//  Like /engine/move, depth limited analyses are served from the evaluation cache unless "cache" is false.
 //  Example: POST http://localhost:7000/engine/analyze
 //   const data = await response.json();
 //   const bestMove = data.bestmove;
 //   const ponder = data.ponder;
+//   const lines = data.lines; // [{ multipv, depth, score, pv: { uci, san } }]
 //
 const analyze = async (req, res) => {
+  let search;
   try {
-    if (stockfish) {
-      const result = await stockfish.go(); // This should pass "go infinite" and run until stopped explicitly
-      // ..and continue here when stopped:
-      const bestmove = result.bestmove;    // Extracting the best move
-      const ponder = result.ponder;        // Extracting the ponder move
-      res.status(200).json({
-        status: 'Stockfish returned from analysis mode.',
-        bestmove: bestmove,
-        ponder: ponder
-      });
-    } else {
-      res.status(400).json({ status: 'Stockfish engine not initialized.' });
-    }
+    search = getSearchParams(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid search parameters', details: error.message });
+  }
+
+  try {
+    // Without limits this passes "go infinite" and runs until stopped explicitly
+    const result = await useSession(req.engineSession, session => cachedSearch(session, search, req.body.cache !== false));
+    // ..and continue here when stopped:
+    const bestmove = result.bestmove;    // Extracting the best move
+    const ponder = result.ponder;        // Extracting the ponder move
+    res.status(200).json({
+      status: 'Engine returned from analysis mode.',
+      bestmove: bestmove,
+      ponder: ponder,
+      lines: result.lines,
+      cached: result.cached
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -188,7 +264,7 @@ const analyze = async (req, res) => {
 //  Setposition
 //  POST: /engine/setposition
 //
-//  Expecting FEN string and LAN array in the request body. We can handle this as JSON object,
+//  Expecting FEN string and a moves array or PGN movetext in the request body. We can handle this as JSON object,
 // also in Postman, we can use the raw JSON format to send the request.
 //
 // The moves in the position command of the UCI protocol are expected to be in
@@ -200,6 +276,9 @@ const analyze = async (req, res) => {
 // g1f3: Knight moves from g1 to f3
 // e7e8q: Pawn moves from e7 to e8 and promotes to a queen
 //
+// We accept SAN as well (e4, Nf3, e8=Q), even mixed with LAN, and convert everything to LAN with chess.js
+// before the engine gets to see it. The FEN and every move are validated, so the engine cannot get out of sync.
+//
 //{
 //  "fen": "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1",
 //    "moves": ["e2e4", "e7e5", "g1f3"]
@@ -207,18 +286,61 @@ const analyze = async (req, res) => {
 // or
 //{
 //  "fen": "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1",
+//    "moves": ["e4", "e5", "Nf3"]
+//}
+// or
+//{
+//  "fen": "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1",
 //    "pgn": "1. e4 e5 2. Nf3 Nc6 3. Bb5 a6"
 //}
+//
+// Response: the resulting FEN, the side to move and the legal moves in the resulting position.
+// Illegal input is rejected with 400, for illegal moves the offending ply (1-based) is returned.
 const setPosition = async (req, res) => {
-  try {
-    if (!stockfish) {
-      return res.status(500).json({ error: 'Stockfish engine is not initialized.' });
+  const fen = req.body.fen || FENstartposition; // Use the FEN string from the request body, or the start position if it's not provided
+
+  const fenCheck = validateFen(fen);
+  if (!fenCheck.ok) {
+    return res.status(400).json({ error: 'Invalid FEN', details: fenCheck.error });
+  }
+
+  // The moves from the request body, or an empty array if they're not provided
+  let moves = req.body.moves || [];
+  if (req.body.pgn) {
+    try {
+      moves = pgnMovetextToSan(req.body.pgn);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid PGN', details: error.message });
     }
+  }
+  if (!Array.isArray(moves)) {
+    return res.status(400).json({ error: 'moves must be an array of moves in UCI or SAN notation.' });
+  }
 
-    const fen = req.body.fen || 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1'; // Use the FEN string from the request body, or the start position if it's not provided
-    const moves = req.body.moves || []; // Use the moves from the request body, or an empty array if they're not provided
-    await stockfish.position({ fen, moves });
-    res.status(200).json({ status: 'Position set successfully' });
+  let plies;
+  try {
+    plies = replayMoves(fen, moves);
+  } catch (error) {
+    return res.status(400).json({ error: 'Illegal move', details: error.message, ply: error.ply, move: moves[error.ply - 1] });
+  }
+
+  try {
+    const uciMoves = plies.map(ply => ply.uci);
+    await req.engineSession.engine.position({ fen, moves: uciMoves });
+
+    // Remember the position, e.g. for the SAN conversion of the live analysis
+    const resultingFen = plies.length > 0 ? plies[plies.length - 1].fen : fen;
+    req.engineSession.fen = resultingFen;
+
+    const chess = new Chess(resultingFen);
+    res.status(200).json({
+      status: 'Position set successfully',
+      fen: resultingFen,
+      turn: chess.turn(),
+      moves: uciMoves,
+      san: plies.map(ply => ply.san),
+      legalMoves: chess.moves({ verbose: true }).map(move => ({ uci: moveToUci(move), san: move.san }))
+    });
   } catch (error) {
     console.error('Failed to set position:', error);
     res.status(500).json({ error: 'Failed to set position', details: error.message });
@@ -280,7 +402,20 @@ const updateGame = async (req, res) => {
 };
 
 
-// SSE endpoint to handle client connections
+//
+// SSE: Live analysis stream
+//
+// GET: /sse?sessionId=<engine session id>
+//
+// While the engine of the session searches (e.g. /engine/analyze running infinitely), every "info" line
+// with an evaluation is pushed as an "info" event, the end of a search as "bestmove" event
+// (see src/utils/uciInfo.js for the format). "close" is sent when the engine session ends.
+//
+// Example (browser):
+// const source = new EventSource(`/sanctuary/stockfishrouter/sse?sessionId=${sessionId}`);
+// source.addEventListener('info', (e) => updateEvalBar(JSON.parse(e.data)));
+// source.addEventListener('bestmove', (e) => showBestMove(JSON.parse(e.data)));
+//
 let clients = []; // Array to hold SSE clients
 
 const sse = (req, res) => {
@@ -292,22 +427,44 @@ const sse = (req, res) => {
   const clientId = Date.now();
   const newClient = {
     id: clientId,
+    sessionId: req.engineSession.id,
     res
   };
 
   clients.push(newClient);
 
   req.on('close', () => {
-    clients = clients.filter(client => client.id !== clientId);
+    clients = clients.filter(client => client !== newClient);
   });
 };
 
-// Function to send updates to all connected SSE clients
-const sendUpdate = (data) => {
-  clients.forEach(client => client.res.write(`data: ${JSON.stringify(data)}\n\n`));
+// Function to send an event to the SSE clients subscribed to the engine session
+const sendUpdate = (sessionId, event, data) => {
+  clients
+    .filter(client => client.sessionId === sessionId)
+    .forEach(client => client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
 };
 
+// Engine output -> typed events for the subscribers of the session
+sessionEvents.on('line', (session, line) => {
+  const event = parseInfoLine(line, session.fen) || parseBestMoveLine(line, session.fen);
+  if (event) {
+    sendUpdate(session.id, event.type, { sessionId: session.id, ...event });
+  }
+});
+
+// The session is gone, so is the stream
+sessionEvents.on('close', (session) => {
+  sendUpdate(session.id, 'close', { sessionId: session.id });
+  clients
+    .filter(client => client.sessionId === session.id)
+    .forEach(client => client.res.end());
+  clients = clients.filter(client => client.sessionId !== session.id);
+});
+
 module.exports = {
+  listEngines,
+  getEngineSessions,
   initEngine,
   quitEngine,
   stopEngine,
@@ -6,6 +6,8 @@ const UserSchema = require("../schemas/UserSchema");
 const PgnSchema = require("../schemas/pgnSchema"); // SORRY: Express is highly case sensitive! Providing "../schemas/PgnSchema" here leads to an error.
 
 const jwt = require("jsonwebtoken");
+const { writeGames } = require("../utils/pgnWriter");
+const { setPgnDownloadHeaders } = require("./pgnController");
 
 const createToken = (_id) => {
   return jwt.sign({ _id }, process.env.SECRET, { expiresIn: "2d" });
@@ -277,6 +279,39 @@ const deleteAllGamesByUserEmail = async (req, res) => {
   }
 };
 
+//
+// GET: exportGamesByUserEmail
+//
+// Streams the user's games as one PGN file (export format, see src/utils/pgnWriter.js)
+//
+const exportGamesByUserEmail = async (req, res) => {
+  const { email } = req.params;
+  let cursor;
+  try {
+    const user = await UserSchema.findOne({ email }, { pgngames: 1 }).lean();
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    cursor = PgnSchema.find({ _id: { $in: user.pgngames } }, { plies: 0, analysis: 0 }).sort({ _id: 1 }).lean().cursor();
+    setPgnDownloadHeaders(res, `${email.replace(/[^A-Za-z0-9._-]/g, '_')}.pgn`);
+    res.status(200);
+    await writeGames(res, cursor);
+    res.end();
+  } catch (error) {
+    console.error(error);
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).json({ message: 'Error exporting games of user' });
+    }
+  } finally {
+    if (cursor) {
+      await cursor.close();
+    }
+  }
+};
+
 
 module.exports = {
   loginUser,
@@ -290,5 +325,6 @@ module.exports = {
   getGameByPgnIdAndUserEmail,
   addGameByPgnIdAndUserEmail,
   deleteGameByPgnIdAndUserEmail,
-  deleteAllGamesByUserEmail
+  deleteAllGamesByUserEmail,
+  exportGamesByUserEmail
 };
\ No newline at end of file
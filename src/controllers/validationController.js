@@ -0,0 +1,247 @@
+//
+// validationController.js
+//
+// Validation and repair of the stored games (see src/utils/gameValidation.js): the problems of one game, its repair,
+// and both as a job over the whole collection. Every game carries the result of its last validation (PgnSchema.validation),
+// the validation of an import is part of the import report (see importPgnFileImpl in pgnController.js).
+//
+
+const PgnSchema = require('../schemas/pgnSchema');
+const { validate: isUuid } = require('uuid');
+
+const { validateGame, repairGame } = require('../utils/gameValidation');
+const { replayGame, replayVersion } = require('../utils/gameReplay');
+const { gameFingerprint } = require('../utils/pgnDuplicates');
+const { snapshotFields, saveWithRevision, bulkWriteWithRevisions } = require('../utils/pgnRevisions');
+const { registerJobHandler, submitJob } = require('../utils/jobQueue');
+const { updateExplorerStats } = require('../utils/explorerStats');
+
+// Games per bulkWrite, as for the other jobs over the collection
+const batchSize = () => parseInt(process.env.PGN_IMPORT_BATCH_SIZE) || 500;
+
+// Games with issues listed in the report of the job, the rest is only counted
+const maxReportedGames = 100;
+
+const validationStatus = ['ok', 'warning', 'error'];
+
+//
+// INTERNAL: _validation
+//
+// The validation of a game, from its plies if they are up to date, else from a new replay
+//
+const _validation = (pgn) =>
+  (pgn.replay && pgn.replay.version === replayVersion ? validateGame(pgn) : replayGame(pgn).validation);
+
+//
+// GET: /pgn/:pgn_id/validation
+//
+// Summary: The problems of a game: illegal moves (with the ply), a result the final position contradicts,
+// missing tags of the Seven Tag Roster and malformed tags. fix is the value POST /pgn/:pgn_id/repair would set.
+//
+// Response:
+//{
+//  "pgn_id": "...", "status": "error", "fixable": 1,
+//  "issues": [{ "code": "result-mismatch", "severity": "error", "field": "result",
+//               "message": "Result is \"1-0\", but White is checkmated: 0-1.", "fix": "0-1" }, ...]
+//}
+//
+const getValidationByPgnId = async (req, res) => {
+  const { pgn_id } = req.params;
+  if (!isUuid(pgn_id)) {
+    return res.status(400).json({ message: 'Invalid pgn_id format' });
+  }
+
+  try {
+    const pgn = await PgnSchema.findOne({ pgn_id }, { analysis: 0 }).lean();
+    if (!pgn) {
+      return res.status(404).json({ message: 'PGN not found' });
+    }
+    const { status, issues } = _validation(pgn);
+    res.status(200).json({ pgn_id, status, fixable: issues.filter(issue => issue.fix !== undefined).length, issues });
+  } catch (error) {
+    console.error('Error in getValidationByPgnId:', error);
+    res.status(500).json({ message: 'Error validating PGN', error: error.message });
+  }
+};
+
+//
+// repairPgnImpl
+//
+// Sets the values that repair the fixable issues of the game. The game is replayed and validated again when it is saved,
+// so what cannot be repaired stays flagged in PgnSchema.validation. The repair is a revision (action 'repair').
+//
+// parameters: pgn_id, options { user }
+//
+// returns: { pgn, repaired (issues), remaining (issues) }, null if there is no such game
+//
+const repairPgnImpl = async (pgn_id, { user = null } = {}) => {
+  const pgn = await PgnSchema.findOne({ pgn_id });
+  if (!pgn) {
+    return null;
+  }
+  const { updates, repaired } = repairGame(pgn, _validation(pgn));
+  if (repaired.length === 0) {
+    // Still brings the stored validation up to date
+    if (!pgn.replay || pgn.replay.version !== replayVersion) {
+      // The replay may classify the game differently
+      const before = snapshotFields(pgn);
+      pgn.set(replayGame(pgn));
+      await saveWithRevision(pgn, 'repair', before, { user });
+    }
+    return { pgn, repaired, remaining: pgn.validation ? pgn.validation.issues || [] : [] };
+  }
+
+  const before = snapshotFields(pgn);
+  pgn.set(updates);
+  await saveWithRevision(pgn, 'repair', before, { user });
+  return { pgn, repaired, remaining: pgn.validation.issues || [] };
+};
+
+//
+// POST: /pgn/:pgn_id/repair
+//
+// Summary: Repairs what can be repaired without guessing: dates in other formats ("2023-05-17" -> "2023.05.17",
+// "Unknown Date" -> "????.??.??"), misspelled results, the result of a checkmate or stalemate, ratings and ECO codes
+// with stray spaces or in lower case. The rest is flagged (validation.status of the game).
+//
+// Response: { "message": "PGN repaired", "repaired": [issues], "remaining": [issues], "pgn": { ... } }
+//
+const repairPgnByPgnId = async (req, res) => {
+  const { pgn_id } = req.params;
+  if (!isUuid(pgn_id)) {
+    return res.status(400).json({ message: 'Invalid pgn_id format' });
+  }
+
+  try {
+    const result = await repairPgnImpl(pgn_id, { user: req.user ? req.user._id : null });
+    if (!result) {
+      return res.status(404).json({ message: 'PGN not found' });
+    }
+    const { pgn, repaired, remaining } = result;
+    res.status(200).json({ message: repaired.length > 0 ? 'PGN repaired' : 'Nothing to repair', repaired, remaining, pgn });
+  } catch (error) {
+    console.error('Error in repairPgnByPgnId:', error);
+    res.status(500).json({ message: 'Error repairing PGN', error: error.message });
+  }
+};
+
+//
+// validatePgnsImpl
+//
+// Validates the stored games, and with repair repairs them. Without repair nothing is written, the job only reports.
+// With repair the games whose stored validation is outdated (replay.version) are replayed as well, so afterwards
+// every game is flagged with what remains (PgnSchema.validation, GET /pgns/search?validation=error).
+//
+// parameters: options { repair, status (only the games whose stored validation.status is one of these) }, context (job context)
+//
+// returns: { checked, ok, warning, error, repaired, fixes, byCode: { code: number of issues }, repair,
+//            games: [{ pgn_id, white, black, status, issues, repaired }] (the first 100 games with issues) }
+//
+const validatePgnsImpl = async ({ repair = false, status }, context) => {
+  const filter = status && status.length > 0 ? { 'validation.status': { $in: status } } : {};
+  const total = await PgnSchema.countDocuments(filter);
+  const report = { checked: 0, ok: 0, warning: 0, error: 0, repaired: 0, fixes: 0, byCode: {}, repair, games: [] };
+
+  let updates = [];
+  let changed = { before: [], after: [] }; // for the revisions and the explorer statistics
+  const write = async () => {
+    await bulkWriteWithRevisions(updates, changed.before, changed.after, 'repair');
+    await updateExplorerStats(changed.before, changed.after);
+    changed = { before: [], after: [] };
+    updates = [];
+  };
+
+  const games = PgnSchema.find(filter).select('-analysis +positionKeys +positionMoves').lean().cursor();
+  for await (const game of games) {
+    const outdated = !game.replay || game.replay.version !== replayVersion;
+    let validation = _validation(game);
+    let repaired = [];
+
+    if (repair) {
+      const repairs = repairGame(game, validation);
+      repaired = repairs.repaired;
+      if (repaired.length > 0 || outdated) {
+        // bulkWrite bypasses the validate hooks, so the derived fields are computed here
+        const repairedGame = { ...game, ...repairs.updates };
+        const derived = replayGame(repairedGame);
+        validation = derived.validation;
+        updates.push({ updateOne: { filter: { _id: game._id }, update: { $set: { ...repairs.updates, ...derived, fingerprint: gameFingerprint(repairedGame) } } } });
+        changed.before.push(game);
+        changed.after.push({ ...repairedGame, ...derived });
+        if (repaired.length > 0) {
+          report.repaired++;
+          report.fixes += repaired.length;
+        }
+      }
+    }
+
+    report.checked++;
+    report[validation.status]++;
+    for (const issue of validation.issues) {
+      report.byCode[issue.code] = (report.byCode[issue.code] || 0) + 1;
+    }
+    if ((validation.issues.length > 0 || repaired.length > 0) && report.games.length < maxReportedGames) {
+      report.games.push({ pgn_id: game.pgn_id, white: game.white, black: game.black, status: validation.status, issues: validation.issues, repaired });
+    }
+
+    if (updates.length >= batchSize()) {
+      await write();
+    }
+    if (report.checked % 100 === 0) {
+      context.progress(report.checked, total);
+    }
+  }
+  if (updates.length > 0) {
+    await write();
+  }
+  context.progress(total, total);
+
+  console.log(`Validation ${repair ? '(repair) ' : ''}completed: ${report.checked} games, ${report.error} with errors, ${report.warning} with warnings, ${report.repaired} repaired`);
+  return report;
+};
+
+registerJobHandler('validate', (params, context) => validatePgnsImpl(params, context), {
+  engines: 0,
+  validate: (params) => {
+    const invalid = (params.status || []).find(value => !validationStatus.includes(value));
+    if (invalid !== undefined) {
+      throw new Error(`Invalid status ${invalid}. Valid status: ${validationStatus.join(', ')}.`);
+    }
+  }
+});
+
+//
+// POST: validatePgns
+//
+// Summary: Queues the validation of the stored games (see validatePgnsImpl). Responds 202 with the job,
+// GET /jobs/:id shows the progress and the report.
+//
+// Body (optional):
+//{
+//  "repair": true,            // repair what can be repaired and flag the rest, default: report only
+//  "status": "warning,error"  // only the games flagged so, e.g. to repair them again after the games were edited
+//}
+//
+const validatePgns = async (req, res) => {
+  const status = req.body.status ? [].concat(req.body.status).join(',').split(',').map(value => value.trim()).filter(Boolean) : [];
+  const invalid = status.find(value => !validationStatus.includes(value));
+  if (invalid !== undefined) {
+    return res.status(400).json({ message: `Invalid status ${invalid}. Valid status: ${validationStatus.join(', ')}` });
+  }
+
+  try {
+    const job = await submitJob('validate', { repair: req.body.repair === true || req.body.repair === 'true', ...(status.length > 0 && { status }) }, 0);
+    res.status(202).json({ message: 'PGN validation queued', job });
+  } catch (error) {
+    console.error('Error in validatePgns:', error);
+    res.status(500).json({ message: 'Error queueing PGN validation', error: error.message });
+  }
+};
+
+module.exports = {
+  getValidationByPgnId,
+  repairPgnByPgnId,
+  validatePgns,
+  repairPgnImpl,
+  validatePgnsImpl
+};
@@ -0,0 +1,30 @@
+//
+//  optionalAuth.js
+//
+
+const jwt = require("jsonwebtoken");
+const UserSchema = require("../schemas/UserSchema");
+
+// Like requireAuth, but for routes open to everybody that want to know who it was if they can:
+// without authorization header req.user stays undefined, a token that does not verify is still refused.
+const optionalAuth = async (req, res, next) => {
+  const { authorization } = req.headers;
+
+  if (!authorization) {
+    return next();
+  }
+
+  const token = authorization.split(" ")[1];
+
+  try {
+    // The token carries _id, see createToken in userController.js
+    const { _id } = jwt.verify(token, process.env.SECRET);
+    req.user = await UserSchema.findOne({ _id }).select("_id");
+    next();
+  } catch (error) {
+    console.log(error);
+    res.status(401).json({ error: "Not Authorized" });
+  }
+};
+
+module.exports = optionalAuth;
@@ -19,11 +19,12 @@ const requireAuth = async (req, res, next) => {
   // Verify the token and make sure it hasn't been tampered with
 
   try {
-    const { id } = jwt.verify(token, process.env.SECRET);
+    // The token carries _id, see createToken in userController.js
+    const { _id } = jwt.verify(token, process.env.SECRET);
 
     //attaching the user to the request here in the middleware will make it available in whatever comes after the middleware
     //use the select() method to only attach the id rather than the whole document containing email and pass and so on
-    req.user = await UserSchema.findOne({ _id: id }).select("_id");
+    req.user = await UserSchema.findOne({ _id }).select("_id");
     next();
   } catch (error) {
     console.log(error);
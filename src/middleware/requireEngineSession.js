@@ -0,0 +1,29 @@
+//
+//  requireEngineSession.js
+//
+
+const { getSession } = require("../utils/engineSessions");
+
+// Every engine route works on the engine session returned by POST /engine/init.
+// The session id can be passed
+// 1) in the "X-Engine-Session" header,
+// 2) as "sessionId" in the request body (JSON),
+// 3) as "sessionId" query parameter (for GET requests like the SSE endpoint).
+const requireEngineSession = (req, res, next) => {
+  const sessionId = req.headers["x-engine-session"] || req.body?.sessionId || req.query.sessionId;
+
+  if (!sessionId) {
+    return res.status(400).json({ error: "Engine session id is missing. Call POST /engine/init first." });
+  }
+
+  const session = getSession(sessionId);
+  if (!session) {
+    return res.status(404).json({ error: `Engine session ${sessionId} not found or expired.` });
+  }
+
+  // attaching the session to the request makes it available in the controller
+  req.engineSession = session;
+  next();
+};
+
+module.exports = requireEngineSession;
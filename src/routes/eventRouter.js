@@ -0,0 +1,23 @@
+//
+// eventRouter.js
+//
+// The events of the stored games and their crosstables.
+//
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  getEvents,
+  getEventCrosstable
+} = require("../controllers/eventController");
+
+// GET: getEvents. The events with date span, number of games and players, q to filter by name
+// Example: /events?q=championship
+router.get('/events', getEvents);
+
+// GET: getEventCrosstable. Crosstable (round robin) or standings (swiss) with tiebreaks, as JSON, text or HTML
+// Example: /events/Club Championship 2024/crosstable?format=html
+router.get('/events/:event/crosstable', getEventCrosstable);
+
+module.exports = router;
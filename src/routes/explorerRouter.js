@@ -0,0 +1,31 @@
+//
+// explorerRouter.js
+//
+// Opening explorer on the stored games, and the ECO codes.
+//
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  getExplorer,
+  rebuildExplorerStats
+} = require("../controllers/explorerController");
+const {
+  getEcoByCode
+} = require("../controllers/ecoController");
+
+// GET: getExplorer. The moves played in a position (fen and/or moves), with results and top games
+// Example: /explorer?moves=e4 c5&since=2015&minRating=2500
+router.get('/explorer', getExplorer);
+
+// POST: rebuildExplorerStats. Queues the recount of the explorer statistics of all stored games (job)
+// Example: /explorer/rebuild
+// REVIEW: This route should be protected by a middleware that checks the user's role.
+router.post('/explorer/rebuild', rebuildExplorerStats);
+
+// GET: getEcoByCode. The named lines of an ECO code and the number of stored games with it
+// Example: /eco/B90
+router.get('/eco/:code', getEcoByCode);
+
+module.exports = router;
@@ -0,0 +1,33 @@
+//
+// jobRouter.js
+//
+// Long running (engine) work as jobs: submit, watch the progress, cancel.
+//
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  createJob,
+  getJobTypeList,
+  getJobs,
+  getJobById,
+  deleteJobById
+} = require("../controllers/jobController");
+
+// Submit a job (position, game, batch, ...)
+router.post('/jobs', createJob);
+
+// The job types that can be submitted
+router.get('/jobs/types', getJobTypeList);
+
+// List the jobs, filtered by status and type
+router.get('/jobs', getJobs);
+
+// Status, progress and result of a job
+router.get('/jobs/:id', getJobById);
+
+// Cancel a job
+router.delete('/jobs/:id', deleteJobById);
+
+module.exports = router;
@@ -4,6 +4,7 @@
 
 const express = require('express');
 const router = express.Router();
+const optionalAuth = require('../middleware/optionalAuth');
 
 const {
   getPgnCount,
@@ -15,8 +16,40 @@ const {
   deletePgnByPgnId,
   updatePgnByPgnId,
   uploadPgnFile,
+  dedupePgns,
+  replayPgns,
+  normalizePgns,
+  reclassifyEco,
+  exportPgnByPgnId,
+  exportPgns,
   upload
 } = require("../controllers/pgnController");
+const {
+  analyzePgn,
+  getPgnAnalysis
+} = require("../controllers/analysisController");
+const {
+  searchGames,
+  searchPosition
+} = require("../controllers/searchController");
+const {
+  setCommentByPgnId,
+  deleteCommentByPgnId,
+  setNagsByPgnId,
+  addVariationByPgnId,
+  promoteVariationByPgnId,
+  deleteVariationByPgnId
+} = require("../controllers/annotationController");
+const {
+  getRevisions,
+  getRevisionDiff,
+  revertPgn
+} = require("../controllers/revisionController");
+const {
+  getValidationByPgnId,
+  repairPgnByPgnId,
+  validatePgns
+} = require("../controllers/validationController");
 
 // GET: Route to get the count of PGNs
 router.get('/pgns/count', getPgnCount);
@@ -30,16 +63,53 @@ router.get('/pgns/getallpgns', getAllPgns);
 // Route to get paginated list of PGNs. The page and limit query parameters are optional.
 // Example: /pgns/getallpgnspaginated?page=1&limit=30.
 // The default limit is 10, and the default page is 1.
+// Date and rating ranges as in the search: /pgns/getallpgnspaginated?since=2020&until=2021.06&minElo=2400
 router.get('/pgns/getallpgnspaginated', getAllPgnsPaginated);
 
 // GET: getAllPgnByFields. This route fetches all PGN fields.
 // Route to get all PGN fields. 
 router.get('/pgns/fields/:fields', getAllPgnByFields);
 
+// GET: exportPgns. Streams the games matching the query parameters as PGN file (export format)
+// Example: /pgns/export.pgn?white=Carlsen, Magnus&result=1-0
+router.get('/pgns/export.pgn', exportPgns);
+
 // POST: importPgnToDb. This route opens a file dialog to upload a PGN file
 // upload.single("pgnfile") is a middleware that processes the file upload (-> multer)
 router.post('/pgns/importpgn', upload.single("pgnfile"), uploadPgnFile);
 
+// POST: uploadPgnFile. Imports a PGN, EPD / FEN, NDJSON (Lichess) or JSON (Chess.com archive) file, the format is detected
+// Example: /import with form-data key "file"
+router.post('/import', upload.single("file"), uploadPgnFile);
+
+// POST: dedupePgns. Finds and merges the games stored more than once, runs as job
+// REVIEW: This route should be protected by a middleware that checks the user's role.
+router.post('/pgns/dedupe', dedupePgns);
+
+// POST: replayPgns. Replays the stored games through chess.js (plies, canonical PGN text), runs as job
+// REVIEW: This route should be protected by a middleware that checks the user's role.
+router.post('/pgns/replay', replayPgns);
+
+// POST: normalizePgns. Sets the normalized dates and ratings of the games stored before they existed, runs as job
+// REVIEW: This route should be protected by a middleware that checks the user's role.
+router.post('/pgns/normalize', normalizePgns);
+
+// POST: validatePgns. Validates the stored games (illegal moves, wrong results, malformed tags), repairs them with repair, runs as job
+// Example: { "repair": true }
+// REVIEW: This route should be protected by a middleware that checks the user's role.
+router.post('/pgns/validate', validatePgns);
+
+// POST: reclassifyEco. Classifies the stored games again by the ECO table, runs as job
+// REVIEW: This route should be protected by a middleware that checks the user's role.
+router.post('/pgns/eco/reclassify', reclassifyEco);
+
+// GET: searchGames. Finds games by players, ratings, dates, result, ECO, event, site and length; sorted, paginated by cursor
+// Example: /pgns/search?player=carlsen&minElo=2700&eco=B20-B99&sort=date&order=desc
+router.get('/pgns/search', searchGames);
+
+// POST: searchPosition. Finds the games that reached a position (FEN), paginated
+router.post('/pgns/search/position', searchPosition);
+
 // POST: addPgnToDB. 
 // This route adds a PgnSchema instance to the database via the request body
 router.post('/pgns/addpgn', addPgnToDB);
@@ -47,10 +117,61 @@ router.post('/pgns/addpgn', addPgnToDB);
 // GET: getPgnByPgnId. This route fetches a PGN by pgn_id
 router.get('/pgn/:pgn_id', getPgnByPgnId);
 
-// DELETE: delete a PGN by pgn_id, using the request parameters
-router.delete('/pgn/:pgn_id', deletePgnByPgnId);
+// GET: exportPgnByPgnId. The game as PGN file (export format)
+router.get('/pgn/:pgn_id/export.pgn', exportPgnByPgnId);
+
+// DELETE: delete a PGN by pgn_id, using the request parameters. The game is kept as its last revision.
+// With an authorization header, the revisions know who made the change (optionalAuth), here and below.
+router.delete('/pgn/:pgn_id', optionalAuth, deletePgnByPgnId);
 
 // PUT: update a PGN by pgn_id, using the request parameters and the request body for updated data
-router.put('/pgn/:pgn_id', updatePgnByPgnId);
+router.put('/pgn/:pgn_id', optionalAuth, updatePgnByPgnId);
+
+// POST: analyzePgn. Full-game engine analysis of a PGN, the result is stored with the PGN
+router.post('/pgn/:pgn_id/analysis', analyzePgn);
+
+// GET: getPgnAnalysis. The stored engine analysis of a PGN
+router.get('/pgn/:pgn_id/analysis', getPgnAnalysis);
+
+// PUT: setCommentByPgnId. Adds or replaces the comment after (or before) a move, path addresses the move
+// Example: { "path": "12.1.14", "position": "after", "text": "Better was 14. Nf3" }
+router.put('/pgn/:pgn_id/comment', optionalAuth, setCommentByPgnId);
+
+// DELETE: deleteCommentByPgnId. Deletes the comment after (or before) a move
+// Example: /pgn/:pgn_id/comment?path=12&position=after
+router.delete('/pgn/:pgn_id/comment', optionalAuth, deleteCommentByPgnId);
+
+// PUT: setNagsByPgnId. Sets the NAGs of a move, annotation symbols such as "!?" are accepted
+// Example: { "path": "23", "nags": ["?!", "$14"] }
+router.put('/pgn/:pgn_id/nags', optionalAuth, setNagsByPgnId);
+
+// POST: addVariationByPgnId. Adds a variation, checked with chess.js, as alternative to a move
+// Example: { "path": "12", "moves": "6... Nc6 7. Nf3 e5" }
+router.post('/pgn/:pgn_id/variations', optionalAuth, addVariationByPgnId);
+
+// POST: promoteVariationByPgnId. Promotes a variation, the moves it replaces become a variation
+// Example: { "path": "12.1" }
+router.post('/pgn/:pgn_id/variations/promote', optionalAuth, promoteVariationByPgnId);
+
+// DELETE: deleteVariationByPgnId. Deletes a variation with its subvariations, or a variation from a move on
+// Example: /pgn/:pgn_id/variations?path=12.1
+router.delete('/pgn/:pgn_id/variations', optionalAuth, deleteVariationByPgnId);
+
+// GET: getRevisions. The revisions of a PGN (who, when, changed fields, previous values), also of a deleted one
+router.get('/pgn/:pgn_id/revisions', getRevisions);
+
+// GET: getRevisionDiff. The fields that differ between two revisions of a PGN
+// Example: /pgn/:pgn_id/revisions/diff?from=1&to=3
+router.get('/pgn/:pgn_id/revisions/diff', getRevisionDiff);
+
+// POST: revertPgn. Reverts a PGN to a revision, restores a deleted PGN
+// Example: /pgn/:pgn_id/revert/2
+router.post('/pgn/:pgn_id/revert/:rev', optionalAuth, revertPgn);
+
+// GET: getValidationByPgnId. The problems of a PGN: illegal moves, a wrong result, missing and malformed tags
+router.get('/pgn/:pgn_id/validation', getValidationByPgnId);
+
+// POST: repairPgnByPgnId. Repairs the fixable problems of a PGN (dates, results, ratings, ECO codes), flags the rest
+router.post('/pgn/:pgn_id/repair', optionalAuth, repairPgnByPgnId);
 
 module.exports = router;
@@ -0,0 +1,33 @@
+//
+// playRouter.js
+//
+// Games against the engine. The server checks the moves and stores the finished game as PGN.
+//
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  createGame,
+  getGame,
+  playMove,
+  resignGame,
+  abortGame
+} = require("../controllers/playController");
+
+// Start a game against the engine (colour, start position, strength)
+router.post('/games', createGame);
+
+// Get the state of a game
+router.get('/game/:game_id', getGame);
+
+// Play the user's move (SAN or UCI), the engine replies
+router.post('/game/:game_id/move', playMove);
+
+// The user resigns, the game is stored
+router.post('/game/:game_id/resign', resignGame);
+
+// Abort a game without storing it
+router.delete('/game/:game_id', abortGame);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+//
+// playerRouter.js
+//
+// The players of the stored games and their statistics.
+//
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  getPlayers,
+  getPlayerByName
+} = require("../controllers/playerController");
+
+// GET: getPlayers. The players with their number of games, q for autocompletion
+// Example: /players?q=carl&limit=10
+router.get('/players', getPlayers);
+
+// GET: getPlayerByName. Score, results by year, openings, best wins, rating history, performance of a player
+// Example: /players/Carlsen, Magnus?since=2023
+router.get('/players/:name', getPlayerByName);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+//
+// positionRouter.js
+//
+// The positions of imported EPD and FEN files. The files are uploaded through POST /pgnrouter/import.
+//
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  getPositions,
+  getPositionById
+} = require("../controllers/positionController");
+
+// GET: getPositions. The imported positions, by file (source) or EPD id
+// Example: /positions?source=wac.epd&page=2
+router.get('/positions', getPositions);
+
+// GET: getPositionById. One position, with the number of stored games that reached it
+// Example: /positions/6f1c2d4e-...
+router.get('/positions/:position_id', getPositionById);
+
+module.exports = router;
@@ -5,7 +5,10 @@
 const express = require('express');
 const router = express.Router();
 
+const requireEngineSession = require("../middleware/requireEngineSession");
 const {
+  listEngines,
+  getEngineSessions,
   initEngine,
   quitEngine,
   stopEngine,
@@ -17,24 +20,39 @@ const {
   updateGame,
   sse
 } = require("../controllers/stockfishController");
+const { createMatch } = require("../controllers/matchController");
 
-// Initialize the Stockfish engine
+// List the engines of the engine registry available on this platform
+router.get('/engines', listEngines);
+
+// Initialize an engine from the registry (Stockfish by default), returns the session id
 router.post('/engine/init', initEngine);
 
-// Terminate the Stockfish engine
-router.post('/engine/quit', quitEngine);
+// The pool size and the number of engine sessions in use
+router.get('/engine/sessions', getEngineSessions);
+
+// All the following engine routes work on the caller's engine session
+
+// Terminate the engine of the session
+router.post('/engine/quit', requireEngineSession, quitEngine);
 
-// Stop the Stockfish engine calculations
-router.post('/engine/stop', stopEngine);
+// Stop the engine calculations
+router.post('/engine/stop', requireEngineSession, stopEngine);
 
 // Set the position of the chess board
-router.post('/engine/setposition', setPosition);
+router.post('/engine/setposition', requireEngineSession, setPosition);
+
+// Make a move with the engine, search limits and MultiPV in the body
+router.post('/engine/move', requireEngineSession, makeMove);
+
+// Make a move with the engine, searching to the given depth
+router.post('/engine/move/:depth', requireEngineSession, makeMove);
 
-// Make a move with the Stockfish engine
-router.post('/engine/move/:depth', makeMove);
+// Set the engine in analysis mode (infinite unless the body sets a search limit)
+router.post('/engine/analyze', requireEngineSession, analyze);
 
-// Set the Stockfish engine in analysis mode
-router.post('/engine/analyze', analyze);
+// Engine-vs-engine match or gauntlet, runs as job
+router.post('/matches', createMatch);
 
 // Save a game
 router.post('/game', saveGame);
@@ -45,7 +63,7 @@ router.get('/game/:id', loadGame);
 // Update a game by its ID
 router.put('/game/:id', updateGame);
 
-// SSE endpoint 
-router.get('/sse', sse); 
+// SSE endpoint: live analysis of an engine session
+router.get('/sse', requireEngineSession, sse);
 
 module.exports = router;
@@ -20,7 +20,8 @@ const {
   getGameByPgnIdAndUserEmail,
   addGameByPgnIdAndUserEmail,
   deleteGameByPgnIdAndUserEmail,
-  deleteAllGamesByUserEmail
+  deleteAllGamesByUserEmail,
+  exportGamesByUserEmail
 } = require('../controllers/userController');
 
 // Login user
@@ -41,6 +42,9 @@ router.delete('/user/:email', deleteUserByEmail);
 // Get all associated games by user email
 router.get('/user/:email/pgngames', getAllAssociatedGamesByUserEmail);
 
+// Export all associated games by user email as PGN file
+router.get('/user/:email/pgngames/export.pgn', exportGamesByUserEmail);
+
 // Get game by PGN ID and user email
 router.get('/user/:email/pgngame/:pgnId', getGameByPgnIdAndUserEmail);
 
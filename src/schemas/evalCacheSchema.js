@@ -0,0 +1,54 @@
+//
+// evalCacheSchema.js
+//
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Cached engine evaluations, see src/utils/evalCache.js.
+// One document per position and engine, we only keep the deepest search.
+// Scores are given from the point of view of the side to move, as the engine reports them.
+
+const cachedLineSchema = new Schema({
+  multipv: Number,
+  depth: Number,
+  score: {
+    cp: Number,
+    mate: Number
+  },
+  pv: [String] // UCI moves
+}, { _id: false });
+
+const evalCacheSchema = new Schema({
+
+  // The normalized FEN: piece placement, side to move, castling rights and en passant square.
+  // The move counters are left out, so the same position reached in different games shares the entry.
+  key: {
+    type: String,
+    required: true
+  },
+  // Name in the engine registry, evaluations of different engines are not mixed
+  engine: {
+    type: String,
+    required: true
+  },
+  // What the engine calls itself, e.g. "Stockfish 16"
+  engineId: {
+    type: String,
+    default: ''
+  },
+  depth: {
+    type: Number,
+    required: true
+  },
+  bestmove: String,
+  ponder: String,
+  lines: [cachedLineSchema]
+},
+{
+  timestamps: true
+});
+
+evalCacheSchema.index({ key: 1, engine: 1 }, { unique: true });
+
+module.exports = mongoose.model('EvalCacheSchema', evalCacheSchema);
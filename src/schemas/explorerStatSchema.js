@@ -0,0 +1,34 @@
+//
+// explorerStatSchema.js
+//
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// The statistics of the opening explorer, see src/utils/explorerStats.js.
+// One document per position and move played in it, counting the stored games that did so.
+// Kept up to date whenever games are stored, changed or deleted, so GET /explorer reads them instead of aggregating the games.
+
+const explorerStatSchema = new Schema({
+
+  // Full position key, see src/utils/positionIndex.js
+  key: {
+    type: String,
+    required: true
+  },
+  // The move played in the position (UCI), null for the games that ended in it
+  move: {
+    type: String,
+    default: null
+  },
+  games: { type: Number, default: 0 },
+  white: { type: Number, default: 0 },   // won by White
+  draws: { type: Number, default: 0 },
+  black: { type: Number, default: 0 },   // won by Black
+  ratingSum: { type: Number, default: 0 },   // sum of the average rating of both players ...
+  ratingGames: { type: Number, default: 0 }  // ... over the games where both ratings are known
+});
+
+explorerStatSchema.index({ key: 1, move: 1 }, { unique: true });
+
+module.exports = mongoose.model('ExplorerStatSchema', explorerStatSchema);
@@ -0,0 +1,73 @@
+//
+// jobSchema.js
+//
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const { v4: uuidv4 } = require('uuid');
+
+// Long running engine work is done as a job, see src/utils/jobQueue.js.
+// Jobs are stored so they survive a server restart: jobs that were running are queued again on startup.
+
+const jobSchema = new Schema({
+
+  job_id: {
+    type: String,
+    default: uuidv4,
+    unique: true,
+    index: true
+  },
+  // What to do, there must be a job handler registered for the type
+  // position: evaluate a single position
+  // game:     full-game analysis of a stored PGN
+  // batch:    full-game analysis of a list of stored PGNs
+  // match:    engine-vs-engine match or gauntlet
+  // import:   import of an uploaded PGN file
+  type: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued',
+    index: true
+  },
+  // The parameters of the job as they were submitted, the handler knows what to expect
+  params: {
+    type: Schema.Types.Mixed,
+    default: {}
+  },
+  // Wall clock time the job may take once it is running, in ms. 0 means no limit.
+  timeBudgetMs: {
+    type: Number,
+    default: 0
+  },
+  progress: {
+    done: { type: Number, default: 0 },
+    total: { type: Number, default: 0 },
+    // Job specific counters, e.g. { parsed, saved, failed } of an import
+    details: { type: Schema.Types.Mixed, default: null }
+  },
+  cancelRequested: {
+    type: Boolean,
+    default: false
+  },
+  result: {
+    type: Schema.Types.Mixed,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  startedAt: Date,
+  finishedAt: Date
+},
+{
+  timestamps: true
+});
+
+jobSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('JobSchema', jobSchema);
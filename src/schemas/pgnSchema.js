@@ -5,6 +5,9 @@
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
 const { validate: isUuid, v4: uuidv4 } = require('uuid'); // Import v4 for UUID generation
+const { gameFingerprint } = require('../utils/pgnDuplicates');
+const { replayGame, replaySourceFields } = require('../utils/gameReplay');
+const { explorerFields, updateExplorerStats } = require('../utils/explorerStats');
 
 
 // Basic PGN validation function (checks for non-empty string)
@@ -15,12 +18,103 @@ const validatePgnContent = (pgn) => {
 // Default values for the "Seven Tag Roster"
 const defaultEvent = 'Unknown Event';
 const defaultSite = 'Unknown Site';
-const defaultDate = "";
+const defaultDate = '????.??.??'; // unknown, in the format of the PGN standard
 const defaultRound = '1';
 const defaultWhite = 'Unknown';
 const defaultBlack = 'Unknown';
 const defaultResult = '*';
 
+// Engine analysis of a game, see src/utils/gameAnalysis.js.
+// Evaluations are centipawns from White's point of view, mates are given separately.
+const moveAnalysisSchema = new Schema({
+  ply: Number,
+  color: String,
+  san: String,
+  uci: String,
+  score: {
+    cp: Number,
+    mate: Number
+  },
+  bestMove: String,
+  bestMoveSan: String,
+  cpLoss: Number,
+  accuracy: Number,
+  classification: {
+    type: String,
+    enum: ['best', 'good', 'inaccuracy', 'mistake', 'blunder']
+  }
+}, { _id: false });
+
+const sideAnalysisSchema = new Schema({
+  moves: Number,
+  acpl: Number,       // average centipawn loss
+  accuracy: Number,   // 0..100
+  best: Number,
+  good: Number,
+  inaccuracies: Number,
+  mistakes: Number,
+  blunders: Number
+}, { _id: false });
+
+const gameAnalysisSchema = new Schema({
+  engine: String,     // name in the engine registry
+  engineId: String,   // what the engine calls itself, e.g. "Stockfish 16"
+  depth: Number,
+  movetime: Number,
+  startedAt: Date,
+  completedAt: Date,
+  evalCurve: [Number], // one entry per position, the start position included
+  moves: [moveAnalysisSchema],
+  white: sideAnalysisSchema,
+  black: sideAnalysisSchema
+}, { _id: false });
+
+// One ply of the mainline as replayed by chess.js, see src/utils/gameReplay.js.
+// clock (seconds) and eval (White's point of view) come from the [%clk ...] and [%eval ...] comments of the move.
+const plySchema = new Schema({
+  ply: Number,
+  moveNumber: Number,
+  color: String,
+  san: String,
+  uci: String,
+  fen: String,       // the position AFTER the move
+  clock: Number,
+  eval: {
+    cp: Number,
+    mate: Number
+  }
+}, { _id: false });
+
+// A PGN date taken apart, see src/utils/normalizedFields.js. All null if not even the year is known.
+const datePartsSchema = new Schema({
+  year: Number,
+  month: Number,
+  day: Number,
+  precision: {
+    type: String,
+    enum: ['year', 'month', 'day', null]
+  },
+  start: Date         // the first day of what is known: 2023.05.?? -> 2023-05-01
+}, { _id: false });
+
+// One problem of a game, see src/utils/gameValidation.js. fix is the value that repairs it, if there is one.
+const validationIssueSchema = new Schema({
+  code: {
+    type: String,
+    enum: ['illegal-move', 'replay-failed', 'result-mismatch', 'missing-tag', 'malformed-tag'],
+    index: true
+  },
+  severity: {
+    type: String,
+    enum: ['error', 'warning']
+  },
+  field: String,
+  message: String,
+  ply: Number,
+  san: String,
+  fix: String
+}, { _id: false });
+
 // The PGN Schema, as described in
 // http://www.saremba.de/chessgml/standards/pgn/pgn-complete
 // and
@@ -122,13 +216,15 @@ const pgnSchema = new Schema({
     type: String,
     default: 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1' // Initial position
   },
+  // Not used: comments, NAGs and variations are part of the moves, and are edited there (see src/utils/gameAnnotations.js)
   annotations: {
     type: String,
     default: ''
   },
   eco: {
     type: String,
-    default: ''
+    default: '',
+    index: true
   },
   opening: {
     type: String,
@@ -138,6 +234,12 @@ const pgnSchema = new Schema({
     type: String,
     default: ''
   },
+  // Where eco, opening and variation come from: 'tag' (the PGN's ECO tag, or set by an update) or 'classifier'
+  // (src/utils/ecoClassifier.js, for games without an ECO tag). Set by the replay.
+  ecoSource: {
+    type: String,
+    enum: ['tag', 'classifier']
+  },
   whiteElo: {
     type: String,
     default: "?"
@@ -146,15 +248,161 @@ const pgnSchema = new Schema({
     type: String,
     default: "?"
   },  
+  whiteRatingDiff: {
+    type: String,
+    default: ''
+  },
+  blackRatingDiff: {
+    type: String,
+    default: ''
+  },
+  // The TimeControl tag, e.g. "180+2" (seconds + increment) or "-"
+  timeControl: {
+    type: String,
+    default: ''
+  },
+  // The Termination tag: "Normal", "Time forfeit", "Abandoned", ...
+  termination: {
+    type: String,
+    default: ''
+  },
   eventDate: {
     type: String,
-    default: "?"
+    default: defaultDate
+  },
+  // The companions of date, eventDate, whiteElo and blackElo, for sorting and range queries (src/utils/normalizedFields.js).
+  // The tags themselves stay as they are. Set by the replay, backfilled by POST /pgns/normalize.
+  dateParts: {
+    type: datePartsSchema,
+    default: undefined
+  },
+  eventDateParts: {
+    type: datePartsSchema,
+    default: undefined
+  },
+  whiteRating: {
+    type: Number,
+    default: undefined,
+    index: true
+  },
+  blackRating: {
+    type: Number,
+    default: undefined,
+    index: true
+  },
+  // Content fingerprint over players, date, result, start position and moves, see src/utils/pgnDuplicates.js.
+  // Records with the same fingerprint are duplicates. Kept up to date by the pre validate hook below.
+  fingerprint: {
+    type: String,
+    index: true
+  },
+  // The game in PGN export format, the mainline in the SAN of the replay. Kept up to date by the pre validate hook below.
+  pgnText: {
+    type: String,
+    default: null
+  },
+  // The mainline, ply by ply, as replayed by chess.js (see src/utils/gameReplay.js)
+  plies: {
+    type: [plySchema],
+    default: []
+  },
+  // The number of plies, for searching and sorting by game length (GET /pgns/search)
+  plyCount: {
+    type: Number,
+    index: true
+  },
+  // Outcome of the replay: status 'ok', or 'failed' with the offending ply for games with an illegal move.
+  // Failed games are stored anyway, but their plies end before the illegal move.
+  replay: {
+    status: {
+      type: String,
+      enum: ['ok', 'failed'],
+      index: true
+    },
+    ply: Number,
+    san: String,
+    error: String,
+    version: Number   // format of the derived fields, see replayVersion in src/utils/gameReplay.js
+  },
+  // Zobrist keys of every position of the game, see src/utils/positionIndex.js. Not selected by default,
+  // nobody wants to see them, they are there for the position search (POST /pgns/search/position).
+  positionKeys: {
+    type: [String],
+    index: true,
+    select: false
+  },
+  // The move played in each position of the game, for the opening explorer (GET /explorer)
+  positionMoves: {
+    type: [{ _id: false, k: String, m: String }],
+    select: false
+  },
+  // The problems of the game found by src/utils/gameValidation.js: status 'ok', 'warning' or 'error' and the issues.
+  // Set by the replay, so it is up to date whenever the game is. Repair: POST /pgn/:pgn_id/repair, POST /pgns/validate.
+  validation: {
+    status: {
+      type: String,
+      enum: ['ok', 'warning', 'error'],
+      index: true
+    },
+    issues: {
+      type: [validationIssueSchema],
+      default: undefined
+    }
+  },
+  // The last full-game engine analysis (POST /pgn/:pgn_id/analysis), null if the game has not been analyzed yet
+  analysis: {
+    type: gameAnalysisSchema,
+    default: null
   }
 },
 {
   timestamps: true
 });
 
+// Recompute the fingerprint whenever a field it covers changes (save, create and insertMany validate first)
+const fingerprintFields = ['white', 'black', 'date', 'result', 'setup', 'FEN', 'moves'];
+pgnSchema.pre('validate', function (next) {
+  if (!this.fingerprint || fingerprintFields.some(field => this.isModified(field))) {
+    this.fingerprint = gameFingerprint(this);
+  }
+  next();
+});
+
+// Replay the game when it is new (unless that has been done already, see pgnGameToGameData) or when a field
+// it is derived from changes. Saving just the analysis does not replay the game.
+pgnSchema.pre('validate', function (next) {
+  const replayed = this.replay && this.replay.status;
+  if (this.isNew ? !replayed : !replayed || replaySourceFields.some(field => this.isModified(field))) {
+    this.set(replayGame(this));
+  }
+  next();
+});
+
+// Keep the statistics of the opening explorer up to date (src/utils/explorerStats.js): a new game is added, a changed one
+// is taken away as it is stored and added as it is now. Deletes and bulk writes do that themselves.
+pgnSchema.pre('save', async function () {
+  if (this.isNew) {
+    this.$locals.explorerBefore = null;
+  } else if (explorerFields.some(field => this.isModified(field))) {
+    // The replay sets positionKeys and positionMoves whenever a field they or the statistics depend on changes
+    this.$locals.explorerBefore = await this.constructor.findById(this._id, explorerFields.join(' ')).select('+positionKeys +positionMoves').lean();
+  }
+});
+
+pgnSchema.post('save', async function () {
+  const before = this.$locals.explorerBefore;
+  if (before === undefined) {
+    return;
+  }
+  delete this.$locals.explorerBefore;
+  await updateExplorerStats(before ? [before] : [], [this]);
+});
+
+pgnSchema.index({ 'dateParts.start': 1 })
+pgnSchema.index({ 'dateParts.year': 1 })
+pgnSchema.index({ 'eventDateParts.start': 1 })
+// The most recent games of a move in a position, for the opening explorer
+pgnSchema.index({ 'positionMoves.k': 1, 'positionMoves.m': 1, 'dateParts.start': -1 })
 pgnSchema.index({ white: 1, date: 1 })
 pgnSchema.index({ black: 1, date: 1 })
 pgnSchema.index({ white: 1, black: 1, date: 1 })
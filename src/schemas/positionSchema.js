@@ -0,0 +1,63 @@
+//
+// positionSchema.js
+//
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const { v4: uuidv4 } = require('uuid');
+
+// Positions imported from EPD and FEN files, e.g. the positions of test suites (see src/utils/epd.js).
+// The operations of the EPD are kept as they are, the usual ones also as fields of their own.
+
+const positionSchema = new Schema({
+
+  position_id: {
+    type: String,
+    default: uuidv4,
+    unique: true,
+    index: true
+  },
+  // The complete FEN, the move counters taken from the hmvc / fmvn operations, "0 1" without them
+  fen: {
+    type: String,
+    required: [true, 'fen is required']
+  },
+  // Zobrist key of the position, the same as in PgnSchema.positionKeys: the games that reached the position
+  // are found by PgnSchema.find({ positionKeys: positionKey })
+  positionKey: {
+    type: String,
+    index: true
+  },
+  // id operation, e.g. "WAC.001"
+  epdId: {
+    type: String,
+    default: '',
+    index: true
+  },
+  // bm and am operations in SAN: the best moves, and the moves to avoid
+  bestMoves: [String],
+  avoidMoves: [String],
+  // c0 operation
+  comment: {
+    type: String,
+    default: ''
+  },
+  // All operations: opcode -> operands
+  operations: {
+    type: Schema.Types.Mixed,
+    default: {}
+  },
+  // Where the position comes from: the name of the imported file and the line in it
+  source: {
+    type: String,
+    default: '',
+    index: true
+  },
+  line: Number
+},
+{
+  timestamps: true,
+  minimize: false
+});
+
+module.exports = mongoose.model('PositionSchema', positionSchema);
@@ -0,0 +1,66 @@
+//
+// revisionSchema.js
+//
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// The revision history of the stored games, see src/utils/pgnRevisions.js.
+// Every change of a game through the API is a revision: the fields it changed with their values before and after.
+// The revisions of a game are numbered from 1, revision 0 stands for the game as it was before the first one.
+// The revisions outlive the game, a deleted game can be restored from its last revision.
+
+const revisionSchema = new Schema({
+
+  pgn_id: {
+    type: String,
+    required: true
+  },
+  rev: {
+    type: Number,
+    required: true
+  },
+  // update:   PUT /pgn/:pgn_id
+  // annotate: comments, NAGs and variations (src/controllers/annotationController.js)
+  // revert:   POST /pgn/:pgn_id/revert/:rev, revertedTo is the revision gone back to
+  // delete:   DELETE /pgn/:pgn_id, previous holds all fields of the game
+  // restore:  a revert of a deleted game
+  // repair:   the repair of malformed tags and wrong results (src/utils/gameValidation.js)
+  // merge:    a duplicate merged into the stored game (PGN import, dedupe job)
+  // classify: the ECO classification changed by the replay or the eco job
+  action: {
+    type: String,
+    enum: ['update', 'annotate', 'revert', 'delete', 'restore', 'repair', 'merge', 'classify'],
+    required: true
+  },
+  revertedTo: Number,
+  // The _id of the game, a restored game gets it back so the references to it (UserSchema.pgngames) stay valid
+  game: {
+    type: Schema.Types.ObjectId,
+    default: null
+  },
+  // Who made the change, null if the request was not authenticated
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'UserSchema',
+    default: null
+  },
+  changedFields: [String],
+  // Field -> value before and after the change, null for "not set"
+  previous: {
+    type: Schema.Types.Mixed,
+    default: {}
+  },
+  values: {
+    type: Schema.Types.Mixed,
+    default: {}
+  }
+},
+{
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+revisionSchema.index({ pgn_id: 1, rev: 1 }, { unique: true });
+
+module.exports = mongoose.model('RevisionSchema', revisionSchema);
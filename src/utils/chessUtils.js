@@ -0,0 +1,169 @@
+//
+// chessUtils.js
+//
+// Small helpers around chess.js shared by the controllers.
+//
+// The UCI protocol talks in long algebraic notation (e2e4, e7e8q), humans and PGN in SAN (e4, e8=Q),
+// so we convert back and forth by replaying the moves on a chess.js board.
+//
+
+const { Chess, validateFen } = require('chess.js');
+const pgnParser = require('@mliebelt/pgn-parser');
+
+// FEN of the initial position
+const FENstartposition = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+const uciMoveRegex = /^([a-h][1-8])([a-h][1-8])([qrbn])?$/;
+
+//
+// isUciMove
+//
+const isUciMove = (move) => typeof move === 'string' && uciMoveRegex.test(move);
+
+//
+// uciToMoveObject
+//
+// 'e7e8q' -> { from: 'e7', to: 'e8', promotion: 'q' }, as chess.js expects it.
+//
+const uciToMoveObject = (uci) => {
+  const matches = uci.match(uciMoveRegex);
+  if (!matches) {
+    throw new Error(`${uci} is not a move in UCI notation.`);
+  }
+  return { from: matches[1], to: matches[2], promotion: matches[3] };
+};
+
+//
+// moveToUci
+//
+// chess.js move object -> 'e7e8q'
+//
+const moveToUci = (move) => move.from + move.to + (move.promotion || '');
+
+//
+// uciLineToSan
+//
+// parameters: fen (the position the line starts from), uciMoves (array)
+//
+// returns: the line in SAN. Stops at the first move that is illegal in the position,
+// which happens when the engine already searches a position we did not get to know about.
+//
+const uciLineToSan = (fen, uciMoves) => {
+  const san = [];
+  try {
+    const chess = new Chess(fen || FENstartposition);
+    for (const uci of uciMoves) {
+      san.push(chess.move(uciToMoveObject(uci)).san);
+    }
+  } catch (error) {
+    // Return what we have got so far
+  }
+  return san;
+};
+
+//
+// fenAfterUciMoves
+//
+// returns: the FEN after playing the UCI moves from fen, throws on illegal moves
+//
+const fenAfterUciMoves = (fen, uciMoves = []) => {
+  const chess = new Chess(fen || FENstartposition);
+  for (const uci of uciMoves) {
+    chess.move(uciToMoveObject(uci));
+  }
+  return chess.fen();
+};
+
+//
+// replayMoves
+//
+// Plays the moves (each in SAN or UCI notation) from fen.
+//
+// returns: one entry per ply { ply, color, san, uci, fen } where fen is the position AFTER the move.
+// Throws on the first illegal move, the error carries the offending ply (1-based) as error.ply.
+//
+const replayMoves = (fen, moves) => {
+  const chess = new Chess(fen || FENstartposition);
+  return moves.map((move, index) => {
+    let played;
+    try {
+      played = chess.move(isUciMove(move) ? uciToMoveObject(move) : move);
+    } catch (err) {
+      const error = new Error(`Illegal move ${move} at ply ${index + 1}.`);
+      error.ply = index + 1;
+      throw error;
+    }
+    return {
+      ply: index + 1,
+      color: played.color,
+      san: played.san,
+      uci: moveToUci(played),
+      fen: chess.fen()
+    };
+  });
+};
+
+//
+// pgnMovetextToSan
+//
+// '1. e4 e5 2. Nf3 {comment} Nc6 (2... d6) 3. Bb5' -> ['e4', 'e5', 'Nf3', 'Nc6', 'Bb5']
+// Comments and variations are dropped, only the mainline counts. Throws if the movetext cannot be parsed.
+//
+const pgnMovetextToSan = (pgn) => {
+  let game;
+  try {
+    game = pgnParser.parse(pgn, { startRule: 'game' });
+  } catch (error) {
+    throw new Error(`PGN movetext could not be parsed: ${error.message}`);
+  }
+  return game.moves.map(move => move.notation.notation);
+};
+
+//
+// getGameOver
+//
+// parameters: chess (chess.js board)
+//
+// returns: { result, termination } if the game is over in the current position, null otherwise
+//
+const getGameOver = (chess) => {
+  if (chess.isCheckmate()) {
+    // The side to move is mated
+    return { result: chess.turn() === 'w' ? '0-1' : '1-0', termination: 'checkmate' };
+  }
+  if (chess.isStalemate()) {
+    return { result: '1/2-1/2', termination: 'stalemate' };
+  }
+  if (chess.isInsufficientMaterial()) {
+    return { result: '1/2-1/2', termination: 'insufficient material' };
+  }
+  if (chess.isThreefoldRepetition()) {
+    return { result: '1/2-1/2', termination: 'threefold repetition' };
+  }
+  if (chess.isDrawByFiftyMoves()) {
+    return { result: '1/2-1/2', termination: '50-move rule' };
+  }
+  return null;
+};
+
+//
+// pgnDate
+//
+// Date -> 'YYYY.MM.DD', as the PGN Date tag wants it
+//
+const pgnDate = (date) =>
+  `${date.getFullYear()}.${String(date.getMonth() + 1).padStart(2, '0')}.${String(date.getDate()).padStart(2, '0')}`;
+
+module.exports = {
+  FENstartposition,
+  validateFen,
+  isUciMove,
+  uciToMoveObject,
+  moveToUci,
+  uciLineToSan,
+  fenAfterUciMoves,
+  replayMoves,
+  pgnMovetextToSan,
+  getGameOver,
+  pgnDate
+};
@@ -0,0 +1,230 @@
+//
+// crosstable.js
+//
+// Crosstables and standings of a tournament from its games (GET /events/:event/crosstable):
+//
+// - round robin: every player met every other player equally often (once, or twice in a double round robin);
+//                the table shows the result of each pairing
+// - swiss:       anything else; the table shows each player's opponent, colour and result round by round
+//
+// Players are ranked by points, then by the tiebreaks: Sonneborn-Berger before Buchholz in a round robin,
+// Buchholz before Sonneborn-Berger in a swiss, then by name.
+//
+// Buchholz:          the sum of the points of the opponents
+// Sonneborn-Berger:  the sum of the points of the opponents beaten, plus half of those drawn against
+// Performance:       see performanceRating in src/utils/playerStats.js, over the games against rated opponents
+//
+// Games without a result ("*") are pairings, but count for nothing else.
+//
+
+const { performanceRating } = require('./playerStats');
+
+const _points = { '1-0': [1, 0], '0-1': [0, 1], '1/2-1/2': [0.5, 0.5] };
+
+// Elo (stored as string, "?" or "" if unknown) -> number or null
+const _rating = (value) => {
+  const rating = parseInt(value);
+  return isNaN(rating) || rating <= 0 ? null : rating;
+};
+
+// Round tag '3' or '3.12' (round.board) -> { round: 3, board: 12 }, round null if unknown ('?', '-')
+const _parseRound = (value) => {
+  const [round, board] = String(value ?? '').split('.').map(part => parseInt(part));
+  return { round: isNaN(round) ? null : round, board: isNaN(board) ? null : board };
+};
+
+const _byRound = (a, b) =>
+  (a.round ?? Infinity) - (b.round ?? Infinity) || (a.board ?? Infinity) - (b.board ?? Infinity) || String(a.date).localeCompare(String(b.date));
+
+// 1 -> '1', 0.5 -> '½', 0 -> '0', null (no result) -> '*'
+const _resultSymbol = (points) => (points === null ? '*' : points === 0.5 ? '½' : String(points));
+
+// 7.5 -> '7½', 0.5 -> '½'
+const _pointsText = (points) => {
+  const whole = Math.floor(points);
+  return points - whole === 0.5 ? (whole > 0 ? whole : '') + '½' : String(whole);
+};
+
+//
+// INTERNAL: _isRoundRobin
+//
+// returns: true if every player met every other player the same number of times
+//
+const _isRoundRobin = (players) => {
+  if (players.length < 2) {
+    return false;
+  }
+  let meetings = null;
+  for (const player of players) {
+    for (const opponent of players) {
+      if (opponent === player) {
+        continue;
+      }
+      const count = player.games.filter(game => game.opponent === opponent.name).length;
+      if (count === 0 || (meetings !== null && count !== meetings)) {
+        return false;
+      }
+      meetings = count;
+    }
+  }
+  return true;
+};
+
+//
+// buildCrosstable
+//
+// parameters: event (name), games [{ pgn_id, white, black, whiteElo, blackElo, result, round, date }],
+//             type: 'auto' (default), 'roundrobin' or 'swiss'
+//
+// returns:
+//{
+//  event, type: 'roundrobin' | 'swiss', players, games, rounds (number of distinct rounds),
+//  standings: [{ rank, name, rating, points, games, buchholz, sonnebornBerger, performance,
+//               results: [{ round, opponent, opponentRank, color: 'w' | 'b', points (null: no result), pgn_id }] }],
+//  pairings: [{ round, games: [{ board, white, black, result, pgn_id }] }]
+//}
+//
+const buildCrosstable = (event, games, type = 'auto') => {
+  const sorted = games.map(game => ({ ...game, ..._parseRound(game.round) })).sort(_byRound);
+  const players = new Map();
+  const player = (name, rating) => {
+    if (!players.has(name)) {
+      players.set(name, { name, rating: null, points: 0, games: [] });
+    }
+    const entry = players.get(name);
+    entry.rating = entry.rating ?? rating; // the rating of the first game
+    return entry;
+  };
+
+  for (const game of sorted) {
+    const points = _points[game.result] || [null, null];
+    const white = player(game.white, _rating(game.whiteElo));
+    const black = player(game.black, _rating(game.blackElo));
+    white.games.push({ round: game.round, opponent: game.black, color: 'w', points: points[0], pgn_id: game.pgn_id });
+    black.games.push({ round: game.round, opponent: game.white, color: 'b', points: points[1], pgn_id: game.pgn_id });
+    white.points += points[0] || 0;
+    black.points += points[1] || 0;
+  }
+
+  const list = [...players.values()];
+  const roundRobin = type === 'auto' ? _isRoundRobin(list) : type === 'roundrobin';
+
+  for (const entry of list) {
+    const scored = entry.games.filter(game => game.points !== null);
+    entry.buchholz = scored.reduce((sum, game) => sum + players.get(game.opponent).points, 0);
+    entry.sonnebornBerger = scored.reduce((sum, game) => sum + game.points * players.get(game.opponent).points, 0);
+    const rated = scored.filter(game => players.get(game.opponent).rating);
+    entry.performance = performanceRating(
+      rated.reduce((sum, game) => sum + game.points, 0),
+      rated.map(game => players.get(game.opponent).rating)
+    ).rating;
+  }
+
+  const tiebreaks = roundRobin ? ['sonnebornBerger', 'buchholz'] : ['buchholz', 'sonnebornBerger'];
+  list.sort((a, b) => b.points - a.points || b[tiebreaks[0]] - a[tiebreaks[0]] || b[tiebreaks[1]] - a[tiebreaks[1]] || a.name.localeCompare(b.name));
+  list.forEach((entry, index) => { entry.rank = index + 1; });
+
+  const rounds = new Map();
+  for (const game of sorted) {
+    if (!rounds.has(game.round)) {
+      rounds.set(game.round, []);
+    }
+    rounds.get(game.round).push({ board: game.board, white: game.white, black: game.black, result: game.result, pgn_id: game.pgn_id });
+  }
+
+  return {
+    event,
+    type: roundRobin ? 'roundrobin' : 'swiss',
+    players: list.length,
+    games: sorted.length,
+    rounds: [...rounds.keys()].filter(round => round !== null).length,
+    standings: list.map(entry => ({
+      rank: entry.rank,
+      name: entry.name,
+      rating: entry.rating,
+      points: entry.points,
+      games: entry.games.length,
+      buchholz: entry.buchholz,
+      sonnebornBerger: entry.sonnebornBerger,
+      performance: entry.performance,
+      results: entry.games.map(game => ({ ...game, opponentRank: players.get(game.opponent).rank }))
+    })),
+    pairings: [...rounds.entries()].map(([round, roundGames]) => ({ round, games: roundGames }))
+  };
+};
+
+//
+// INTERNAL: _tableRows
+//
+// The crosstable as rows of cells, the first row being the header: the same for the text and the HTML table.
+// Round robin: one column per opponent (by rank), swiss: one column per round with opponent rank, colour and result ("12w1").
+//
+const _tableRows = (crosstable) => {
+  const { standings, type } = crosstable;
+  const rounds = [...new Set(standings.flatMap(entry => entry.results.map(result => result.round)))]
+    .sort((a, b) => (a ?? Infinity) - (b ?? Infinity));
+
+  const header = ['#', 'Player', 'Rtg']
+    .concat(type === 'roundrobin' ? standings.map(entry => String(entry.rank)) : rounds.map(round => `R${round ?? '?'}`))
+    .concat(['Pts', type === 'roundrobin' ? 'SB' : 'Buch', type === 'roundrobin' ? 'Buch' : 'SB', 'Perf']);
+
+  const rows = standings.map(entry => {
+    const cells = type === 'roundrobin'
+      ? standings.map(opponent => opponent === entry ? '*' : entry.results
+        .filter(result => result.opponent === opponent.name)
+        .map(result => _resultSymbol(result.points)).join(''))
+      : rounds.map(round => entry.results
+        .filter(result => result.round === round)
+        .map(result => `${result.opponentRank}${result.color}${_resultSymbol(result.points)}`).join(' ') || '-');
+    const tiebreaks = type === 'roundrobin' ? [entry.sonnebornBerger, entry.buchholz] : [entry.buchholz, entry.sonnebornBerger];
+    return [String(entry.rank), entry.name, entry.rating ? String(entry.rating) : '']
+      .concat(cells)
+      .concat([_pointsText(entry.points), ...tiebreaks.map(value => String(value)), entry.performance ? String(entry.performance) : '']);
+  });
+
+  return [header].concat(rows);
+};
+
+//
+// crosstableText
+//
+// returns: the crosstable as plain-text table, columns padded with spaces
+//
+const crosstableText = (crosstable) => {
+  const rows = _tableRows(crosstable);
+  const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+  const line = (row) => row.map((cell, column) => column === 1 ? cell.padEnd(widths[column]) : cell.padStart(widths[column])).join('  ').trimEnd();
+  const title = `${crosstable.event} (${crosstable.type === 'roundrobin' ? 'round robin' : 'swiss'}, ${crosstable.players} players, ${crosstable.games} games)`;
+  return [title, '', line(rows[0]), '-'.repeat(line(rows[0]).length)].concat(rows.slice(1).map(line)).join('\n') + '\n';
+};
+
+const _escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+//
+// crosstableHtml
+//
+// returns: the crosstable as HTML document with a single table, for publishing as it is or styling by class
+//
+const crosstableHtml = (crosstable) => {
+  const [header, ...rows] = _tableRows(crosstable);
+  const title = _escapeHtml(crosstable.event);
+  return [
+    '<!DOCTYPE html>',
+    `<html><head><meta charset="utf-8"><title>${title}</title></head><body>`,
+    `<h1>${title}</h1>`,
+    `<table class="crosstable ${crosstable.type}">`,
+    '<thead><tr>' + header.map(cell => `<th>${_escapeHtml(cell)}</th>`).join('') + '</tr></thead>',
+    '<tbody>',
+    ...rows.map(row => '<tr>' + row.map(cell => `<td>${_escapeHtml(cell)}</td>`).join('') + '</tr>'),
+    '</tbody>',
+    '</table>',
+    '</body></html>'
+  ].join('\n') + '\n';
+};
+
+module.exports = {
+  buildCrosstable,
+  crosstableText,
+  crosstableHtml
+};
@@ -0,0 +1,156 @@
+//
+// ecoClassifier.js
+//
+// ECO classification of games by position: The bundled table (src/config/eco.tsv, A00-E99 with named lines)
+// is replayed once into a map from the position key (full key, see src/utils/positionIndex.js) of each line's
+// final position to its code and names. A game gets the code of the deepest of its positions that is in the map,
+// so transpositions are recognized whatever the move order.
+//
+// eco.tsv: one line per named line, tab separated: eco, name ("Opening: Variation, Subvariation"), moves (SAN)
+// If two lines end in the same position, the first one in the file wins.
+//
+
+const fs = require('fs');
+const path = require('path');
+const { Chess } = require('chess.js');
+const { positionKeys } = require('./positionIndex');
+
+const ecoTablePath = path.join(__dirname, '../config/eco.tsv');
+
+// The longest line of the table is about 30 plies, there is no need to look further into a game
+const maxClassifiedPly = 40;
+
+// Built on first use, replaying the table takes a moment
+let _table = null;
+
+// 'Sicilian Defense: Najdorf Variation, English Attack' -> { opening: 'Sicilian Defense', variation: 'Najdorf Variation, English Attack' }
+const _splitName = (name) => {
+  const colon = name.indexOf(':');
+  return colon < 0
+    ? { opening: name.trim(), variation: '' }
+    : { opening: name.slice(0, colon).trim(), variation: name.slice(colon + 1).trim() };
+};
+
+//
+// INTERNAL: _loadTable
+//
+// returns: { byKey: Map(full key -> entry), byCode: Map(eco -> [entry]) }
+// where entry is { eco, name, opening, variation, moves, fen, plies }
+//
+const _loadTable = () => {
+  const byKey = new Map();
+  const byCode = new Map();
+
+  const lines = fs.readFileSync(ecoTablePath, 'utf8').split(/\r?\n/).slice(1);
+
+  // The lines come in move order, most share their first moves with the line before, so only the rest is replayed
+  const chess = new Chess();
+  let played = [];
+  lines.forEach((line, index) => {
+    if (!line.trim()) {
+      return;
+    }
+    const [eco, name, moves] = line.split('\t');
+    const sans = String(moves || '').split(/\s+/).filter(token => token && !/^\d+\.+$/.test(token));
+
+    let common = 0;
+    while (common < played.length && common < sans.length && played[common] === sans[common]) {
+      common++;
+    }
+    while (played.length > common) {
+      chess.undo();
+      played.pop();
+    }
+    try {
+      for (const san of sans.slice(common)) {
+        chess.move(san);
+        played.push(san);
+      }
+    } catch (error) {
+      console.error(`eco.tsv line ${index + 2}: ${eco} ${name}: ${error.message}`);
+      return;
+    }
+
+    const entry = { eco, name, ..._splitName(name), moves, fen: chess.fen(), plies: sans.length };
+    const key = positionKeys(entry.fen).f;
+    if (!byKey.has(key)) {
+      byKey.set(key, entry);
+    }
+    if (!byCode.has(eco)) {
+      byCode.set(eco, []);
+    }
+    byCode.get(eco).push(entry);
+  });
+
+  return { byKey, byCode };
+};
+
+const _getTable = () => {
+  if (!_table) {
+    _table = _loadTable();
+  }
+  return _table;
+};
+
+//
+// classifyPlies
+//
+// parameters: plies (see src/utils/gameReplay.js)
+//
+// returns: { eco, name, opening, variation, ply } of the deepest position of the game in the table, null if there is none
+//
+const classifyPlies = (plies) => {
+  const { byKey } = _getTable();
+  let found = null;
+  for (const ply of (plies || []).slice(0, maxClassifiedPly)) {
+    const entry = byKey.get(positionKeys(ply.fen).f);
+    if (entry) {
+      found = { eco: entry.eco, name: entry.name, opening: entry.opening, variation: entry.variation, ply: ply.ply };
+    }
+  }
+  return found;
+};
+
+//
+// ecoFields
+//
+// Where eco, opening and variation of a game come from (PgnSchema.ecoSource): 'tag', the ECO tag of the PGN,
+// or 'classifier'. Tagged games keep their values. A game without ecoSource (stored before the classifier)
+// counts as tagged if it has an eco.
+//
+// parameters: game { eco, ecoSource }, plies, options { overrideTags: classify tagged games as well }
+//
+// returns: the fields to set on the game, { eco, opening, variation, ecoSource }, or {} for tagged games
+//
+const ecoFields = (game, plies, { overrideTags = false } = {}) => {
+  if (!overrideTags) {
+    if (game.ecoSource === 'tag') {
+      return {};
+    }
+    if (!game.ecoSource && game.eco) {
+      return { ecoSource: 'tag' };
+    }
+  }
+  const found = classifyPlies(plies);
+  return {
+    eco: found ? found.eco : '',
+    opening: found ? found.opening : '',
+    variation: found ? found.variation : '',
+    ecoSource: 'classifier'
+  };
+};
+
+//
+// ecoEntries
+//
+// parameters: eco code, e.g. 'B90'
+//
+// returns: the named lines of the code in table order [{ eco, name, opening, variation, moves, fen, plies }], [] if unknown
+//
+const ecoEntries = (eco) => _getTable().byCode.get(eco) || [];
+
+module.exports = {
+  classifyPlies,
+  ecoFields,
+  ecoEntries
+};
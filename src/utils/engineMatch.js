@@ -0,0 +1,367 @@
+//
+// engineMatch.js
+//
+// Engine-vs-engine matches and gauntlets: The first engine configuration plays a number of games against
+// every other configuration. Every opening is played twice, once with each colour, so the openings
+// do not favour either player. Finished games are stored as PgnSchema records.
+//
+// Parameters:
+//{
+//  "engines": [                                   // engines[0] plays all the others, two engines make a plain match
+//    { "engine": "stockfish", "options": { "Skill Level": 5 }, "name": "SF skill 5" },
+//    { "engine": "stockfish", "options": { "Skill Level": 3 } }
+//  ],
+//  "games": 20,                                   // games per pairing (default 2)
+//  "tc": { "base": 60000, "inc": 1000 },          // clock in ms, or a fixed search per move:
+//  "depth": 10,                                   // same parameters as /engine/move (depth, movetime, nodes)
+//  "openings": { "pgn_ids": ["..."], "plies": 8 }, // the first plies of stored games, or
+//  "openings": { "fens": ["<FEN>", "..."] },        // start positions (default: the initial position)
+//  "maxPlies": 400,                               // adjudicated as draw after this many plies
+//  "sprt": { "elo0": 0, "elo1": 10, "alpha": 0.05, "beta": 0.05 }, // stop a pairing once the SPRT has a verdict
+//  "event": "Skill tuning", "site": "Juris Chess Sanctuary"
+//}
+//
+
+const { Chess } = require('chess.js');
+const pgnParser = require('@mliebelt/pgn-parser');
+
+const PgnSchema = require('../schemas/pgnSchema');
+const { addPgnToDBImpl, pgnGameToGameData } = require('../controllers/pgnController');
+const { createSession, useSession, closeSession } = require('./engineSessions');
+const { getEngineConfig } = require('./engineRegistry');
+const { getSearchParams, hasSearchLimits, runSearch } = require('./engineSearch');
+const { FENstartposition, validateFen, uciToMoveObject, moveToUci, replayMoves, getGameOver, pgnDate } = require('./chessUtils');
+const { getMainlineSan } = require('./gameAnalysis');
+const { eloStats, sprt } = require('./matchStats');
+
+const defaultGames = 2;
+const defaultMaxPlies = 400;
+const defaultOpeningPlies = 8;
+
+// Default player name: registry name and the options that make the configuration special
+const _defaultName = ({ engine, options }) => {
+  const settings = Object.entries(options).map(([name, value]) => `${name}=${value}`).join(', ');
+  return settings ? `${engine} (${settings})` : engine;
+};
+
+//
+// getMatchConfig
+//
+// Validates the match parameters, see above. Does not touch the database.
+//
+// returns: { players, games, tc, limits, openings, maxPlies, sprt, event, site }. Throws on invalid parameters.
+//
+const getMatchConfig = (params = {}) => {
+  if (!Array.isArray(params.engines) || params.engines.length < 2) {
+    throw new Error('engines must list at least two engine configurations.');
+  }
+  const players = params.engines.map(entry => {
+    const engine = getEngineConfig(entry.engine).name; // throws on unknown engines
+    const options = entry.options || {};
+    return { engine, options, name: entry.name || _defaultName({ engine, options }) };
+  });
+  if (new Set(players.map(player => player.name)).size !== players.length) {
+    throw new Error('The engine configurations need distinct names.');
+  }
+
+  const games = params.games === undefined ? defaultGames : Number(params.games);
+  if (!Number.isInteger(games) || games < 1) {
+    throw new Error('games must be a positive integer.');
+  }
+  const maxPlies = params.maxPlies === undefined ? defaultMaxPlies : Number(params.maxPlies);
+  if (!Number.isInteger(maxPlies) || maxPlies < 1) {
+    throw new Error('maxPlies must be a positive integer.');
+  }
+
+  let tc = null;
+  let limits = {};
+  if (params.tc) {
+    const base = Number(params.tc.base);
+    const inc = Number(params.tc.inc || 0);
+    if (!(Number.isInteger(base) && base > 0) || !(Number.isInteger(inc) && inc >= 0)) {
+      throw new Error('tc must be { "base": <ms>, "inc": <ms> } with a positive base.');
+    }
+    tc = { base, inc };
+  } else {
+    ({ limits } = getSearchParams({ depth: params.depth, movetime: params.movetime, nodes: params.nodes }));
+    if (!hasSearchLimits(limits)) {
+      throw new Error('Give a time control (tc) or a fixed search per move (depth, movetime or nodes).');
+    }
+  }
+
+  const openings = params.openings || {};
+  if (openings.fens !== undefined) {
+    if (!Array.isArray(openings.fens) || openings.fens.length === 0) {
+      throw new Error('openings.fens must be a non-empty array of FENs.');
+    }
+    for (const fen of openings.fens) {
+      const { ok, error } = validateFen(fen);
+      if (!ok) {
+        throw new Error(`Invalid opening FEN "${fen}": ${error}`);
+      }
+    }
+  }
+  if (openings.pgn_ids !== undefined && (!Array.isArray(openings.pgn_ids) || openings.pgn_ids.length === 0)) {
+    throw new Error('openings.pgn_ids must be a non-empty array of pgn_ids.');
+  }
+
+  let sprtConfig = null;
+  if (params.sprt) {
+    const { elo0, elo1, alpha = 0.05, beta = 0.05 } = params.sprt;
+    if (typeof elo0 !== 'number' || typeof elo1 !== 'number' || elo0 >= elo1) {
+      throw new Error('sprt needs the numbers elo0 < elo1.');
+    }
+    if (!(alpha > 0 && alpha < 0.5) || !(beta > 0 && beta < 0.5)) {
+      throw new Error('sprt.alpha and sprt.beta must be between 0 and 0.5.');
+    }
+    sprtConfig = { elo0, elo1, alpha, beta };
+  }
+
+  return {
+    players,
+    games,
+    tc,
+    limits,
+    openings,
+    maxPlies,
+    sprt: sprtConfig,
+    event: params.event || 'Engine match',
+    site: params.site || 'Juris Chess Sanctuary'
+  };
+};
+
+//
+// INTERNAL: _loadOpenings
+//
+// returns: [{ name (Opening tag, if known), fen, moves (UCI) }]
+//
+const _loadOpenings = async (openings) => {
+  if (openings.fens) {
+    return openings.fens.map(fen => ({ name: null, fen, moves: [] }));
+  }
+  if (!openings.pgn_ids) {
+    return [{ name: null, fen: FENstartposition, moves: [] }];
+  }
+
+  const plies = parseInt(openings.plies) || defaultOpeningPlies;
+  const result = [];
+  for (const pgn_id of openings.pgn_ids) {
+    const pgn = await PgnSchema.findOne({ pgn_id }, { pgn_id: 1, FEN: 1, moves: 1, opening: 1 }).lean();
+    if (!pgn) {
+      throw new Error(`Opening PGN ${pgn_id} not found`);
+    }
+    const fen = pgn.FEN || FENstartposition;
+    const moves = replayMoves(fen, getMainlineSan(pgn).slice(0, plies)).map(ply => ply.uci);
+    result.push({ name: pgn.opening || pgn_id, fen, moves });
+  }
+  return result;
+};
+
+// Score of the mover in cutechess style: +0.31, -M3
+const _formatScore = (score) => {
+  if (score.mate !== undefined) {
+    return `${score.mate > 0 ? '+' : '-'}M${Math.abs(score.mate)}`;
+  }
+  return `${score.cp >= 0 ? '+' : ''}${(score.cp / 100).toFixed(2)}`;
+};
+
+//
+// INTERNAL: _playGame
+//
+// Plays one game between the sessions and stores it.
+//
+// returns: { white, black, result, termination, plies, pgn_id }
+//
+const _playGame = async ({ white, black, opening, round, config, context }) => {
+  const chess = new Chess(opening.fen);
+  for (const uci of opening.moves) {
+    chess.move(uciToMoveObject(uci));
+  }
+
+  for (const { session } of [white, black]) {
+    session.engine.ucinewgame();
+    await session.engine.isready();
+  }
+
+  const clocks = config.tc ? { w: config.tc.base, b: config.tc.base } : null;
+  let gameOver = getGameOver(chess);
+
+  while (!gameOver) {
+    if (chess.history().length - opening.moves.length >= config.maxPlies) {
+      gameOver = { result: '1/2-1/2', termination: 'adjudication' };
+      break;
+    }
+    context.checkpoint();
+
+    const side = chess.turn();
+    const player = side === 'w' ? white : black;
+    const session = player.session;
+    const limits = clocks
+      ? { wtime: clocks.w, btime: clocks.b, winc: config.tc.inc, binc: config.tc.inc }
+      : config.limits;
+
+    const startedAt = Date.now();
+    const search = await useSession(session, async () => {
+      session.engine.position({ fen: opening.fen, moves: chess.history({ verbose: true }).map(moveToUci) });
+      session.fen = chess.fen();
+      return runSearch(session, { limits });
+    });
+    const elapsed = Date.now() - startedAt;
+
+    const forfeit = side === 'w' ? '0-1' : '1-0';
+    if (clocks) {
+      clocks[side] -= elapsed;
+      if (clocks[side] < 0) {
+        gameOver = { result: forfeit, termination: 'time forfeit' };
+        break;
+      }
+      clocks[side] += config.tc.inc;
+    }
+
+    try {
+      chess.move(uciToMoveObject(search.bestmove));
+    } catch (error) {
+      // Not a move at all, or an illegal one: the engine loses the game
+      console.warn(`${player.name} played the illegal move ${search.bestmove} in ${chess.fen()}`);
+      gameOver = { result: forfeit, termination: 'illegal move' };
+      break;
+    }
+
+    const line = search.lines[0];
+    if (line) {
+      chess.setComment(`${_formatScore(line.score)}/${line.depth} ${(elapsed / 1000).toFixed(2)}s`);
+    }
+    gameOver = getGameOver(chess);
+  }
+
+  chess.header(
+    'Event', config.event,
+    'Site', config.site,
+    'Date', pgnDate(new Date()),
+    'Round', round,
+    'White', white.name,
+    'Black', black.name,
+    'Result', gameOver.result,
+    'TimeControl', config.tc ? `${config.tc.base / 1000}+${config.tc.inc / 1000}` : '-',
+    'Termination', gameOver.termination
+  );
+  if (opening.name) {
+    chess.header('Opening', opening.name);
+  }
+
+  const [parsedGame] = pgnParser.parse(chess.pgn());
+  const newPgn = await addPgnToDBImpl(pgnGameToGameData(parsedGame));
+
+  return {
+    round,
+    white: white.name,
+    black: black.name,
+    result: gameOver.result,
+    termination: gameOver.termination,
+    plies: chess.history().length,
+    pgn_id: newPgn.pgn_id
+  };
+};
+
+// Win/draw/loss counts and statistics of a list of results from the view of the player
+const _standing = (player, results) => {
+  const counts = { wins: 0, draws: 0, losses: 0 };
+  for (const { white, result } of results) {
+    if (result === '1/2-1/2') {
+      counts.draws++;
+    } else if ((result === '1-0') === (white === player)) {
+      counts.wins++;
+    } else {
+      counts.losses++;
+    }
+  }
+  return { games: results.length, ...counts, ...eloStats(counts) };
+};
+
+//
+// runMatch
+//
+// Plays the match or gauntlet as job (see src/utils/jobQueue.js): Two engine sessions are used at a time,
+// one for engines[0] and one for its current opponent.
+//
+// parameters: params (see above), context (job context: progress, checkpoint)
+//
+// returns: { players, games, pairings: [{ player, opponent, games, wins, draws, losses, score, elo, errorMargin, ... }], total }
+//
+const runMatch = async (params, context) => {
+  const config = getMatchConfig(params);
+  const openings = await _loadOpenings(config.openings);
+  const [hero, ...opponents] = config.players;
+  const totalGames = config.games * opponents.length;
+  let gamesPlayed = 0;
+
+  const pairings = [];
+  for (const [index, opponent] of opponents.entries()) {
+    const results = [];
+    const sessions = [];
+    let sprtResult = null;
+
+    try {
+      for (const player of [hero, opponent]) {
+        const session = await createSession(player.engine, player.options);
+        sessions.push(session);
+      }
+      const heroPlayer = { name: hero.name, session: sessions[0] };
+      const opponentPlayer = { name: opponent.name, session: sessions[1] };
+
+      for (let game = 0; game < config.games; game++) {
+        context.progress(gamesPlayed, totalGames);
+
+        // Every opening twice, with colours reversed
+        const opening = openings[Math.floor(game / 2) % openings.length];
+        const heroIsWhite = game % 2 === 0;
+        const round = opponents.length > 1 ? `${index + 1}.${game + 1}` : `${game + 1}`;
+
+        results.push(await _playGame({
+          white: heroIsWhite ? heroPlayer : opponentPlayer,
+          black: heroIsWhite ? opponentPlayer : heroPlayer,
+          opening,
+          round,
+          config,
+          context
+        }));
+        gamesPlayed++;
+
+        if (config.sprt) {
+          const { wins, draws, losses } = _standing(hero.name, results);
+          sprtResult = sprt({ wins, draws, losses }, config.sprt);
+          if (sprtResult.verdict !== 'continue') {
+            console.log(`SPRT verdict ${sprtResult.verdict} for ${hero.name} vs. ${opponent.name} after ${results.length} games`);
+            break;
+          }
+        }
+      }
+    } finally {
+      for (const session of sessions) {
+        await closeSession(session.id);
+      }
+    }
+
+    pairings.push({
+      player: hero.name,
+      opponent: opponent.name,
+      ..._standing(hero.name, results),
+      sprt: sprtResult,
+      results
+    });
+  }
+  context.progress(totalGames, totalGames);
+
+  const allResults = pairings.flatMap(pairing => pairing.results);
+  return {
+    players: config.players.map(player => player.name),
+    openings: openings.length,
+    pairings,
+    total: _standing(hero.name, allResults)
+  };
+};
+
+module.exports = {
+  getMatchConfig,
+  runMatch
+};
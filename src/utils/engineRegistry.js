@@ -0,0 +1,116 @@
+//
+// engineRegistry.js
+//
+// The registry of UCI engines we can run. Engines are listed in src/config/engines.json
+// (or in the file ENGINE_REGISTRY points to) by name, binary path, platform and
+// default UCI options, e.g.
+//
+// {
+//   "name": "stockfish",
+//   "platform": "linux",              // process.platform value, an array of them or "any"
+//   "path": "engines/stockfish/16/stockfish-ubuntu-x86-64-sse41-popcnt",
+//   "options": { "Threads": 1, "Hash": 128, "MultiPV": 1, "Skill Level": 20 }
+// }
+//
+// The same name can appear once per platform, so the clients just ask for "stockfish"
+// and get the binary that runs on the box we are deployed to.
+// Relative paths are resolved against the project root, NOT against the working directory.
+//
+
+const fs = require('fs');
+const path = require('path');
+
+const projectRoot = path.resolve(__dirname, '../..');
+const defaultRegistryPath = path.resolve(projectRoot, 'src/config/engines.json');
+
+//
+// INTERNAL: _loadRegistry
+//
+// The file is read on every call on purpose: Adding an engine must not require a server restart.
+//
+const _loadRegistry = () => {
+  const registryPath = process.env.ENGINE_REGISTRY
+    ? path.resolve(projectRoot, process.env.ENGINE_REGISTRY)
+    : defaultRegistryPath;
+
+  let registry;
+  try {
+    registry = JSON.parse(fs.readFileSync(registryPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Engine registry ${registryPath} could not be read: ${error.message}`);
+  }
+
+  if (!Array.isArray(registry.engines)) {
+    throw new Error(`Engine registry ${registryPath} has no "engines" array.`);
+  }
+  return registry;
+};
+
+// Does the registry entry run on this platform?
+const _matchesPlatform = (entry) => {
+  const platforms = [].concat(entry.platform || 'any');
+  return platforms.includes('any') || platforms.includes(process.platform);
+};
+
+// Registry entry -> what we hand out to the controllers
+const _toEngineConfig = (entry, defaultEngine) => ({
+  name: entry.name,
+  description: entry.description || '',
+  platform: process.platform,
+  path: path.resolve(projectRoot, entry.path),
+  options: { ...(entry.options || {}) },
+  isDefault: entry.name === defaultEngine
+});
+
+//
+// listEngines
+//
+// returns: all engines configured for the current platform
+//
+const listEngines = () => {
+  const registry = _loadRegistry();
+  return registry.engines
+    .filter(_matchesPlatform)
+    .map(entry => _toEngineConfig(entry, registry.defaultEngine));
+};
+
+//
+// getEngineConfig
+//
+// parameters: name (optional, falls back to the registry's defaultEngine)
+//
+// returns: the engine configuration for the current platform, throws if there is none
+//
+const getEngineConfig = (name) => {
+  const registry = _loadRegistry();
+  const engineName = name || registry.defaultEngine;
+  if (!engineName) {
+    throw new Error('No engine name given and the registry defines no defaultEngine.');
+  }
+
+  const entry = registry.engines.find(e => e.name === engineName && _matchesPlatform(e));
+  if (!entry) {
+    throw new Error(`Engine "${engineName}" is not registered for platform ${process.platform}.`);
+  }
+  return _toEngineConfig(entry, registry.defaultEngine);
+};
+
+//
+// isEngineAvailable
+//
+// Is the binary there and can we execute it? (Windows does not know about the X bit, F_OK is all we get there)
+//
+const isEngineAvailable = (engineConfig) => {
+  try {
+    fs.accessSync(engineConfig.path, process.platform === 'win32' ? fs.constants.F_OK : fs.constants.X_OK);
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+module.exports = {
+  listEngines,
+  getEngineConfig,
+  isEngineAvailable
+};
@@ -0,0 +1,143 @@
+//
+// engineSearch.js
+//
+// Search requests for the engine sessions: search limits and MultiPV from a request body,
+// and the top N lines of a finished search.
+//
+// Body (all optional):
+//{
+//  "depth": 20,                  // plies
+//  "movetime": 2000,             // ms
+//  "nodes": 1000000,
+//  "mate": 3,                    // search a mate in 3
+//  "wtime": 60000, "btime": 60000, "winc": 1000, "binc": 1000, "movestogo": 40,  // clock based search
+//  "searchmoves": ["e2e4", "d2d4"],                                             // restrict the search to these moves (UCI)
+//  "multipv": 3                  // number of lines to return
+//}
+//
+
+const { Chess } = require('chess.js');
+const { isUciMove } = require('./chessUtils');
+const { parseInfoLine } = require('./uciInfo');
+const { sessionEvents } = require('./engineSessions');
+
+const numericLimits = ['depth', 'movetime', 'nodes', 'mate', 'wtime', 'btime', 'winc', 'binc', 'movestogo'];
+
+//
+// getSearchParams
+//
+// returns: { limits, multipv } where limits is what chess-uci's go() expects,
+// an empty limits object means "go infinite". Throws on invalid values.
+//
+const getSearchParams = (body = {}) => {
+  const limits = {};
+
+  for (const name of numericLimits) {
+    if (body[name] === undefined || body[name] === null || body[name] === '') {
+      continue;
+    }
+    const value = Number(body[name]);
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`${name} must be a non-negative integer.`);
+    }
+    limits[name] = value;
+  }
+
+  if (body.searchmoves !== undefined) {
+    if (!Array.isArray(body.searchmoves) || !body.searchmoves.every(isUciMove)) {
+      throw new Error('searchmoves must be an array of moves in UCI notation, e.g. ["e2e4", "d2d4"].');
+    }
+    if (body.searchmoves.length > 0) {
+      limits.searchmoves = body.searchmoves;
+    }
+  }
+
+  let multipv;
+  if (body.multipv !== undefined) {
+    multipv = Number(body.multipv);
+    if (!Number.isInteger(multipv) || multipv < 1) {
+      throw new Error('multipv must be a positive integer.');
+    }
+  }
+
+  return { limits, multipv };
+};
+
+//
+// hasSearchLimits
+//
+// false means the search runs until it is stopped
+//
+const hasSearchLimits = (limits) => Object.keys(limits).some(name => numericLimits.includes(name));
+
+//
+// noMovesResult
+//
+// The engine is not asked about a position without legal moves: chess-uci does not understand its "bestmove (none)"
+// and would hand back the result of the previous search.
+//
+// returns: the search result for a checkmate ({ mate: 0 }) or stalemate ({ cp: 0 }) with bestmove null,
+// null if there are legal moves
+//
+const noMovesResult = (fen) => {
+  const chess = new Chess(fen);
+  if (chess.moves().length > 0) {
+    return null;
+  }
+  const score = chess.isCheckmate() ? { mate: 0 } : { cp: 0 };
+  return { bestmove: null, ponder: null, lines: [{ multipv: 1, depth: 0, score, pv: { uci: [], san: [] } }] };
+};
+
+//
+// runSearch
+//
+// parameters: session (engine session), limits, multipv (optional, changes the session's MultiPV option)
+//
+// returns: { bestmove, ponder, lines } with one line per PV, scores from the side to move:
+// { multipv: 1, depth: 20, score: { cp: 31 }, pv: { uci: [...], san: [...] } }
+// The lines are read from the engine output ourselves: chess-uci takes the bound scores (lowerbound, upperbound) of
+// an aspiration window for exact ones, only the last exact score of each PV counts.
+//
+const runSearch = async (session, { limits, multipv }) => {
+  const noMoves = noMovesResult(session.fen);
+  if (noMoves) {
+    return noMoves;
+  }
+
+  const engine = session.engine;
+
+  if (multipv && multipv !== Number(session.options.MultiPV || 1)) {
+    engine.setoption({ MultiPV: multipv });
+    await engine.isready();
+    session.options.MultiPV = multipv;
+  }
+
+  const lines = new Map(); // multipv -> line
+  const onLine = (lineSession, text) => {
+    const info = lineSession === session ? parseInfoLine(text, session.fen) : null;
+    if (info && info.score && info.pv && !info.score.bound) {
+      lines.set(info.multipv, { multipv: info.multipv, depth: info.depth, score: info.score, pv: info.pv });
+    }
+  };
+
+  sessionEvents.on('line', onLine);
+  let result;
+  try {
+    result = await engine.go(limits);
+  } finally {
+    sessionEvents.off('line', onLine);
+  }
+
+  return {
+    bestmove: result.bestmove,
+    ponder: result.ponder,
+    lines: [...lines.values()].sort((a, b) => a.multipv - b.multipv)
+  };
+};
+
+module.exports = {
+  getSearchParams,
+  hasSearchLimits,
+  noMovesResult,
+  runSearch
+};
@@ -0,0 +1,227 @@
+//
+// engineSessions.js
+//
+// Session manager for the UCI engine processes.
+// Every client that calls POST /engine/init gets its own engine process and a session id,
+// so two users setting positions at the same time no longer clobber each other.
+//
+// Limits (environment variables):
+// ENGINE_POOL_SIZE        - maximum number of engine processes running at the same time (default 2)
+// ENGINE_IDLE_TIMEOUT_MS  - an unused session is quit after this time (default 10 minutes)
+//
+// Everything the engines print is published on sessionEvents:
+// 'line'  (session, line) - one line of engine output
+// 'close' (session)       - the session has been closed
+//
+
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+const { getEngineConfig } = require('./engineRegistry');
+const { FENstartposition } = require('./chessUtils');
+
+const poolSize = () => parseInt(process.env.ENGINE_POOL_SIZE) || 2;
+const idleTimeout = () => parseInt(process.env.ENGINE_IDLE_TIMEOUT_MS) || 10 * 60 * 1000;
+
+const sessions = new Map(); // session id -> session
+let starting = 0; // sessions being started, they already count against the pool
+
+const sessionEvents = new EventEmitter();
+
+let Engine;
+
+//
+// INTERNAL: _loadEngineClass
+//
+// Import the chess-uci library (no other chance to do this, because it is ES6 and "require" is blocked)
+// https://github.com/tidynail/chess-uci
+// https://www.npmjs.com/package/chess-uci
+//
+const _loadEngineClass = async () => {
+  if (!Engine) {
+    const chessUci = await import('chess-uci');
+    Engine = chessUci.Engine;
+  }
+  return Engine;
+};
+
+//
+// INTERNAL: _applyEngineOptions
+//
+// Sends the UCI options via setoption. Options the engine did not announce in its "uci" reply
+// are skipped, so a Stockfish option in the request does not break e.g. Leela.
+// returns: the options actually sent
+//
+const _applyEngineOptions = (engine, options) => {
+  const applied = {};
+  for (const [name, value] of Object.entries(options)) {
+    if (!engine.options[name]) {
+      console.warn(`Engine does not support the option "${name}", skipping it.`);
+      continue;
+    }
+    applied[name] = value;
+  }
+  engine.setoption(applied);
+  return applied;
+};
+
+//
+// INTERNAL: _shutdownEngine
+//
+// quit() waits 5 seconds for the process to exit, an engine stuck in a search gets killed.
+//
+const _shutdownEngine = async (engine) => {
+  try {
+    if (engine.isRunning) {
+      await engine.quit();
+    }
+  } catch (error) {
+    console.error('Engine did not quit, killing it:', error.message);
+    engine.kill();
+  }
+};
+
+// (Re)start the idle timer of a session. Busy sessions (searching) are never expired.
+const _touch = (session) => {
+  session.lastUsed = new Date();
+  clearTimeout(session.idleTimer);
+  session.idleTimer = setTimeout(() => {
+    if (session.busy > 0) {
+      _touch(session);
+      return;
+    }
+    console.log(`Engine session ${session.id} idle for ${idleTimeout()} ms, quitting it.`);
+    closeSession(session.id).catch(error => console.error('Failed to close idle session:', error));
+  }, idleTimeout());
+  session.idleTimer.unref(); // Idle sessions must not keep node alive
+};
+
+//
+// isPoolFull
+//
+const isPoolFull = () => sessions.size + starting >= poolSize();
+
+//
+// freeSessionCount
+//
+// returns: how many sessions can be created right now
+//
+const freeSessionCount = () => Math.max(0, poolSize() - sessions.size - starting);
+
+//
+// createSession
+//
+// parameters: engineName (registry name, default engine if missing), options (UCI options overriding the registry defaults)
+//
+// returns: the new session. Throws if the pool is exhausted (error.poolFull is set then) or the engine cannot be started.
+//
+const createSession = async (engineName, options = {}) => {
+  if (isPoolFull()) {
+    const error = new Error(`All ${poolSize()} engine sessions are in use, try again later.`);
+    error.poolFull = true;
+    throw error;
+  }
+
+  const engineConfig = getEngineConfig(engineName);
+
+  let engine;
+  starting++;
+  try {
+    const EngineClass = await _loadEngineClass();
+    engine = new EngineClass(engineConfig.path, { log: true }); // log all messages
+
+    await engine.uci(); // Tell the engine we are talking UCI
+    const appliedOptions = _applyEngineOptions(engine, { ...engineConfig.options, ...options });
+    engine.position(); // Set the initial position, which might not be the start position later
+    await engine.isready(); // Are you ready?
+
+    const session = {
+      id: uuidv4(),
+      engine,
+      engineConfig,
+      options: appliedOptions,
+      createdAt: new Date(),
+      lastUsed: new Date(),
+      fen: FENstartposition, // the position the engine searches, kept up to date by the controllers
+      busy: 0,
+      idleTimer: null
+    };
+    engine.process.onReadLine(line => sessionEvents.emit('line', session, line));
+    sessions.set(session.id, session);
+    _touch(session);
+
+    console.log(`Engine session ${session.id} (${engineConfig.name}) started with options ${JSON.stringify(appliedOptions)}`);
+    return session;
+  } catch (error) {
+    if (engine) {
+      await _shutdownEngine(engine);
+    }
+    throw error;
+  } finally {
+    starting--;
+  }
+};
+
+//
+// getSession
+//
+// returns: the session or undefined. Sessions whose engine process died are dropped here.
+//
+const getSession = (id) => {
+  const session = sessions.get(id);
+  if (!session) {
+    return undefined;
+  }
+  if (!session.engine.isRunning) {
+    clearTimeout(session.idleTimer);
+    sessions.delete(id);
+    sessionEvents.emit('close', session);
+    return undefined;
+  }
+  _touch(session);
+  return session;
+};
+
+//
+// useSession
+//
+// Runs fn(session) while the session is marked busy, so it cannot expire during a long search.
+//
+const useSession = async (session, fn) => {
+  session.busy++;
+  try {
+    return await fn(session);
+  } finally {
+    session.busy--;
+    _touch(session);
+  }
+};
+
+//
+// closeSession
+//
+// Quits the engine process of the session and removes it from the pool.
+// returns: true if there was such a session
+//
+const closeSession = async (id) => {
+  const session = sessions.get(id);
+  if (!session) {
+    return false;
+  }
+  clearTimeout(session.idleTimer);
+  sessions.delete(id);
+  await _shutdownEngine(session.engine);
+  sessionEvents.emit('close', session);
+  console.log(`Engine session ${id} closed.`);
+  return true;
+};
+
+module.exports = {
+  sessionEvents,
+  poolSize,
+  isPoolFull,
+  freeSessionCount,
+  createSession,
+  getSession,
+  useSession,
+  closeSession
+};
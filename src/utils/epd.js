@@ -0,0 +1,162 @@
+//
+// epd.js
+//
+// Reads EPD files (Extended Position Description, http://www.saremba.de/chessgml/standards/pgn/pgn-complete.htm#c16.2),
+// the format of test suites such as WAC or the STS: one position per line, the first four fields of a FEN followed by
+// operations, e.g.
+//
+//   r1b2rk1/pp1p1pBp/1qn1p3/8/2B5/4P3/PPP2PPP/R2QK2R b KQ - bm Kxg7; id "WAC.123"; c0 "comment";
+//
+// Lists of complete FENs (.fen files) are read as well, a FEN is an EPD with the move counters and no operations.
+// Empty lines and lines starting with # or % are skipped.
+//
+
+const fs = require('fs');
+const readline = require('readline');
+const { Chess } = require('chess.js');
+const { validateFen, isUciMove, uciToMoveObject } = require('./chessUtils');
+
+//
+// INTERNAL: _parseOperations
+//
+// 'bm Qd1+ Qd2; id "WAC.001";' -> { bm: ['Qd1+', 'Qd2'], id: ['WAC.001'] }
+// Operands are separated by spaces, strings are quoted and may contain spaces and semicolons.
+//
+const _parseOperations = (text) => {
+  const operations = {};
+  let index = 0;
+
+  while (index < text.length) {
+    while (index < text.length && /[\s;]/.test(text[index])) {
+      index++;
+    }
+    if (index >= text.length) {
+      break;
+    }
+    const opcode = text.slice(index).match(/^[A-Za-z][A-Za-z0-9_]*/);
+    if (!opcode) {
+      throw new Error(`Invalid opcode at "${text.slice(index, index + 20)}".`);
+    }
+    index += opcode[0].length;
+
+    const operands = [];
+    while (index < text.length && text[index] !== ';') {
+      if (/\s/.test(text[index])) {
+        index++;
+      } else if (text[index] === '"') {
+        let value = '';
+        index++;
+        while (index < text.length && text[index] !== '"') {
+          value += text[index] === '\\' && index + 1 < text.length ? text[++index] : text[index];
+          index++;
+        }
+        if (index >= text.length) {
+          throw new Error(`Unterminated string in operation ${opcode[0]}.`);
+        }
+        index++;
+        operands.push(value);
+      } else {
+        const token = text.slice(index).match(/^[^\s;]+/)[0];
+        index += token.length;
+        operands.push(token);
+      }
+    }
+    if (text[index] !== ';') {
+      throw new Error(`Operation ${opcode[0]} is not terminated by a semicolon.`);
+    }
+    index++;
+    operations[opcode[0]] = operands;
+  }
+  return operations;
+};
+
+//
+// INTERNAL: _checkMoves
+//
+// The moves of a bm / am operation -> SAN as chess.js writes it, throws for an illegal move
+//
+const _checkMoves = (fen, opcode, moves) => moves.map(move => {
+  try {
+    return new Chess(fen).move(isUciMove(move) ? uciToMoveObject(move) : move).san;
+  } catch (error) {
+    throw new Error(`${opcode} ${move} is not a legal move in the position.`);
+  }
+});
+
+//
+// parseEpd
+//
+// parameters: line (one line of an EPD or FEN file)
+//
+// returns: { fen (complete, the move counters from hmvc / fmvn or "0 1"), id, bestMoves, avoidMoves, comment, operations },
+// bm and am checked and in SAN. Throws if the line is no valid EPD.
+//
+const parseEpd = (line) => {
+  const fields = line.trim().split(/\s+/);
+  if (fields.length < 4) {
+    throw new Error('An EPD needs piece placement, side to move, castling and en passant square.');
+  }
+  let rest = line.trim().replace(/^(\S+\s+){3}\S+\s*/, '');
+  let counters = null;
+
+  // A FEN: the move counters instead of operations
+  const fenCounters = rest.match(/^(\d+)\s+(\d+)\s*$/);
+  if (fenCounters) {
+    counters = [fenCounters[1], fenCounters[2]];
+    rest = '';
+  }
+  const operations = _parseOperations(rest);
+  if (!counters) {
+    const hmvc = operations.hmvc && /^\d+$/.test(operations.hmvc[0]) ? operations.hmvc[0] : '0';
+    const fmvn = operations.fmvn && /^\d+$/.test(operations.fmvn[0]) ? operations.fmvn[0] : '1';
+    counters = [hmvc, fmvn];
+  }
+
+  const fen = fields.slice(0, 4).concat(counters).join(' ');
+  const validation = validateFen(fen);
+  if (!validation.ok) {
+    throw new Error(`Invalid position: ${validation.error}`);
+  }
+
+  return {
+    fen,
+    id: operations.id ? operations.id.join(' ') : '',
+    bestMoves: _checkMoves(fen, 'bm', operations.bm || []),
+    avoidMoves: _checkMoves(fen, 'am', operations.am || []),
+    comment: operations.c0 ? operations.c0.join(' ') : '',
+    operations
+  };
+};
+
+//
+// readEpdPositions
+//
+// Async generator over the positions of an EPD or FEN file.
+//
+// yields: { index (0-based), line (1-based), text, bytesRead }
+//
+async function* readEpdPositions(filePath) {
+  const input = fs.createReadStream(filePath, { encoding: 'utf8' });
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+  let index = 0;
+  let lineNumber = 0;
+  let bytesRead = 0;
+  for await (let line of lines) {
+    lineNumber++;
+    bytesRead += Buffer.byteLength(line) + 1;
+    if (lineNumber === 1) {
+      line = line.replace(/^\uFEFF/, ''); // byte order mark
+    }
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#') || trimmed.startsWith('%')) {
+      continue;
+    }
+    yield { index: index++, line: lineNumber, text: trimmed, bytesRead };
+  }
+}
+
+module.exports = {
+  parseEpd,
+  readEpdPositions
+};
@@ -0,0 +1,160 @@
+//
+// evalCache.js
+//
+// Persistent cache of engine evaluations keyed by the normalized FEN.
+//
+// Before a search is sent to the engine we look for an evaluation of the same position by the same engine
+// that is at least as deep as requested and has enough lines (MultiPV). Only depth limited searches can be
+// answered from the cache: for movetime, nodes or clock based searches we cannot tell whether a cached entry is
+// good enough, and searchmoves/mate searches are no evaluations of the position at all.
+// Every finished search is stored, deeper results replace shallower ones.
+// Sessions whose engine plays with other options than the registry's (Skill Level, UCI_Elo, Contempt, ...) neither
+// read nor write the cache: their evaluations are not the engine's, and the key only knows the engine's name.
+//
+
+const EvalCacheSchema = require('../schemas/evalCacheSchema');
+const { uciLineToSan } = require('./chessUtils');
+const { noMovesResult, runSearch } = require('./engineSearch');
+
+//
+// normalizeFen
+//
+// 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1' -> 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq -'
+//
+const normalizeFen = (fen) => fen.trim().split(/\s+/).slice(0, 4).join(' ');
+
+// Can the search be answered from the cache?
+const _isCacheable = (limits) =>
+  limits.depth !== undefined && Object.keys(limits).every(name => name === 'depth');
+
+// Results of restricted searches do not describe the position
+const _isStorable = (limits) => !limits.searchmoves && limits.mate === undefined;
+
+// UCI options that change the speed or the output of a search, but not what the engine thinks of the position
+const neutralOptions = ['Threads', 'Hash', 'MultiPV', 'Ponder', 'Move Overhead', 'UCI_ShowWDL', 'Debug Log File'];
+
+// Does the session run the engine as registered (src/config/engines.json), apart from the neutral options?
+const _hasRegistryStrength = (session) => {
+  const defaults = session.engineConfig.options || {};
+  const options = session.options || {};
+  // session.options are the options sent to the engine, the registry's included
+  return Object.keys(options)
+    .filter(name => !neutralOptions.includes(name))
+    .every(name => String(options[name]) === String(defaults[name]));
+};
+
+//
+// lookup
+//
+// returns: the search result ({ bestmove, ponder, lines }) from the cache, or null
+//
+const lookup = async (session, { limits, multipv }) => {
+  if (!session.fen || !_isCacheable(limits) || !_hasRegistryStrength(session)) {
+    return null;
+  }
+
+  const entry = await EvalCacheSchema.findOne({
+    key: normalizeFen(session.fen),
+    engine: session.engineConfig.name,
+    depth: { $gte: limits.depth }
+  }).lean();
+
+  const linesWanted = multipv || Number(session.options.MultiPV || 1);
+  if (!entry || entry.lines.length < linesWanted) {
+    return null;
+  }
+
+  return {
+    bestmove: entry.bestmove,
+    ponder: entry.ponder,
+    lines: entry.lines.slice(0, linesWanted).map(line => ({
+      multipv: line.multipv,
+      depth: line.depth,
+      score: line.score,
+      pv: { uci: line.pv, san: uciLineToSan(session.fen, line.pv) }
+    })),
+    cached: { depth: entry.depth, engineId: entry.engineId, updatedAt: entry.updatedAt }
+  };
+};
+
+//
+// store
+//
+// Stores the search result unless there is a deeper evaluation of the position already.
+//
+const store = async (session, { limits }, result) => {
+  if (!session.fen || !_isStorable(limits) || !_hasRegistryStrength(session) || !result.bestmove || result.lines.length === 0) {
+    return;
+  }
+
+  const depth = Math.min(...result.lines.map(line => line.depth || 0));
+  const key = normalizeFen(session.fen);
+  const engine = session.engineConfig.name;
+
+  try {
+    // Only matches if what we have is not deeper. Otherwise the upsert collides with the unique index,
+    // which is what we want: the deeper evaluation stays.
+    await EvalCacheSchema.updateOne(
+      { key, engine, depth: { $lte: depth } },
+      {
+        $set: {
+          engineId: session.engine.id.name || '',
+          depth,
+          bestmove: result.bestmove,
+          ponder: result.ponder,
+          lines: result.lines.map(line => ({ multipv: line.multipv, depth: line.depth, score: line.score, pv: line.pv.uci }))
+        }
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+};
+
+//
+// cachedSearch
+//
+// runSearch (see engineSearch.js) with the cache in front of it. session.fen must be the position the engine is set to.
+//
+// parameters: session, search ({ limits, multipv }), useCache (false bypasses the lookup, the result is stored anyway)
+//
+// returns: { bestmove, ponder, lines, cached } where cached is false for fresh engine results
+//
+const cachedSearch = async (session, search, useCache = true) => {
+  // Neither looked up nor stored, there is nothing to search
+  const noMoves = noMovesResult(session.fen);
+  if (noMoves) {
+    return { ...noMoves, cached: false };
+  }
+
+  if (useCache) {
+    try {
+      const cached = await lookup(session, search);
+      if (cached) {
+        return cached;
+      }
+    } catch (error) {
+      console.error('Evaluation cache lookup failed:', error.message);
+    }
+  }
+
+  const result = await runSearch(session, search);
+
+  try {
+    await store(session, search, result);
+  } catch (error) {
+    console.error('Evaluation cache update failed:', error.message);
+  }
+
+  return { ...result, cached: false };
+};
+
+module.exports = {
+  normalizeFen,
+  lookup,
+  store,
+  cachedSearch
+};
@@ -0,0 +1,117 @@
+//
+// explorerStats.js
+//
+// The precomputed statistics of the opening explorer (ExplorerStatSchema): for every position of the stored games
+// the moves played in it, with the number of games, their results and the average rating of the players.
+//
+// A game counts once in every position it reached (the full keys of PgnSchema.positionKeys), with the move it
+// continued with the first time it got there (PgnSchema.positionMoves), or null if the game ended there.
+// When a game is stored, changed or deleted the counts change by the difference between before and after ($inc):
+// - documents that are saved: the save hooks of PgnSchema (src/schemas/pgnSchema.js)
+// - bulk writes and deletes: the code doing them calls updateExplorerStats
+// The explorer job (POST /explorer/rebuild) counts all games from scratch, e.g. the games stored before the statistics existed.
+//
+
+const ExplorerStatSchema = require('../schemas/explorerStatSchema');
+const { rating } = require('./normalizedFields');
+
+// The fields the statistics are computed from. Games passed to updateExplorerStats need them (positionKeys and
+// positionMoves are not selected by default: find(...).select('+positionKeys +positionMoves')).
+const explorerFields = ['positionKeys', 'positionMoves', 'result', 'whiteElo', 'blackElo'];
+
+//
+// INTERNAL: _counters
+//
+// What the game adds to the statistics of each of its positions
+//
+const _counters = (game) => {
+  const whiteRating = rating(game.whiteElo);
+  const blackRating = rating(game.blackElo);
+  const rated = whiteRating !== null && blackRating !== null;
+  return {
+    games: 1,
+    white: game.result === '1-0' ? 1 : 0,
+    draws: game.result === '1/2-1/2' ? 1 : 0,
+    black: game.result === '0-1' ? 1 : 0,
+    ratingSum: rated ? (whiteRating + blackRating) / 2 : 0,
+    ratingGames: rated ? 1 : 0
+  };
+};
+
+//
+// explorerEntries
+//
+// parameters: game (with positionKeys and positionMoves)
+//
+// returns: [{ key, move }], the positions the game counts in, move null for the position it ended in
+//
+const explorerEntries = (game) => {
+  const moves = new Map((game.positionMoves || []).map(({ k, m }) => [k, m]));
+  return (game.positionKeys || [])
+    .filter(key => key.startsWith('f'))
+    .map(key => ({ key, move: moves.get(key) || null }));
+};
+
+// Adds the counters of the game to the increments, sign -1 takes them away
+const _addIncrements = (increments, game, sign) => {
+  const counters = _counters(game);
+  for (const { key, move } of explorerEntries(game)) {
+    const id = move ? `${key} ${move}` : key;
+    const entry = increments.get(id) || { key, move, inc: { games: 0, white: 0, draws: 0, black: 0, ratingSum: 0, ratingGames: 0 } };
+    for (const [counter, value] of Object.entries(counters)) {
+      entry.inc[counter] += sign * value;
+    }
+    increments.set(id, entry);
+  }
+};
+
+//
+// applyExplorerStats
+//
+// parameters: removed (the games as they were before, or deleted games), added (the games as they are now, or new games).
+// For a changed game pass it in both lists: what did not change cancels out.
+//
+// returns: the number of statistics documents changed. Throws if they cannot be written.
+//
+const applyExplorerStats = async (removed = [], added = []) => {
+  const increments = new Map();
+  removed.filter(Boolean).forEach(game => _addIncrements(increments, game, -1));
+  added.filter(Boolean).forEach(game => _addIncrements(increments, game, 1));
+
+  const updates = [...increments.values()]
+    .filter(({ inc }) => Object.values(inc).some(value => value !== 0))
+    .map(({ key, move, inc }) => ({ updateOne: { filter: { key, move }, update: { $inc: inc }, upsert: true } }));
+  if (updates.length === 0) {
+    return 0;
+  }
+  await ExplorerStatSchema.bulkWrite(updates, { ordered: false });
+
+  // Moves no game plays in the position any more
+  const decreased = updates.filter(update => update.updateOne.update.$inc.games < 0).map(update => update.updateOne.filter.key);
+  if (decreased.length > 0) {
+    await ExplorerStatSchema.deleteMany({ key: { $in: [...new Set(decreased)] }, games: { $lte: 0 } });
+  }
+  return updates.length;
+};
+
+//
+// updateExplorerStats
+//
+// applyExplorerStats for the writes of the games themselves: these are done already, so a failure is only logged.
+// The statistics are off then until the explorer job rebuilds them.
+//
+const updateExplorerStats = async (removed = [], added = []) => {
+  try {
+    return await applyExplorerStats(removed, added);
+  } catch (error) {
+    console.error('Failed to update the explorer statistics:', error.message);
+    return 0;
+  }
+};
+
+module.exports = {
+  explorerFields,
+  explorerEntries,
+  applyExplorerStats,
+  updateExplorerStats
+};
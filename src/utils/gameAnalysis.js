@@ -0,0 +1,224 @@
+//
+// gameAnalysis.js
+//
+// Full-game engine analysis: Replays a stored game with chess.js, lets the engine evaluate
+// every position and derives the eval curve, the centipawn loss and the classification of every move
+// and the average centipawn loss and accuracy per side.
+//
+// All evaluations we store are from White's point of view (the engine reports them from the side to move).
+//
+
+const { Chess } = require('chess.js');
+const { FENstartposition, replayMoves, uciLineToSan } = require('./chessUtils');
+const { cachedSearch } = require('./evalCache');
+
+// Mate scores are mapped onto centipawns: mate in n -> MATE_SCORE - n
+const MATE_SCORE = 10000;
+
+// Evaluations beyond this do not change the outcome of a game anymore, so losses are computed on capped values.
+const EVAL_CAP = 1000;
+
+// Centipawn loss thresholds of the move classification
+const INACCURACY = 50;
+const MISTAKE = 100;
+const BLUNDER = 300;
+
+//
+// getMainlineSan
+//
+// The moves field of PgnSchema holds the JSON of the parser's move objects,
+// the SAN of the mainline is in move.notation.notation.
+//
+const getMainlineSan = (pgn) => {
+  let moves;
+  try {
+    moves = JSON.parse(pgn.moves);
+  } catch (error) {
+    throw new Error(`Game ${pgn.pgn_id} has no parsable moves.`);
+  }
+  if (!Array.isArray(moves)) {
+    throw new Error(`Game ${pgn.pgn_id} has no parsable moves.`);
+  }
+  return moves.map(move => move.notation.notation);
+};
+
+// Engine score (side to move) -> centipawns (side to move)
+const _toCentipawns = (score) => {
+  if (score.mate !== undefined) {
+    return score.mate > 0 ? MATE_SCORE - score.mate : -MATE_SCORE - score.mate;
+  }
+  return score.cp;
+};
+
+const _cap = (cp) => Math.max(-EVAL_CAP, Math.min(EVAL_CAP, cp));
+
+// Winning chances in percent, the formula lichess uses for its accuracy
+const _winPercent = (cp) => 50 + 50 * (2 / (1 + Math.exp(-0.00368208 * cp)) - 1);
+
+const _moveAccuracy = (winPercentBefore, winPercentAfter) => {
+  if (winPercentAfter >= winPercentBefore) {
+    return 100;
+  }
+  const accuracy = 103.1668 * Math.exp(-0.04354 * (winPercentBefore - winPercentAfter)) - 3.1669;
+  return Math.max(0, Math.min(100, accuracy));
+};
+
+const _classify = (cpLoss, isBest) => {
+  if (isBest) return 'best';
+  if (cpLoss >= BLUNDER) return 'blunder';
+  if (cpLoss >= MISTAKE) return 'mistake';
+  if (cpLoss >= INACCURACY) return 'inaccuracy';
+  return 'good';
+};
+
+const _round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+//
+// INTERNAL: _evaluatePosition
+//
+// Positions evaluated before (transpositions, the same opening in many games) come from the evaluation cache.
+//
+// returns: { score, bestmove, pv } with score from the side to move ({ cp } or { mate })
+//
+const _evaluatePosition = async (session, startFen, uciMoves, fen, limits, useCache) => {
+  // Finished games are not the engine's business (and "bestmove (none)" is not understood by chess-uci)
+  const chess = new Chess(fen);
+  if (chess.isCheckmate()) {
+    return { score: { mate: 0 }, bestmove: null, pv: [] };
+  }
+  if (chess.isGameOver()) {
+    return { score: { cp: 0 }, bestmove: null, pv: [] };
+  }
+
+  session.engine.position({ fen: startFen, moves: uciMoves });
+  session.fen = fen;
+  const result = await cachedSearch(session, { limits, multipv: 1 }, useCache);
+  const line = result.lines.find(l => l.multipv === 1);
+  if (!line) {
+    throw new Error(`Engine returned no evaluation for ${fen}.`);
+  }
+
+  return { score: line.score, bestmove: result.bestmove, pv: line.pv.uci };
+};
+
+//
+// INTERNAL: _summarize
+//
+const _summarize = (moves, color) => {
+  const own = moves.filter(move => move.color === color);
+  const count = (classification) => own.filter(move => move.classification === classification).length;
+  const average = (values) => values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+
+  return {
+    moves: own.length,
+    acpl: _round(average(own.map(move => move.cpLoss))),
+    accuracy: _round(own.length ? average(own.map(move => move.accuracy)) : 100),
+    best: count('best'),
+    good: count('good'),
+    inaccuracies: count('inaccuracy'),
+    mistakes: count('mistake'),
+    blunders: count('blunder')
+  };
+};
+
+//
+// INTERNAL: _getPlies
+//
+// The plies stored with the game (see src/utils/gameReplay.js), games stored before they existed are replayed here
+//
+const _getPlies = (pgn, startFen) => {
+  const status = pgn.replay && pgn.replay.status;
+  if (status === 'failed') {
+    throw new Error(`Game ${pgn.pgn_id} cannot be replayed: ${pgn.replay.error}`);
+  }
+  if (status === 'ok') {
+    return pgn.plies;
+  }
+  return replayMoves(startFen, getMainlineSan(pgn));
+};
+
+//
+// analyzeGame
+//
+// parameters:
+// session    - engine session (see engineSessions.js), the caller owns it
+// pgn        - PgnSchema document
+// limits     - { depth } or { movetime } per position
+// onProgress - optional callback (positionsDone, positionsTotal)
+// useCache   - false bypasses the evaluation cache
+//
+// returns: the analysis, as stored in PgnSchema.analysis
+//
+const analyzeGame = async (session, pgn, limits, onProgress, useCache = true) => {
+  const startedAt = new Date();
+  const startFen = pgn.FEN || FENstartposition;
+  const plies = _getPlies(pgn, startFen);
+  const engine = session.engine;
+
+  engine.ucinewgame();
+  await engine.isready();
+
+  // 1) Evaluate every position, the start position included
+  const positions = [{ fen: startFen, uciMoves: [] }].concat(
+    plies.map((ply, index) => ({ fen: ply.fen, uciMoves: plies.slice(0, index + 1).map(p => p.uci) })));
+
+  const evaluations = [];
+  for (const position of positions) {
+    const evaluation = await _evaluatePosition(session, startFen, position.uciMoves, position.fen, limits, useCache);
+    const sign = position.fen.split(' ')[1] === 'w' ? 1 : -1;
+    const whiteCp = sign * _toCentipawns(evaluation.score);
+    evaluations.push({
+      ...evaluation,
+      // White's point of view. "mate 0" (checkmated) has no sign, so the centipawns tell who is mated.
+      whiteScore: evaluation.score.mate === undefined ? { cp: whiteCp }
+        : evaluation.score.mate === 0 ? { mate: 0, cp: whiteCp } : { mate: sign * evaluation.score.mate },
+      whiteCp
+    });
+    if (onProgress) {
+      onProgress(evaluations.length, positions.length);
+    }
+  }
+
+  // 2) Rate every move by what it gave away compared to the engine's evaluation before it
+  const moves = plies.map((ply, index) => {
+    const before = evaluations[index];
+    const after = evaluations[index + 1];
+    const sign = ply.color === 'w' ? 1 : -1;
+
+    const moverBefore = sign * _cap(before.whiteCp);
+    const moverAfter = sign * _cap(after.whiteCp);
+    const isBest = ply.uci === before.bestmove;
+    const cpLoss = isBest ? 0 : Math.max(0, moverBefore - moverAfter);
+
+    return {
+      ply: ply.ply,
+      color: ply.color,
+      san: ply.san,
+      uci: ply.uci,
+      score: after.whiteScore,
+      bestMove: before.bestmove,
+      bestMoveSan: before.bestmove ? uciLineToSan(positions[index].fen, [before.bestmove])[0] : null,
+      cpLoss,
+      accuracy: _round(_moveAccuracy(_winPercent(moverBefore), _winPercent(moverAfter))),
+      classification: _classify(cpLoss, isBest)
+    };
+  });
+
+  return {
+    engine: session.engineConfig.name,
+    engineId: session.engine.id.name || '',
+    depth: limits.depth,
+    movetime: limits.movetime,
+    startedAt,
+    completedAt: new Date(),
+    evalCurve: evaluations.map(evaluation => evaluation.whiteCp),
+    moves,
+    white: _summarize(moves, 'w'),
+    black: _summarize(moves, 'b')
+  };
+};
+
+module.exports = {
+  getMainlineSan,
+  analyzeGame
+};
@@ -0,0 +1,331 @@
+//
+// gameAnnotations.js
+//
+// Editing the annotations of a stored game: comments, NAGs and variations at any ply. They are edited right in
+// the parser's move tree (PgnSchema.moves, see pgnGameToGameData), which the replay writes back as PGN text
+// (src/utils/pgnWriter.js), so whatever is edited here survives the PGN export and a new import.
+//
+// Moves and variations are addressed by paths, the plies counted from the start of the game:
+//
+// '12'        - the move at ply 12 of the mainline
+// '12.1'      - the first variation of that move, i.e. the first alternative to the move at ply 12
+// '12.1.14'   - the move at ply 14 in that variation
+// '12.1.14.2' - the second variation of that move, and so on
+//
+// Comments come after a move, or before it if the move begins the game or a variation: anywhere else PGN cannot
+// tell a comment before a move from one after the previous move. The comment before the first move of the game
+// is the game comment.
+//
+
+const { Chess } = require('chess.js');
+const pgnParser = require('@mliebelt/pgn-parser');
+
+// Annotation symbols -> NAGs, as the standard defines them (and the parser translates them)
+const nagSymbols = {
+  '!': '$1',
+  '?': '$2',
+  '!!': '$3',
+  '??': '$4',
+  '!?': '$5',
+  '?!': '$6',
+  '□': '$7',
+  '=': '$10',
+  '∞': '$13',
+  '⩲': '$14',
+  '⩱': '$15',
+  '±': '$16',
+  '∓': '$17',
+  '+-': '$18',
+  '-+': '$19',
+  'N': '$146'
+};
+
+//
+// parsePath
+//
+// '12.1.14' -> [12, 1, 14], throws if it is no path
+//
+const parsePath = (path) => {
+  const text = String(path ?? '').trim();
+  if (!/^\d+(\.\d+)*$/.test(text)) {
+    throw new Error(`${text || 'An empty path'} is not a path of a move or variation, e.g. 12 or 12.1.14.`);
+  }
+  const numbers = text.split('.').map(number => parseInt(number));
+  if (numbers.some(number => number < 1)) {
+    throw new Error(`Plies and variations are counted from 1: ${text}.`);
+  }
+  return numbers;
+};
+
+//
+// normalizeNag
+//
+// '!?' / '$5' / '5' -> '$5', throws if it is no NAG
+//
+const normalizeNag = (nag) => {
+  const text = String(nag ?? '').trim();
+  if (nagSymbols[text]) {
+    return nagSymbols[text];
+  }
+  const matches = text.match(/^\$?(\d{1,3})$/);
+  if (!matches || parseInt(matches[1]) > 255) {
+    throw new Error(`${text} is neither a NAG ($0 to $255) nor an annotation symbol (${Object.keys(nagSymbols).join(' ')}).`);
+  }
+  return '$' + parseInt(matches[1]);
+};
+
+//
+// INTERNAL: _locate
+//
+// Follows a path through the move tree.
+//
+// parameters: moves (the mainline), numbers (parsed path)
+//
+// returns: the line of the move or variation the path ends in, the index of the move in it (of the move owning
+// the variation, for variation paths), the ply of the first move of the line, and the steps taken
+// [{ line, index }], each step ending in the move where the path branches off (or the move addressed)
+//
+const _locate = (moves, numbers) => {
+  let line = moves;
+  let firstPly = 1;
+  const steps = [];
+
+  for (let i = 0; i < numbers.length; i += 2) {
+    const ply = numbers[i];
+    const index = ply - firstPly;
+    if (index < 0 || index >= line.length) {
+      throw new Error(`There is no move at ply ${ply} ${i === 0 ? 'in the mainline' : 'in variation ' + numbers.slice(0, i).join('.')}.`);
+    }
+    steps.push({ line, index });
+    if (i + 1 === numbers.length) {
+      return { line, index, firstPly, steps };
+    }
+
+    const variations = line[index].variations || [];
+    const variation = numbers[i + 1];
+    if (variation > variations.length) {
+      throw new Error(`The move ${numbers.slice(0, i + 1).join('.')} has ${variations.length ? 'only ' + variations.length : 'no'} variation(s).`);
+    }
+    if (i + 2 === numbers.length) {
+      return { line, index, firstPly, steps, variation: variation - 1 };
+    }
+    line = variations[variation - 1];
+    firstPly = ply; // a variation replaces the move it belongs to
+  }
+};
+
+const _locateMove = (moves, path) => {
+  const numbers = parsePath(path);
+  if (numbers.length % 2 === 0) {
+    throw new Error(`${path} is the path of a variation, not of a move.`);
+  }
+  return _locate(moves, numbers);
+};
+
+const _locateVariation = (moves, path) => {
+  const numbers = parsePath(path);
+  if (numbers.length % 2 === 1) {
+    throw new Error(`${path} is the path of a move, not of a variation.`);
+  }
+  return _locate(moves, numbers);
+};
+
+//
+// setComment
+//
+// parameters: game ({ moves, gameComment } as the parser delivers it, changed in place), path, position ('after'
+//             or 'before'), text (an empty text deletes the comment)
+//
+const setComment = (game, path, position, text) => {
+  const { line, index, firstPly, steps } = _locateMove(game.moves, path);
+  const move = line[index];
+  const comment = String(text ?? '').replace(/[{}]/g, '').replace(/\s+/g, ' ').trim() || null;
+
+  if (position === 'after') {
+    move.commentAfter = comment;
+    if (move.commentDiag) {
+      move.commentDiag.comment = comment;
+    }
+    return;
+  }
+  if (position !== 'before') {
+    throw new Error('position must be after or before.');
+  }
+  if (index > 0) {
+    throw new Error(`Only the first move of the game or of a variation can have a comment before it, comment on ply ${firstPly + index - 1} instead.`);
+  }
+  if (steps.length === 1) {
+    game.gameComment = comment ? { comment } : null;
+  } else {
+    move.commentMove = comment;
+  }
+};
+
+//
+// setNags
+//
+// parameters: game (changed in place), path, nags (['!', '$14'], replace the NAGs of the move, [] removes them)
+//
+const setNags = (game, path, nags) => {
+  if (!Array.isArray(nags)) {
+    throw new Error('nags must be a list, e.g. ["!", "$14"].');
+  }
+  const { line, index } = _locateMove(game.moves, path);
+  const normalized = [...new Set(nags.map(normalizeNag))];
+  line[index].nag = normalized.length > 0 ? normalized : null;
+};
+
+//
+// INTERNAL: _playLine
+//
+// Plays the moves of a line (and its variations) from the position of chess, which ends up after the line.
+// The SAN of the moves becomes the SAN of chess.js and the colour the colour that is to move, as in the replay.
+//
+// parameters: chess, line (parser move objects), path (for the messages)
+//
+const _playLine = (chess, line, path) => {
+  for (const move of line) {
+    const san = move.notation && move.notation.notation;
+    const variations = move.variations || [];
+    variations.forEach((variation, index) => _playLine(new Chess(chess.fen()), variation, `${path} (variation ${index + 1})`));
+
+    let played;
+    try {
+      played = chess.move(san);
+    } catch (error) {
+      played = null;
+    }
+    if (!played) {
+      throw new Error(`Illegal move ${san} in ${path}.`);
+    }
+    move.notation = { ...move.notation, notation: played.san };
+    move.turn = played.color;
+  }
+};
+
+//
+// INTERNAL: _positionBefore
+//
+// returns: chess.js board in the position before the move the steps of _locate end in,
+// throws if the moves leading there cannot be replayed
+//
+const _positionBefore = (startFen, steps) => {
+  const chess = new Chess(startFen);
+  for (const { line, index } of steps) {
+    for (const move of line.slice(0, index)) {
+      try {
+        chess.move(move.notation.notation);
+      } catch (error) {
+        throw new Error(`The moves leading there cannot be replayed, ${move.notation.notation} is illegal.`);
+      }
+    }
+  }
+  return chess;
+};
+
+//
+// parseMovetext
+//
+// '13. Nf3 {idea} d6 (13... Nc6) 14. c3' or ['Nf3', 'd6'] -> parser move objects, comments, NAGs and
+// variations included. Throws if the movetext cannot be parsed or is empty.
+//
+const parseMovetext = (movetext) => {
+  const text = (Array.isArray(movetext) ? movetext.join(' ') : String(movetext ?? '')).trim();
+  let moves;
+  try {
+    moves = text ? pgnParser.parse(text, { startRule: 'pgn' }).moves : [];
+  } catch (error) {
+    throw new Error(`The moves could not be parsed: ${error.message}`);
+  }
+  if (!Array.isArray(moves) || moves.length === 0) {
+    throw new Error('moves must contain at least one move.');
+  }
+  return moves;
+};
+
+//
+// addVariation
+//
+// Adds a variation as the last alternative to the move at path. The moves are checked with chess.js from the
+// position before that move, the nested variations included.
+//
+// parameters: game (changed in place), startFen, path (of a move), movetext (see parseMovetext)
+//
+// returns: the path of the new variation
+//
+const addVariation = (game, startFen, path, movetext) => {
+  const { line, index, firstPly, steps } = _locateMove(game.moves, path);
+  const move = line[index];
+  const variation = parseMovetext(movetext);
+  _playLine(_positionBefore(startFen, steps), variation, 'the variation');
+
+  if (variation[0].notation.notation === move.notation.notation) {
+    throw new Error(`The variation begins with ${move.notation.notation}, the move played at ply ${firstPly + index}.`);
+  }
+  move.variations = (move.variations || []).concat([variation]);
+  return `${String(path).trim()}.${move.variations.length}`;
+};
+
+//
+// promoteVariation
+//
+// The variation at path takes the place of the moves it is an alternative to, which become its first variation.
+// The other alternatives stay alternatives, and the comment before the variation stays at the beginning of the
+// variation. The moves of the variation are checked with chess.js, as imported variations never were.
+//
+// parameters: game (changed in place), startFen, path (of a variation)
+//
+const promoteVariation = (game, startFen, path) => {
+  const { line, index, variation, steps } = _locateVariation(game.moves, path);
+  const replaced = line[index];
+  const promoted = replaced.variations[variation];
+  _playLine(_positionBefore(startFen, steps), promoted, `variation ${String(path).trim()}`);
+  const others = replaced.variations.filter((_, position) => position !== variation);
+
+  const [first, ...rest] = promoted;
+  const demoted = [{ ...replaced, variations: [], commentMove: first.commentMove || null }].concat(line.slice(index + 1));
+  const promotedFirst = {
+    ...first,
+    commentMove: replaced.commentMove || null,
+    variations: [demoted].concat(others, first.variations || [])
+  };
+  line.splice(index, line.length - index, promotedFirst, ...rest);
+};
+
+//
+// deleteVariation
+//
+// Deletes the variation at path with everything in it, or, for the path of a move in a variation, the move and
+// what follows it in the variation. The mainline cannot be deleted.
+//
+// parameters: game (changed in place), path (of a variation or of a move in a variation)
+//
+const deleteVariation = (game, path) => {
+  const numbers = parsePath(path);
+  if (numbers.length === 1) {
+    throw new Error('Moves of the mainline cannot be deleted, only variations.');
+  }
+  const { line, index, variation, steps } = _locate(game.moves, numbers);
+
+  if (variation !== undefined) {
+    line[index].variations.splice(variation, 1);
+  } else if (index > 0) {
+    line.splice(index);
+  } else {
+    // The first move of a variation: the whole variation
+    const { line: owner, index: ownerIndex } = steps[steps.length - 2];
+    owner[ownerIndex].variations.splice(numbers[numbers.length - 2] - 1, 1);
+  }
+};
+
+module.exports = {
+  nagSymbols,
+  parsePath,
+  normalizeNag,
+  parseMovetext,
+  setComment,
+  setNags,
+  addVariation,
+  promoteVariation,
+  deleteVariation
+};
@@ -0,0 +1,202 @@
+//
+// gameReplay.js
+//
+// Replays the mainline of a stored game through chess.js. What comes out is stored with the game
+// (see PgnSchema.plies, PgnSchema.pgnText and PgnSchema.replay):
+//
+// - plies:   one entry per ply with SAN (as chess.js writes it), UCI, the FEN after the move
+//            and the [%clk ...] and [%eval ...] comments of the move, plyCount their number
+// - pgnText: the game in PGN export format (src/utils/pgnWriter.js), with the mainline in the SAN of the replay
+// - replay:  { status: 'ok' } or { status: 'failed', ply, san, error } for games with an illegal move,
+//            the plies up to the offending move are kept
+// - positionKeys, positionMoves: the position index of the game (src/utils/positionIndex.js)
+// - eco, opening, variation, ecoSource: the ECO classification of games without an ECO tag (src/utils/ecoClassifier.js)
+// - validation: the problems of the game, illegal moves, a wrong result, malformed tags (src/utils/gameValidation.js)
+// - dateParts, eventDateParts, whiteRating, blackRating: dates and ratings for range queries (src/utils/normalizedFields.js)
+//
+// replay.version is the version of this format. Games with an older version are replayed by the replay job.
+//
+// Everything that works on positions (replay, search, analysis) can rely on the plies of games with status 'ok'.
+//
+
+const { Chess } = require('chess.js');
+const { FENstartposition, moveToUci } = require('./chessUtils');
+const { gameToPgn, fieldTags } = require('./pgnWriter');
+const { gamePositionKeys, gamePositionMoves } = require('./positionIndex');
+const { ecoFields } = require('./ecoClassifier');
+const { validateGame } = require('./gameValidation');
+const { normalizedFields } = require('./normalizedFields');
+
+// Raise it when the derived fields change, so the replay job (POST /pgns/replay) brings the stored games up to date
+const replayVersion = 5;
+
+// The fields the derived fields are computed from. A change of one of them means a new replay.
+const replaySourceFields = ['pgnContent', 'moves', 'setup', 'FEN', 'ecoSource'].concat(Object.keys(fieldTags));
+
+//
+// parseClock
+//
+// '1:02:03.5' -> 3723.5 (seconds), null if it is not a clock value
+//
+const parseClock = (clk) => {
+  const matches = String(clk ?? '').trim().match(/^(?:(\d+):)?(\d+):(\d+(?:\.\d+)?)$/);
+  if (!matches) {
+    return null;
+  }
+  return parseInt(matches[1] || 0) * 3600 + parseInt(matches[2]) * 60 + parseFloat(matches[3]);
+};
+
+//
+// parseEval
+//
+// 0.31 / '0.31' -> { cp: 31 }, '#-3' -> { mate: -3 }, from White's point of view as in the Lichess exports.
+// null if it is not an evaluation.
+//
+const parseEval = (value) => {
+  const text = String(value ?? '').trim();
+  const mate = text.match(/^#([+-]?\d+)$/);
+  if (mate) {
+    return { mate: parseInt(mate[1]) };
+  }
+  const pawns = parseFloat(text);
+  return /^[+-]?\d+(\.\d+)?$/.test(text) && !isNaN(pawns) ? { cp: Math.round(pawns * 100) } : null;
+};
+
+// The moves field holds the JSON of the parser's move objects, '*' (the default) is a game without moves
+const _parseMoves = (moves) => {
+  if (moves === undefined || moves === null || moves === '' || moves === '*') {
+    return [];
+  }
+  try {
+    const parsed = JSON.parse(moves);
+    return Array.isArray(parsed) ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// pgnContent is the parser's game object, records added through /pgns/addpgn may hold anything else
+const _parseContent = (pgnContent) => {
+  try {
+    const parsed = JSON.parse(pgnContent);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (error) {
+    return {};
+  }
+};
+
+// pgn with some fields replaced, for gameToPgn (a PgnSchema document cannot simply be spread)
+const _withFields = (pgn, fields) => {
+  const copy = { pgn_id: pgn.pgn_id, setup: pgn.setup, FEN: pgn.FEN };
+  for (const field of Object.keys(fieldTags)) {
+    copy[field] = pgn[field];
+  }
+  return Object.assign(copy, fields);
+};
+
+// A game that cannot even be started
+const _failed = (ply, error) => ({
+  pgnText: null,
+  plies: [],
+  plyCount: 0,
+  replay: { status: 'failed', version: replayVersion, ply, error },
+  positionKeys: [],
+  positionMoves: []
+});
+
+//
+// INTERNAL: _replay
+//
+// returns: the derived fields but the validation
+//
+const _replay = (pgn) => {
+  const startFen = pgn.setup === '1' && pgn.FEN ? pgn.FEN : FENstartposition;
+  const moves = _parseMoves(pgn.moves);
+  if (!moves) {
+    return _failed(0, 'moves is not a parsable list of moves');
+  }
+
+  let chess;
+  try {
+    chess = new Chess(startFen);
+  } catch (error) {
+    return _failed(0, `Invalid FEN: ${error.message}`);
+  }
+
+  const plies = [];
+  let replay = { status: 'ok', version: replayVersion };
+  const canonicalMoves = [];
+
+  for (const move of moves) {
+    const san = move.notation && move.notation.notation;
+    const moveNumber = parseInt(chess.fen().split(' ')[5]);
+    let played;
+    try {
+      played = chess.move(san);
+    } catch (error) {
+      played = null;
+    }
+    if (!played) {
+      replay = { status: 'failed', version: replayVersion, ply: plies.length + 1, san, error: `Illegal move ${san} at ply ${plies.length + 1}.` };
+      break;
+    }
+
+    const diag = move.commentDiag || {};
+    const clock = parseClock(diag.clk);
+    const evaluation = parseEval(diag.eval);
+    plies.push({
+      ply: plies.length + 1,
+      moveNumber,
+      color: played.color,
+      san: played.san,
+      uci: moveToUci(played),
+      fen: chess.fen(),
+      ...(clock !== null && { clock }),
+      ...(evaluation && { eval: evaluation })
+    });
+    canonicalMoves.push({ ...move, notation: { ...move.notation, notation: played.san } });
+  }
+
+  // The plies up to an illegal move are still good enough for the opening
+  const eco = ecoFields(pgn, plies);
+
+  // A failed replay keeps the movetext as it came in
+  const game = { ..._parseContent(pgn.pgnContent), moves: replay.status === 'ok' ? canonicalMoves : moves };
+  let pgnText;
+  try {
+    pgnText = gameToPgn(_withFields(pgn, eco), game);
+  } catch (error) {
+    pgnText = null;
+  }
+
+  return {
+    pgnText,
+    plies,
+    plyCount: plies.length,
+    replay,
+    positionKeys: gamePositionKeys(startFen, plies),
+    positionMoves: gamePositionMoves(startFen, plies),
+    ...eco
+  };
+};
+
+//
+// replayGame
+//
+// parameters: game fields as stored in PgnSchema { pgn_id, pgnContent, moves, setup, FEN, and the tag fields }
+//
+// returns: the derived fields { pgnText, plies, plyCount, replay, positionKeys, positionMoves, validation }, the
+// classification (see ecoFields in src/utils/ecoClassifier.js) and the normalized dates and ratings, ready to be set on the record
+//
+const replayGame = (pgn) => {
+  const derived = _replay(pgn);
+  return { ...derived, validation: validateGame(_withFields(pgn, derived)), ...normalizedFields(pgn) };
+};
+
+module.exports = {
+  replayVersion,
+  replaySourceFields,
+  parseClock,
+  parseEval,
+  replayGame
+};
@@ -0,0 +1,257 @@
+//
+// gameValidation.js
+//
+// Checks a stored game for problems, after its replay (src/utils/gameReplay.js):
+//
+// - illegal-move    the mainline has an illegal move (ply, san)
+// - replay-failed   the game cannot even be started: an invalid FEN, or moves that are no list of moves
+// - result-mismatch the Result tag contradicts the final position: a checkmate, a stalemate or insufficient material
+// - missing-tag     a tag of the Seven Tag Roster (Event, Site, Date, Round, White, Black, Result) is unknown
+// - malformed-tag   a tag value is not in the format of the PGN standard, e.g. Date "17/05/2023" or WhiteElo "2500 "
+//
+// Each issue is { code, severity ('error' or 'warning'), field, message } with ply and san for illegal moves.
+// Issues that can be repaired without guessing carry the value that repairs them (fix), e.g. Date "2023-05-17"
+// -> "2023.05.17" or the result of a checkmate. The rest (illegal moves, unknown players) can only be flagged.
+// The result of the checks is stored with the game (PgnSchema.validation), it is updated with every replay.
+//
+
+const { Chess } = require('chess.js');
+const { fieldTags } = require('./pgnWriter');
+
+const resultValues = ['1-0', '0-1', '1/2-1/2', '*'];
+
+// Ways to write a result that are not the PGN standard's
+const resultSpellings = {
+  '1:0': '1-0',
+  '0:1': '0-1',
+  '½-½': '1/2-1/2',
+  '0.5-0.5': '1/2-1/2',
+  '1/2': '1/2-1/2',
+  '=': '1/2-1/2',
+  '1/2:1/2': '1/2-1/2'
+};
+
+// The placeholders of unknown values, the defaults of PgnSchema and pgnGameToGameData included
+const unknownValues = ['', '?', '-', 'Unknown', 'Unknown Event', 'Unknown Site', 'Unknown Date', '????.??.??'];
+
+// The Seven Tag Roster without Result, whose unknown value "*" is a valid result
+const rosterFields = ['event', 'site', 'date', 'round', 'white', 'black'];
+
+const unknownDate = '????.??.??';
+
+const _tagName = (field) => fieldTags[field] || field;
+
+const _issue = (code, severity, field, message, extra = {}) => ({ code, severity, field, message, ...extra });
+
+//
+// normalizePgnDate
+//
+// Dates in the PGN format YYYY.MM.DD, unknown parts as question marks.
+// '2023-05-17', '2023/5/17' -> '2023.05.17', '2023' -> '2023.??.??', 'Unknown Date' -> '????.??.??'
+//
+// returns: the normalized date, null if the value is no date (e.g. "17.05.2023", "2023.13.01")
+//
+const normalizePgnDate = (value) => {
+  const text = String(value ?? '').trim();
+  if (unknownValues.includes(text) || /^[?.]+$/.test(text)) {
+    return unknownDate;
+  }
+  const matches = text.match(/^(\d{4}|\?{4})(?:[./-](\d{1,2}|\?\?)(?:[./-](\d{1,2}|\?\?))?)?$/);
+  if (!matches) {
+    return null;
+  }
+  const [year, month = '??', day = '??'] = matches.slice(1).map(part => (part && /^\d$/.test(part) ? '0' + part : part));
+  if (month !== '??' && (month < '01' || month > '12')) {
+    return null;
+  }
+  if (day !== '??') {
+    // Day 31 of a month with 30 days, Feb 29 of a year that is no leap year
+    const lastDay = month === '??' ? 31 : new Date(Date.UTC(year === '????' ? 2000 : parseInt(year), parseInt(month), 0)).getUTCDate();
+    if (day < '01' || parseInt(day) > lastDay) {
+      return null;
+    }
+  }
+  return `${year}.${month}.${day}`;
+};
+
+//
+// INTERNAL: _checkDate
+//
+const _checkDate = (pgn, field, issues) => {
+  const value = pgn[field] === undefined || pgn[field] === null ? '' : String(pgn[field]);
+  const normalized = normalizePgnDate(value);
+  if (normalized === value) {
+    return;
+  }
+  if (normalized === null) {
+    issues.push(_issue('malformed-tag', 'warning', field, `${_tagName(field)} "${value}" is not a date in the format YYYY.MM.DD.`));
+  } else if (normalized === unknownDate && rosterFields.includes(field)) {
+    // Reported as missing tag below
+  } else {
+    issues.push(_issue('malformed-tag', 'warning', field, `${_tagName(field)} "${value}" is not in the format YYYY.MM.DD.`, { fix: normalized }));
+  }
+};
+
+//
+// INTERNAL: _checkTags
+//
+// The tag values that are not in the format of the PGN standard
+//
+const _checkTags = (pgn, issues) => {
+  const text = (field) => (pgn[field] === undefined || pgn[field] === null ? '' : String(pgn[field]));
+
+  _checkDate(pgn, 'date', issues);
+  _checkDate(pgn, 'eventDate', issues);
+
+  const result = text('result');
+  if (!resultValues.includes(result)) {
+    const fix = resultSpellings[result.replace(/\s+/g, '')] || (result.trim() === '' ? '*' : undefined);
+    issues.push(_issue('malformed-tag', 'error', 'result', `Result "${result}" is none of ${resultValues.join(', ')}.`, fix && { fix }));
+  }
+
+  for (const field of ['whiteElo', 'blackElo']) {
+    const value = text(field);
+    if (!unknownValues.includes(value.trim()) && !/^\d{1,4}$/.test(value)) {
+      const fix = /^\s*\d{1,4}\s*$/.test(value) ? value.trim() : undefined;
+      issues.push(_issue('malformed-tag', 'warning', field, `${_tagName(field)} "${value}" is not a rating.`, fix && { fix }));
+    }
+  }
+
+  for (const field of ['whiteRatingDiff', 'blackRatingDiff']) {
+    const value = text(field);
+    if (value !== '' && !/^[+-]?\d+$/.test(value)) {
+      const fix = /^\s*[+-]?\d+\s*$/.test(value) ? value.trim() : undefined;
+      issues.push(_issue('malformed-tag', 'warning', field, `${_tagName(field)} "${value}" is not a rating change.`, fix && { fix }));
+    }
+  }
+
+  const eco = text('eco');
+  if (eco !== '' && !/^[A-E]\d\d$/.test(eco)) {
+    const fix = /^[A-E]\d\d$/.test(eco.trim().toUpperCase()) ? eco.trim().toUpperCase() : undefined;
+    issues.push(_issue('malformed-tag', 'warning', 'eco', `ECO "${eco}" is not an ECO code.`, fix && { fix }));
+  }
+
+  const round = text('round');
+  if (!unknownValues.includes(round) && !/^\d+(\.\d+)*$/.test(round)) {
+    issues.push(_issue('malformed-tag', 'warning', 'round', `Round "${round}" is not a round number such as 5 or 3.1.`));
+  }
+
+  // "?", "-", or periods separated by colons: moves/seconds, seconds, seconds+increment, *seconds (sandclock)
+  const timeControl = text('timeControl');
+  if (timeControl !== '' && timeControl !== '?' && timeControl !== '-'
+    && !timeControl.split(':').every(period => /^(\d+\/\d+|\d+(\+\d+)?|\*\d+)$/.test(period))) {
+    issues.push(_issue('malformed-tag', 'warning', 'timeControl', `TimeControl "${timeControl}" is not a time control of the PGN standard.`));
+  }
+};
+
+//
+// INTERNAL: _checkRoster
+//
+const _checkRoster = (pgn, issues) => {
+  for (const field of rosterFields) {
+    const value = pgn[field] === undefined || pgn[field] === null ? '' : String(pgn[field]).trim();
+    // Round "-": a game that is not part of a tournament
+    const unknown = field === 'date' ? normalizePgnDate(value) === unknownDate : unknownValues.includes(value) && !(field === 'round' && value === '-');
+    if (unknown) {
+      // An unknown date is stored as "????.??.??"
+      const fix = field === 'date' && value !== unknownDate ? { fix: unknownDate } : {};
+      issues.push(_issue('missing-tag', 'warning', field, `${_tagName(field)} is missing.`, fix));
+    }
+  }
+};
+
+//
+// INTERNAL: _checkResult
+//
+// The result the final position demands: the checkmated side lost, stalemate and insufficient material are draws
+//
+const _checkResult = (pgn, finalFen, issues) => {
+  let chess;
+  try {
+    chess = new Chess(finalFen);
+  } catch (error) {
+    return;
+  }
+
+  let expected = null;
+  let reason;
+  if (chess.isCheckmate()) {
+    expected = chess.turn() === 'w' ? '0-1' : '1-0';
+    reason = `${chess.turn() === 'w' ? 'White' : 'Black'} is checkmated`;
+  } else if (chess.isStalemate()) {
+    expected = '1/2-1/2';
+    reason = 'the game ends in stalemate';
+  } else if (chess.isInsufficientMaterial()) {
+    expected = '1/2-1/2';
+    reason = 'neither side can checkmate';
+  }
+
+  const result = pgn.result === undefined || pgn.result === null ? '' : String(pgn.result);
+  const normalized = resultSpellings[result.replace(/\s+/g, '')] || result;
+  if (expected && normalized !== expected) {
+    // An unknown result is incomplete, a wrong one contradicts the moves
+    const severity = normalized === '*' || normalized === '' ? 'warning' : 'error';
+    issues.push(_issue('result-mismatch', severity, 'result', `Result is "${result}", but ${reason}: ${expected}.`, { fix: expected }));
+  }
+};
+
+//
+// validateGame
+//
+// parameters: pgn (PgnSchema document or record with its derived fields replay and plies, see src/utils/gameReplay.js)
+//
+// returns: { status ('ok', 'warning' or 'error', the worst severity of the issues), issues }
+//
+const validateGame = (pgn) => {
+  const issues = [];
+  const replay = pgn.replay || {};
+  const plies = pgn.plies || [];
+
+  if (replay.status === 'failed') {
+    issues.push(replay.ply
+      ? _issue('illegal-move', 'error', 'moves', replay.error || `Illegal move ${replay.san} at ply ${replay.ply}.`, { ply: replay.ply, san: replay.san })
+      : _issue('replay-failed', 'error', /FEN/.test(replay.error || '') ? 'FEN' : 'moves', replay.error || 'The game cannot be replayed.'));
+  } else if (plies.length > 0) {
+    _checkResult(pgn, plies[plies.length - 1].fen, issues);
+  } else if (pgn.setup === '1' && pgn.FEN) {
+    // A position without moves can be the final one, e.g. a study of a mate
+    _checkResult(pgn, pgn.FEN, issues);
+  }
+
+  _checkRoster(pgn, issues);
+  _checkTags(pgn, issues);
+
+  const status = issues.some(issue => issue.severity === 'error') ? 'error' : issues.length > 0 ? 'warning' : 'ok';
+  return { status, issues };
+};
+
+//
+// repairGame
+//
+// parameters: pgn, validation (validateGame(pgn) if not given)
+//
+// returns: { updates (the fields to set), repaired (the issues the updates fix), remaining (the issues to be flagged) }
+//
+const repairGame = (pgn, validation = validateGame(pgn)) => {
+  const updates = {};
+  const repaired = [];
+  const remaining = [];
+  for (const issue of validation.issues) {
+    if (issue.fix !== undefined && issue.fix !== null) {
+      // The result the final position demands wins over a mere correction of the result's format
+      if (updates[issue.field] === undefined || issue.code === 'result-mismatch') {
+        updates[issue.field] = issue.fix;
+      }
+      repaired.push(issue);
+    } else {
+      remaining.push(issue);
+    }
+  }
+  return { updates, repaired, remaining };
+};
+
+module.exports = {
+  normalizePgnDate,
+  validateGame,
+  repairGame
+};
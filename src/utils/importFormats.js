@@ -0,0 +1,86 @@
+//
+// importFormats.js
+//
+// Detects the format of an uploaded file, so one upload takes PGN, EPD / FEN and NDJSON files:
+//
+// pgn    - games in PGN (.pgn)
+// epd    - positions, one EPD or FEN per line (.epd, .fen), see src/utils/epd.js
+// ndjson - games as JSON objects, one per line, as Lichess exports them (.ndjson, .jsonl), or a JSON document
+//          with the games in an array, as the Chess.com archives (.json), see src/utils/jsonGames.js
+//
+// The content decides, the extension only if the first lines say nothing (e.g. an empty file).
+//
+
+const fs = require('fs');
+const path = require('path');
+
+const importFormats = ['pgn', 'epd', 'ndjson'];
+
+const extensionFormats = {
+  '.pgn': 'pgn',
+  '.epd': 'epd',
+  '.fen': 'epd',
+  '.ndjson': 'ndjson',
+  '.jsonl': 'ndjson',
+  '.json': 'ndjson'
+};
+
+// Enough for the first lines of any of the formats
+const sniffBytes = 4096;
+
+// Piece placement, side to move, castling, en passant: the start of every EPD and FEN
+const epdPattern = /^([pnbrqkPNBRQK1-8]+\/){7}[pnbrqkPNBRQK1-8]+\s+[wb]\s+(-|[KQkqA-Ha-h]+)\s+(-|[a-h][36])(\s|$)/;
+
+//
+// INTERNAL: _formatOfContent
+//
+// parameters: text (the start of the file)
+//
+// returns: the format the first line that is no comment points to, null if there is no such line
+//
+const _formatOfContent = (text) => {
+  const line = text.replace(/^\uFEFF/, '').split(/\r?\n/)
+    .map(candidate => candidate.trim())
+    .find(candidate => candidate && !candidate.startsWith('%') && !candidate.startsWith('#'));
+  if (!line) {
+    return null;
+  }
+  // A JSON object, not a PGN comment in braces, or a JSON array, not a tag pair
+  if (/^\{\s*("|\}|$)/.test(line) || /^\[\s*(\{|\]|$)/.test(line)) {
+    return 'ndjson';
+  }
+  if (epdPattern.test(line)) {
+    return 'epd';
+  }
+  // A tag pair, a comment or movetext without tags
+  if (line.startsWith('[') || line.startsWith('{') || /^\d+\s*\./.test(line)) {
+    return 'pgn';
+  }
+  return null;
+};
+
+//
+// detectImportFormat
+//
+// parameters: filePath (the uploaded file), fileName (its original name, for the extension)
+//
+// returns: 'pgn', 'epd' or 'ndjson', null if the file is none of them
+//
+const detectImportFormat = async (filePath, fileName = filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  let text;
+  try {
+    const buffer = Buffer.alloc(sniffBytes);
+    const { bytesRead } = await handle.read(buffer, 0, sniffBytes, 0);
+    text = buffer.toString('utf8', 0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+  return _formatOfContent(text) || extensionFormats[path.extname(fileName).toLowerCase()] || null;
+};
+
+module.exports = {
+  importFormats,
+  extensionFormats,
+  detectImportFormat
+};
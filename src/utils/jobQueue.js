@@ -0,0 +1,304 @@
+//
+// jobQueue.js
+//
+// Job subsystem for long running work (engine analysis and the like), so it is not done inline in HTTP requests.
+//
+// 1) The controllers register a handler per job type: registerJobHandler('game', handler, { validate })
+// 2) submitJob stores the job in MongoDB (JobSchema) with status "queued"
+// 3) The scheduler starts queued jobs, oldest first. Jobs that use engines are limited to the number of
+//    engine processes (ENGINE_POOL_SIZE), and they only start when the engine pool has enough free slots
+//    for the engines the job runs at the same time (e.g. 2 for an engine match).
+// 4) The handler reports progress through context.progress(done, total, details). That is also where cancellation
+//    (DELETE /jobs/:id) and the time budget are enforced, so a job stops at its next progress report,
+//    not in the middle of an engine search. Progress a job resumes from is saved with context.saveProgress instead.
+// 5) On server start, jobs that were running when the server went down are queued again (startJobQueue).
+//    Their last reported progress is handed to the handler as context.previousProgress, so a job can resume.
+// 6) Internal job types (e.g. the import of an uploaded file) are submitted by their own routes only, POST /jobs
+//    does not take them. A job type's cleanup runs once a job of it is over for good: completed, cancelled or failed.
+//
+// Environment variables:
+// JOB_TIME_BUDGET_MS - default time budget of a job (default 30 minutes)
+//
+
+const JobSchema = require('../schemas/jobSchema');
+const { poolSize, freeSessionCount } = require('./engineSessions');
+
+const defaultTimeBudget = () => parseInt(process.env.JOB_TIME_BUDGET_MS) || 30 * 60 * 1000;
+
+// How often the progress is written to the database at most
+const progressInterval = 1000;
+
+// When engine jobs wait for a free engine, we look again after this time
+const retryInterval = 1000;
+
+const handlers = new Map(); // job type -> { handler, engines, validate, internal, cleanup }
+const running = new Map();  // job_id -> { engines, cancelRequested }
+
+let started = false;
+let scheduling = false;
+let retryTimer = null;
+
+//
+// registerJobHandler
+//
+// parameters:
+// type    - job type, e.g. 'game'
+// handler - async (params, context) => result.
+//           context: { jobId, progress(done, total, details), saveProgress(done, total, details), checkpoint(),
+//                      previousProgress }
+// options - { engines (engine sessions the job runs at the same time, default 1, 0 for none),
+//             validate (params => throws on invalid params),
+//             internal (true: not to be submitted by clients through POST /jobs),
+//             cleanup (params => ..., called when the job has completed, was cancelled or failed,
+//                      not when it is interrupted by a server restart) }
+//
+const registerJobHandler = (type, handler, { engines = 1, validate, internal = false, cleanup } = {}) => {
+  handlers.set(type, { handler, engines, validate, internal, cleanup });
+};
+
+//
+// getJobTypes
+//
+// parameters: options { internal (false: only the types clients may submit, default true) }
+//
+const getJobTypes = ({ internal = true } = {}) => [...handlers.entries()]
+  .filter(([type, registered]) => internal || !registered.internal)
+  .map(([type]) => type);
+
+//
+// INTERNAL: _cleanup
+//
+const _cleanup = async (job) => {
+  const registered = handlers.get(job.type);
+  if (!registered || !registered.cleanup) {
+    return;
+  }
+  try {
+    await registered.cleanup(job.params || {});
+  } catch (error) {
+    console.error(`Cleanup of job ${job.job_id} (${job.type}) failed:`, error.message);
+  }
+};
+
+// Errors thrown at a checkpoint of a job that has been cancelled
+const _cancelledError = () => {
+  const error = new Error('Job cancelled');
+  error.cancelled = true;
+  return error;
+};
+
+const _enginesInUse = () => [...running.values()].reduce((sum, job) => sum + job.engines, 0);
+
+//
+// INTERNAL: _claimNextJob
+//
+// Atomically switches the oldest queued job of one of the given types to "running".
+//
+const _claimNextJob = (types) => JobSchema.findOneAndUpdate(
+  { status: 'queued', type: { $in: types } },
+  { status: 'running', startedAt: new Date(), error: null },
+  { sort: { createdAt: 1 }, new: true }
+);
+
+//
+// INTERNAL: _runJob
+//
+const _runJob = async (job) => {
+  const { handler, engines } = handlers.get(job.type);
+  const state = { engines, cancelRequested: job.cancelRequested };
+  running.set(job.job_id, state);
+
+  const deadline = job.timeBudgetMs > 0 ? job.startedAt.getTime() + job.timeBudgetMs : Infinity;
+  let lastProgressWrite = 0;
+
+  const checkpoint = () => {
+    if (state.cancelRequested) {
+      throw _cancelledError();
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`Time budget of ${job.timeBudgetMs} ms exceeded`);
+    }
+  };
+
+  const context = {
+    jobId: job.job_id,
+    checkpoint,
+    // What the job reported last before it was interrupted, { done: 0, total: 0 } on the first run
+    previousProgress: job.progress,
+    // Synchronous on purpose, so it can be used as progress callback anywhere. Throws if the job has to stop.
+    // details are job specific counters, e.g. { parsed, saved, failed } of an import.
+    progress: (done, total, details) => {
+      checkpoint();
+      if (Date.now() - lastProgressWrite >= progressInterval || done === total) {
+        lastProgressWrite = Date.now();
+        JobSchema.updateOne({ job_id: job.job_id }, { progress: { done, total, details } })
+          .catch(error => console.error(`Failed to update the progress of job ${job.job_id}:`, error.message));
+      }
+    },
+    // As progress, but written right away and awaited: for the progress a job resumes from after a server restart,
+    // e.g. the last batch an import has written. Throws if the write fails or the job has to stop.
+    saveProgress: async (done, total, details) => {
+      lastProgressWrite = Date.now();
+      await JobSchema.updateOne({ job_id: job.job_id }, { progress: { done, total, details } });
+      checkpoint();
+    }
+  };
+
+  console.log(`Job ${job.job_id} (${job.type}) started`);
+  try {
+    checkpoint();
+    const result = await handler(job.params, context);
+    await JobSchema.updateOne({ job_id: job.job_id }, { status: 'completed', result, finishedAt: new Date() });
+    console.log(`Job ${job.job_id} (${job.type}) completed`);
+    await _cleanup(job);
+  } catch (error) {
+    if (error.poolFull) {
+      // An interactive session took the engine we counted on, so wait for the next free one
+      console.log(`Job ${job.job_id} (${job.type}) waits for a free engine`);
+      await JobSchema.updateOne({ job_id: job.job_id }, { status: 'queued', startedAt: null })
+        .catch(err => console.error(`Failed to update job ${job.job_id}:`, err.message));
+      return;
+    }
+    const status = error.cancelled ? 'cancelled' : 'failed';
+    console.error(`Job ${job.job_id} (${job.type}) ${status}:`, error.message);
+    await JobSchema.updateOne({ job_id: job.job_id }, { status, error: error.message, finishedAt: new Date() })
+      .catch(err => console.error(`Failed to update job ${job.job_id}:`, err.message));
+    // Failed jobs are not run again either
+    await _cleanup(job);
+  } finally {
+    running.delete(job.job_id);
+    _schedule();
+  }
+};
+
+//
+// INTERNAL: _schedule
+//
+// Starts as many queued jobs as we may. Called whenever a job is submitted or finished.
+//
+const _schedule = async () => {
+  if (!started || scheduling) {
+    return;
+  }
+  scheduling = true;
+  clearTimeout(retryTimer);
+
+  try {
+    for (;;) {
+      const enginesFree = Math.min(poolSize() - _enginesInUse(), freeSessionCount());
+      const types = [...handlers.entries()]
+        .filter(([type, { engines }]) => engines <= enginesFree)
+        .map(([type]) => type);
+
+      const job = types.length > 0 ? await _claimNextJob(types) : null;
+      if (!job) {
+        break;
+      }
+      _runJob(job); // not awaited, the job runs in the background
+    }
+
+    // Engine jobs waiting for a free engine? Interactive sessions free their engines without telling us.
+    const waiting = await JobSchema.exists({ status: 'queued', type: { $in: getJobTypes() } });
+    if (waiting) {
+      retryTimer = setTimeout(_schedule, retryInterval);
+      retryTimer.unref();
+    }
+  } catch (error) {
+    console.error('Job scheduling failed:', error.message);
+  } finally {
+    scheduling = false;
+  }
+};
+
+//
+// submitJob
+//
+// parameters: type, params, timeBudgetMs (optional)
+//
+// returns: the stored job. Throws on unknown job types and invalid params.
+//
+const submitJob = async (type, params = {}, timeBudgetMs) => {
+  const registered = handlers.get(type);
+  if (!registered) {
+    throw new Error(`Unknown job type "${type}". Known types: ${getJobTypes({ internal: false }).join(', ')}`);
+  }
+  if (registered.engines > poolSize()) {
+    throw new Error(`A ${type} job needs ${registered.engines} engine sessions, but ENGINE_POOL_SIZE is ${poolSize()}.`);
+  }
+  if (registered.validate) {
+    registered.validate(params);
+  }
+
+  const job = await JobSchema.create({
+    type,
+    params,
+    timeBudgetMs: timeBudgetMs === undefined ? defaultTimeBudget() : timeBudgetMs
+  });
+  _schedule();
+  return job;
+};
+
+//
+// cancelJob
+//
+// Queued jobs are cancelled right away, running jobs stop at their next progress report.
+//
+// returns: the job, null if there is no such job
+//
+const cancelJob = async (job_id) => {
+  const cancelled = await JobSchema.findOneAndUpdate(
+    { job_id, status: 'queued' },
+    { status: 'cancelled', finishedAt: new Date() },
+    { new: true }
+  );
+  if (cancelled) {
+    await _cleanup(cancelled);
+    return cancelled;
+  }
+
+  const job = await JobSchema.findOneAndUpdate(
+    { job_id, status: 'running' },
+    { cancelRequested: true },
+    { new: true }
+  );
+  if (job && running.has(job_id)) {
+    running.get(job_id).cancelRequested = true;
+  }
+
+  return job || JobSchema.findOne({ job_id });
+};
+
+//
+// startJobQueue
+//
+// Call once on server start, after the database connection is up and the job handlers are registered.
+//
+const startJobQueue = async () => {
+  // Jobs that were running when the server went down start over (or end, if they were to be cancelled)
+  const cancelled = await JobSchema.find({ status: 'running', cancelRequested: true }).lean();
+  await JobSchema.updateMany(
+    { job_id: { $in: cancelled.map(job => job.job_id) } },
+    { status: 'cancelled', finishedAt: new Date() }
+  );
+  for (const job of cancelled) {
+    await _cleanup(job);
+  }
+  const { modifiedCount } = await JobSchema.updateMany(
+    { status: 'running' },
+    { status: 'queued', startedAt: null }
+  );
+  if (modifiedCount > 0) {
+    console.log(`${modifiedCount} interrupted job(s) queued again.`);
+  }
+
+  started = true;
+  _schedule();
+};
+
+module.exports = {
+  registerJobHandler,
+  getJobTypes,
+  submitJob,
+  cancelJob,
+  startJobQueue
+};
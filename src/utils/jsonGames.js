@@ -0,0 +1,280 @@
+//
+// jsonGames.js
+//
+// Reads game exports in NDJSON (one JSON object per line), as Lichess (https://lichess.org/api#tag/Games,
+// Accept: application/x-ndjson) delivers them, and JSON documents with the games in an array, as the monthly archives
+// of Chess.com ({ "games": [...] } of https://api.chess.com/pub/player/{user}/games/{YYYY}/{MM}).
+// Each game is turned into PGN text, which is imported like the games of a PGN file:
+//
+// - Objects with a pgn field (Chess.com, Lichess with pgnInJson=true) are imported from that PGN
+// - Lichess objects are mapped onto the tags Lichess writes into its PGN exports: players, titles, ratings and
+//   rating changes, opening, time control and termination; the clocks ([%clk]) and the evaluations of a server
+//   analysis ([%eval]) become comments of the moves
+//
+
+const fs = require('fs');
+const readline = require('readline');
+const { FENstartposition } = require('./chessUtils');
+
+// Lichess variants chess.js can replay (not chess960: chess.js knows no castling with the rooks elsewhere)
+const supportedVariants = ['standard', 'fromPosition'];
+
+// A JSON document is parsed as a whole, so it must fit into memory. NDJSON files are read line by line, any size.
+const maxDocumentBytes = 64 * 1024 * 1024;
+
+// The first line of a JSON document rather than of NDJSON: an array, an object spread over several lines,
+// or the Chess.com archive, which is one line
+const documentStartPattern = /^(\[|\{$|\{\s*"games"\s*:)/;
+
+// Lichess status -> Termination tag, as in Lichess' own PGN exports
+const terminations = {
+  mate: 'Normal',
+  resign: 'Normal',
+  stalemate: 'Normal',
+  draw: 'Normal',
+  variantEnd: 'Normal',
+  outoftime: 'Time forfeit',
+  timeout: 'Abandoned',
+  noStart: 'Abandoned',
+  aborted: 'Abandoned',
+  cheat: 'Rules infraction',
+  created: 'Unterminated',
+  started: 'Unterminated',
+  unknownFinish: 'Unterminated'
+};
+
+// Lichess status of games without a winner that did not end in a draw
+const unfinishedStatus = ['created', 'started', 'aborted', 'noStart', 'unknownFinish'];
+
+const _escapeTag = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+
+// Milliseconds since 1970 -> ['2023.05.17', '14:03:59'] (UTC)
+const _utcDateTime = (time) => {
+  const iso = new Date(time).toISOString();
+  return [iso.slice(0, 10).replace(/-/g, '.'), iso.slice(11, 19)];
+};
+
+// Centiseconds -> '0:03:00'
+const _clock = (centiseconds) => {
+  const seconds = Math.floor(centiseconds / 100);
+  return `${Math.floor(seconds / 3600)}:${String(Math.floor(seconds / 60) % 60).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+// Lichess analysis entry -> '0.17' / '#-3', null if the entry has no evaluation
+const _eval = (entry) => {
+  if (!entry) {
+    return null;
+  }
+  if (entry.mate !== undefined) {
+    return `#${entry.mate}`;
+  }
+  return entry.eval !== undefined ? (entry.eval / 100).toFixed(2) : null;
+};
+
+// Lichess player -> name, as in the Lichess PGN exports
+const _playerName = (player) => {
+  if (player.user && player.user.name) {
+    return player.user.name;
+  }
+  return player.aiLevel ? `lichess AI level ${player.aiLevel}` : 'Anonymous';
+};
+
+// Lichess winner and status -> result
+const _result = (game) => {
+  if (game.winner === 'white') {
+    return '1-0';
+  }
+  if (game.winner === 'black') {
+    return '0-1';
+  }
+  return unfinishedStatus.includes(game.status) ? '*' : '1/2-1/2';
+};
+
+//
+// INTERNAL: _movetext
+//
+// parameters: sans (array), startFen, clocks (centiseconds after each move), analysis (per ply)
+//
+const _movetext = (sans, startFen, clocks, analysis) => {
+  const fenFields = startFen.split(/\s+/);
+  let number = parseInt(fenFields[5]) || 1;
+  let white = fenFields[1] !== 'b';
+  const tokens = [];
+
+  sans.forEach((san, ply) => {
+    if (white) {
+      tokens.push(`${number}.`);
+    } else if (ply === 0 || tokens[tokens.length - 1].endsWith('}')) {
+      tokens.push(`${number}...`);
+    }
+    tokens.push(san);
+
+    const commands = [];
+    const evaluation = _eval(analysis[ply]);
+    if (evaluation !== null) {
+      commands.push(`[%eval ${evaluation}]`);
+    }
+    if (clocks[ply] !== undefined) {
+      commands.push(`[%clk ${_clock(clocks[ply])}]`);
+    }
+    if (commands.length > 0) {
+      tokens.push(`{ ${commands.join(' ')} }`);
+    }
+
+    if (!white) {
+      number++;
+    }
+    white = !white;
+  });
+  return tokens.join(' ');
+};
+
+//
+// lichessGameToPgn
+//
+// parameters: game (a game object of the Lichess API)
+//
+// returns: the game as PGN text. Throws for variants chess.js cannot replay.
+//
+const lichessGameToPgn = (game) => {
+  const variant = game.variant || 'standard';
+  if (!supportedVariants.includes(variant)) {
+    throw new Error(`Variant ${variant} is not supported.`);
+  }
+  const players = game.players || {};
+  const white = players.white || {};
+  const black = players.black || {};
+  const result = _result(game);
+  const startFen = game.initialFen && game.initialFen !== FENstartposition ? game.initialFen : null;
+  const [date, time] = game.createdAt ? _utcDateTime(game.createdAt) : ['????.??.??', null];
+
+  const tags = [
+    ['Event', `${game.rated ? 'Rated' : 'Casual'} ${game.speed ? game.speed[0].toUpperCase() + game.speed.slice(1) : ''} game`.replace(/\s+/g, ' ')],
+    ['Site', game.id ? `https://lichess.org/${game.id}` : '?'],
+    ['Date', date],
+    ['Round', '-'],
+    ['White', _playerName(white)],
+    ['Black', _playerName(black)],
+    ['Result', result],
+    ['UTCDate', time && date],
+    ['UTCTime', time],
+    ['WhiteElo', white.rating],
+    ['BlackElo', black.rating],
+    ['WhiteRatingDiff', white.ratingDiff !== undefined ? (white.ratingDiff > 0 ? '+' : '') + white.ratingDiff : null],
+    ['BlackRatingDiff', black.ratingDiff !== undefined ? (black.ratingDiff > 0 ? '+' : '') + black.ratingDiff : null],
+    ['WhiteTitle', white.user && white.user.title],
+    ['BlackTitle', black.user && black.user.title],
+    ['Variant', variant !== 'standard' ? variant[0].toUpperCase() + variant.slice(1) : null],
+    ['TimeControl', game.clock ? `${game.clock.initial}+${game.clock.increment}` : game.daysPerTurn ? `1/${game.daysPerTurn * 86400}` : '-'],
+    ['ECO', game.opening && game.opening.eco],
+    ['Opening', game.opening && game.opening.name],
+    ['Termination', terminations[game.status]],
+    ['SetUp', startFen && '1'],
+    ['FEN', startFen]
+  ].filter(([, value]) => value !== undefined && value !== null && value !== '');
+
+  const sans = String(game.moves || '').trim().split(/\s+/).filter(Boolean);
+  const movetext = _movetext(sans, startFen || FENstartposition, game.clocks || [], game.analysis || []);
+  return tags.map(([name, value]) => `[${name} "${_escapeTag(value)}"]`).join('\n') + '\n\n' + `${movetext} ${result}`.trim() + '\n';
+};
+
+//
+// jsonGameToPgn
+//
+// parameters: game (one object of an NDJSON game export)
+//
+// returns: the game as PGN text, throws if the object is neither a Lichess nor a Chess.com game
+//
+const jsonGameToPgn = (game) => {
+  if (!game || typeof game !== 'object' || Array.isArray(game)) {
+    throw new Error('A game must be a JSON object.');
+  }
+  if (typeof game.pgn === 'string' && game.pgn.trim()) {
+    return game.pgn;
+  }
+  if (game.players && game.moves !== undefined) {
+    return lichessGameToPgn(game);
+  }
+  throw new Error('The object is neither a Lichess game (players, moves) nor has it a pgn field.');
+};
+
+//
+// INTERNAL: _readJsonDocument
+//
+// The games of a JSON document: a game, an array of games or an object with a games array (Chess.com).
+// line is null, the games of a document have no line of their own.
+//
+async function* _readJsonDocument(filePath) {
+  const { size } = await fs.promises.stat(filePath);
+  if (size > maxDocumentBytes) {
+    yield { index: 0, line: 1, error: `The JSON document is too large (${size} bytes, at most ${maxDocumentBytes}). Export the games as NDJSON, one game per line.`, bytesRead: size };
+    return;
+  }
+
+  let games;
+  try {
+    const document = JSON.parse((await fs.promises.readFile(filePath, 'utf8')).replace(/^\uFEFF/, ''));
+    games = Array.isArray(document) ? document : document && Array.isArray(document.games) ? document.games : [document];
+  } catch (error) {
+    yield { index: 0, line: 1, error: `Invalid JSON: ${error.message}`, bytesRead: size };
+    return;
+  }
+
+  for (const [index, game] of games.entries()) {
+    const entry = { index, line: null, bytesRead: Math.round(size * (index + 1) / games.length) };
+    try {
+      entry.text = jsonGameToPgn(game);
+    } catch (error) {
+      entry.error = error.message;
+    }
+    yield entry;
+  }
+}
+
+//
+// readJsonGames
+//
+// Async generator over the games of an NDJSON file or a JSON document, in the shape of readPgnGames
+// (src/utils/pgnStream.js), so the PGN import can take them: the text is the PGN of the game. A line or an array
+// element that is no game yields its error instead.
+//
+// yields: { index (0-based), line (1-based, null in a JSON document), text, bytesRead } or { index, line, error, bytesRead }
+//
+async function* readJsonGames(filePath) {
+  const input = fs.createReadStream(filePath, { encoding: 'utf8' });
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+  let index = 0;
+  let lineNumber = 0;
+  let bytesRead = 0;
+  for await (let line of lines) {
+    lineNumber++;
+    bytesRead += Buffer.byteLength(line) + 1;
+    if (lineNumber === 1) {
+      line = line.replace(/^\uFEFF/, ''); // byte order mark
+    }
+    if (!line.trim()) {
+      continue;
+    }
+    if (index === 0 && documentStartPattern.test(line.trim())) {
+      lines.close();
+      input.destroy();
+      yield* _readJsonDocument(filePath);
+      return;
+    }
+
+    const entry = { index: index++, line: lineNumber, bytesRead };
+    try {
+      entry.text = jsonGameToPgn(JSON.parse(line));
+    } catch (error) {
+      entry.error = error instanceof SyntaxError ? `Invalid JSON: ${error.message}` : error.message;
+    }
+    yield entry;
+  }
+}
+
+module.exports = {
+  lichessGameToPgn,
+  jsonGameToPgn,
+  readJsonGames
+};
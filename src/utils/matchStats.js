@@ -0,0 +1,106 @@
+//
+// matchStats.js
+//
+// Statistics of engine matches: score, Elo difference with error bars, likelihood of superiority
+// and a sequential probability ratio test (SPRT), the way cutechess-cli and fishtest report them.
+// All numbers are from the point of view of the first player, Elo is logistic Elo.
+//
+
+// 95% two-sided quantile of the normal distribution
+const z95 = 1.959964;
+
+// Expected score -> Elo difference
+const _scoreToElo = (score) => -400 * Math.log10(1 / score - 1);
+
+// Elo difference -> expected score
+const _eloToScore = (elo) => 1 / (1 + Math.pow(10, -elo / 400));
+
+// Error function, Abramowitz and Stegun 7.1.26 (accurate to 1.5e-7)
+const _erf = (x) => {
+  const sign = x < 0 ? -1 : 1;
+  const t = 1 / (1 + 0.3275911 * Math.abs(x));
+  const y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return sign * y;
+};
+
+// Elo rounded to one decimal, null for a score of 0% or 100% (Elo is infinite then)
+const _round = (value) => (Number.isFinite(value) ? Math.round(value * 10) / 10 : null);
+
+//
+// INTERNAL: _meanAndVariance
+//
+// Mean and variance of the score of a single game
+//
+const _meanAndVariance = ({ wins, draws, losses }) => {
+  const games = wins + draws + losses;
+  const mean = (wins + draws / 2) / games;
+  const variance = (wins * (1 - mean) ** 2 + draws * (0.5 - mean) ** 2 + losses * mean ** 2) / games;
+  return { games, mean, variance };
+};
+
+//
+// eloStats
+//
+// parameters: { wins, draws, losses }
+//
+// returns: { score (0..1), elo, errorMargin (95%), eloRange: [low, high], los (likelihood of superiority, 0..1) }
+//
+const eloStats = (counts) => {
+  const { games, mean, variance } = _meanAndVariance(counts);
+  if (games === 0) {
+    return { score: null, elo: null, errorMargin: null, eloRange: [null, null], los: null };
+  }
+
+  const deviation = z95 * Math.sqrt(variance / games);
+  const low = _scoreToElo(mean - deviation);
+  const high = _scoreToElo(mean + deviation);
+
+  const decisive = counts.wins + counts.losses;
+  const los = decisive > 0 ? 0.5 * (1 + _erf((counts.wins - counts.losses) / Math.sqrt(2 * decisive))) : 0.5;
+
+  return {
+    score: Math.round(mean * 10000) / 10000,
+    elo: _round(_scoreToElo(mean)),
+    errorMargin: _round((high - low) / 2),
+    eloRange: [_round(low), _round(high)],
+    los: Math.round(los * 10000) / 10000
+  };
+};
+
+//
+// sprt
+//
+// Generalized SPRT with the normal approximation of the log-likelihood ratio (as fishtest did before pentanomial statistics).
+//
+// parameters: { wins, draws, losses }, { elo0 (H0), elo1 (H1), alpha (default 0.05), beta (default 0.05) }
+//
+// returns: { llr, lowerBound, upperBound, verdict } where verdict is
+// 'H1' (the first player is at least elo1 stronger), 'H0' (it is at most elo0 stronger) or 'continue'
+//
+const sprt = (counts, { elo0, elo1, alpha = 0.05, beta = 0.05 }) => {
+  const lowerBound = Math.log(beta / (1 - alpha));
+  const upperBound = Math.log((1 - beta) / alpha);
+
+  const { games, mean, variance } = _meanAndVariance(counts);
+  let llr = 0;
+  if (games > 0 && variance > 0) {
+    const s0 = _eloToScore(elo0);
+    const s1 = _eloToScore(elo1);
+    llr = games * (s1 - s0) * (2 * mean - s0 - s1) / (2 * variance);
+  }
+
+  let verdict = 'continue';
+  if (llr >= upperBound) {
+    verdict = 'H1';
+  } else if (llr <= lowerBound) {
+    verdict = 'H0';
+  }
+
+  const round = value => Math.round(value * 1000) / 1000;
+  return { elo0, elo1, alpha, beta, llr: round(llr), lowerBound: round(lowerBound), upperBound: round(upperBound), verdict };
+};
+
+module.exports = {
+  eloStats,
+  sprt
+};
@@ -0,0 +1,165 @@
+//
+// normalizedFields.js
+//
+// The dates and ratings of the stored games are PGN tag strings ("2023.??.??", "Unknown Date", "?"), which MongoDB
+// can neither sort nor compare as dates or numbers. Every game gets companion fields derived from them, the tags
+// themselves stay as they are:
+//
+// - dateParts, eventDateParts: { year, month, day, precision ('year', 'month' or 'day'), start }, start is the first
+//   day of what is known (2023.05.?? -> 2023-05-01), all null if not even the year is known
+// - whiteRating, blackRating: the Elo as number, null if unknown
+//
+// They are set by the replay (src/utils/gameReplay.js), so with every import and update; the migration job
+// (POST /pgns/normalize) backfills the games stored before they existed. rangeConditions builds the filters on them.
+// escapeRegex is for the name filters the game queries combine them with.
+//
+
+const { normalizePgnDate } = require('./gameValidation');
+
+const unknownDateParts = { year: null, month: null, day: null, precision: null, start: null };
+
+//
+// dateParts
+//
+// parameters: value (a PGN date, or one of the formats normalizePgnDate accepts, e.g. "2023-05-17")
+//
+// returns: { year, month, day, precision, start (Date, UTC) }, all null for unknown dates and values that are no dates
+//
+const dateParts = (value) => {
+  const normalized = normalizePgnDate(value);
+  if (!normalized) {
+    return { ...unknownDateParts };
+  }
+  const [year, month, day] = normalized.split('.').map(part => (/^\d+$/.test(part) ? parseInt(part) : null));
+  if (year === null) {
+    return { ...unknownDateParts };
+  }
+  // A day without month ("2023.??.17") says nothing more than the year
+  const knownDay = month !== null ? day : null;
+  return {
+    year,
+    month,
+    day: knownDay,
+    precision: knownDay !== null ? 'day' : month !== null ? 'month' : 'year',
+    start: new Date(Date.UTC(year, (month || 1) - 1, knownDay || 1))
+  };
+};
+
+//
+// rating
+//
+// "2500", " 2500 " -> 2500; "", "?", "-", "0" and anything else -> null
+//
+const rating = (value) => {
+  const matches = String(value ?? '').trim().match(/^\d{1,4}$/);
+  const number = matches ? parseInt(matches[0]) : 0;
+  return number > 0 ? number : null;
+};
+
+//
+// normalizedFields
+//
+// parameters: pgn (game fields as stored in PgnSchema)
+//
+// returns: { dateParts, eventDateParts, whiteRating, blackRating }, ready to be set on the record
+//
+const normalizedFields = (pgn) => ({
+  dateParts: dateParts(pgn.date),
+  eventDateParts: dateParts(pgn.eventDate),
+  whiteRating: rating(pgn.whiteElo),
+  blackRating: rating(pgn.blackElo)
+});
+
+//
+// dateRange
+//
+// '2023' -> [2023-01-01, 2024-01-01), '2023.05' -> [2023-05-01, 2023-06-01), '2023-05-17' -> that day
+//
+// parameters: name (of the query parameter, for the error message), value
+//
+// returns: { start, end (exclusive) }, to compare dateParts.start with. Throws if value is no date.
+//
+const dateRange = (name, value) => {
+  const parts = dateParts(value);
+  if (parts.year === null) {
+    throw new Error(`${name} must be a date: 2020, 2020.05 or 2020-05-17.`);
+  }
+  const { year, month, day, precision, start } = parts;
+  const end = precision === 'day' ? new Date(Date.UTC(year, month - 1, day + 1))
+    : precision === 'month' ? new Date(Date.UTC(year, month, 1))
+      : new Date(Date.UTC(year + 1, 0, 1));
+  return { start, end };
+};
+
+const _getRating = (query, name) => {
+  if (query[name] === undefined || query[name] === '') {
+    return undefined;
+  }
+  const value = parseInt(query[name]);
+  if (isNaN(value) || String(value) !== String(query[name]).trim()) {
+    throw new Error(`${name} must be a number.`);
+  }
+  return value;
+};
+
+//
+// rangeConditions
+//
+// The date and rating ranges of the game queries, on the normalized fields, so MongoDB uses their indexes.
+// A game matches a date range with the first day of what is known of its date: "2023.??.??" is in since=2023,
+// but not in since=2023.05. Games with an unknown date or rating do not match a range on it.
+//
+// Query parameters (all optional):
+// since, until         - games played from / up to this date: 2020, 2020.05 or 2020-05-17 (until includes all of it)
+// eventSince, eventUntil - the same for the date the event started (EventDate)
+// minElo, maxElo       - both players rated at least / at most this
+// minWhiteElo, maxWhiteElo, minBlackElo, maxBlackElo - one side only
+//
+// returns: the conditions, an array of MongoDB filters to be combined with $and. Throws on invalid values.
+//
+const rangeConditions = (query) => {
+  const conditions = [];
+
+  for (const [since, until, field] of [['since', 'until', 'dateParts.start'], ['eventSince', 'eventUntil', 'eventDateParts.start']]) {
+    const range = {};
+    if (query[since]) {
+      range.$gte = dateRange(since, query[since]).start;
+    }
+    if (query[until]) {
+      range.$lt = dateRange(until, query[until]).end;
+    }
+    if (Object.keys(range).length > 0) {
+      conditions.push({ [field]: range });
+    }
+  }
+
+  for (const [field, prefix] of [['whiteRating', 'White'], ['blackRating', 'Black']]) {
+    const range = {};
+    for (const [bound, operator] of [['min', '$gte'], ['max', '$lte']]) {
+      const limits = [_getRating(query, `${bound}Elo`), _getRating(query, `${bound}${prefix}Elo`)].filter(limit => limit !== undefined);
+      if (limits.length > 0) {
+        range[operator] = bound === 'min' ? Math.max(...limits) : Math.min(...limits);
+      }
+    }
+    if (Object.keys(range).length > 0) {
+      conditions.push({ [field]: range });
+    }
+  }
+  return conditions;
+};
+
+// For text that is matched literally in a regular expression, e.g. the beginning of a player's name
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// The query parameters of rangeConditions
+const rangeParams = ['since', 'until', 'eventSince', 'eventUntil', 'minElo', 'maxElo', 'minWhiteElo', 'maxWhiteElo', 'minBlackElo', 'maxBlackElo'];
+
+module.exports = {
+  dateParts,
+  rating,
+  normalizedFields,
+  dateRange,
+  rangeConditions,
+  rangeParams,
+  escapeRegex
+};
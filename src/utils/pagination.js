@@ -0,0 +1,25 @@
+//
+// pagination.js
+//
+// The page and limit query parameters of the list endpoints (games, players, events, positions).
+//
+
+//
+// getPagination
+//
+// parameters:
+// params       - the query (or body) with page and limit, both optional
+// defaultLimit - the limit if none is given
+// maxLimit     - the largest limit allowed
+//
+// returns: { page, limit, skip }, page and limit are at least 1, limit at most maxLimit
+//
+const getPagination = (params, defaultLimit, maxLimit) => {
+  const limit = Math.min(Math.max(parseInt(params.limit) || defaultLimit, 1), maxLimit);
+  const page = Math.max(parseInt(params.page) || 1, 1);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+module.exports = {
+  getPagination
+};
@@ -0,0 +1,121 @@
+//
+// pgnDuplicates.js
+//
+// Duplicate detection for the stored games. Every game gets a content fingerprint (PgnSchema.fingerprint):
+// a hash over the normalized players, date, result, start position and moves. Two records with the same
+// fingerprint are the same game, whatever the Event/Site tags or the comments in them say.
+//
+
+const crypto = require('crypto');
+
+// Parser move objects -> number of comments, NAGs and variations, the "richness" of the movetext
+const _countAnnotations = (moves) => moves.reduce((count, move) =>
+  count
+  + (move.commentMove ? 1 : 0)
+  + (move.commentAfter ? 1 : 0)
+  + (move.nag ? move.nag.length : 0)
+  + (move.variations || []).reduce((sum, variation) => sum + 1 + _countAnnotations(variation), 0),
+0);
+
+const _parseMoves = (moves) => {
+  try {
+    const parsed = JSON.parse(moves);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+// 'Carlsen, Magnus' and 'Carlsen,Magnus' are the same player, 'Öhman' and 'Ohman' as well
+const _normalizeName = (name) => String(name || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]/g, '');
+
+// Only the known parts of the date: '2023.05.??' -> '202305'
+const _normalizeDate = (date) => String(date || '').replace(/[^0-9]/g, '');
+
+// 'Nf3+' / 'Nf3!' -> 'Nf3'
+const _normalizeSan = (san) => String(san).replace(/[+#!?]/g, '');
+
+//
+// gameFingerprint
+//
+// parameters: game fields as stored in PgnSchema { white, black, date, result, setup, FEN, moves (JSON) }
+//
+// returns: the fingerprint, a SHA-1 hex string
+//
+const gameFingerprint = ({ white, black, date, result, setup, FEN, moves }) => {
+  const mainline = _parseMoves(moves)
+    .filter(move => move.notation && move.notation.notation)
+    .map(move => _normalizeSan(move.notation.notation));
+
+  const parts = [
+    _normalizeName(white),
+    _normalizeName(black),
+    _normalizeDate(date),
+    result || '*',
+    setup === '1' ? String(FEN || '').trim().split(/\s+/).slice(0, 4).join(' ') : '',
+    mainline.join(' ')
+  ];
+  return crypto.createHash('sha1').update(parts.join('|')).digest('hex');
+};
+
+// Tag fields that are filled in from a duplicate if the survivor does not know them
+const mergeableFields = {
+  event: 'Unknown Event',
+  site: 'Unknown Site',
+  round: '1',
+  eco: '',
+  opening: '',
+  variation: '',
+  whiteElo: '',
+  blackElo: '',
+  whiteRatingDiff: '',
+  blackRatingDiff: '',
+  timeControl: '',
+  termination: '',
+  eventDate: '????.??.??'
+};
+
+const _isUnknown = (value, defaultValue) =>
+  value === undefined || value === null || value === defaultValue || value === '' || value === '?' || /^[?.]+$/.test(value);
+
+//
+// mergeGameData
+//
+// What a duplicate adds to the survivor: Tags the survivor does not know, and the movetext
+// if the duplicate's movetext has more comments, NAGs and variations.
+//
+// parameters: survivor, duplicate (PgnSchema documents or game data objects)
+//
+// returns: the fields to set on the survivor, an empty object if the duplicate adds nothing
+//
+const mergeGameData = (survivor, duplicate) => {
+  const updates = {};
+
+  for (const [field, defaultValue] of Object.entries(mergeableFields)) {
+    if (_isUnknown(survivor[field], defaultValue) && !_isUnknown(duplicate[field], defaultValue)) {
+      updates[field] = duplicate[field];
+    }
+  }
+
+  // The ECO tag of a duplicate beats what the classifier made of the survivor
+  if (survivor.ecoSource === 'classifier' && duplicate.ecoSource === 'tag') {
+    Object.assign(updates, { eco: duplicate.eco, opening: duplicate.opening, variation: duplicate.variation, ecoSource: 'tag' });
+  }
+
+  if (_countAnnotations(_parseMoves(duplicate.moves)) > _countAnnotations(_parseMoves(survivor.moves))) {
+    updates.moves = duplicate.moves;
+    updates.pgnContent = duplicate.pgnContent;
+  }
+
+  return updates;
+};
+
+module.exports = {
+  gameFingerprint,
+  mergeableFields,
+  mergeGameData
+};
@@ -0,0 +1,191 @@
+//
+// pgnRevisions.js
+//
+// Revision history of the stored games (RevisionSchema). A revision keeps the fields a change touched with their
+// values before and after it, not the whole game, so the state of a game at revision n is found by going back
+// from its current state: the previous values of the revisions after n are put back one by one, latest first.
+// The delete revision keeps all fields of the game, so a deleted game can be brought back the same way.
+//
+// Only the fields the game consists of are tracked, those derived from it (pgnText, plies, the position index,
+// the fingerprint) follow from them when the game is saved. Neither is the engine analysis tracked.
+//
+// The revision is written before the change of the game, and taken back if the change fails: a game never differs
+// from the state its revisions lead to. Use saveWithRevision and bulkWriteWithRevisions for that.
+//
+
+const PgnSchema = require('../schemas/pgnSchema');
+const RevisionSchema = require('../schemas/revisionSchema');
+const { replaySourceFields } = require('./gameReplay');
+
+// The fields of a game that make up a revision: what the replay reads, and the annotations
+const revisionFields = replaySourceFields.concat(['annotations']).filter(field => PgnSchema.schema.path(field));
+
+// Undefined (not set) cannot be stored in a Mixed field, null stands for it
+const _value = (value) => (value === undefined ? null : value);
+
+const _same = (a, b) => JSON.stringify(_value(a)) === JSON.stringify(_value(b));
+
+// How often a revision number is taken again when a concurrent change of the game took it first
+const revisionAttempts = 5;
+
+//
+// snapshotFields
+//
+// parameters: pgn (PgnSchema document or lean record)
+//
+// returns: { field: value } of the revision fields
+//
+const snapshotFields = (pgn) => Object.fromEntries(revisionFields.map(field => [field, _value(pgn[field])]));
+
+//
+// diffFields
+//
+// parameters: before, after (snapshots, null for a game that does not exist)
+//
+// returns: [{ field, from, to }] for the fields that differ
+//
+const diffFields = (before, after) => revisionFields
+  .filter(field => !_same(before && before[field], after && after[field]))
+  .map(field => ({ field, from: before ? _value(before[field]) : null, to: after ? _value(after[field]) : null }));
+
+//
+// recordRevision
+//
+// Stores the change between two snapshots of a game as its next revision. Nothing is stored if nothing changed.
+//
+// parameters: pgn_id, action (see RevisionSchema), before, after (snapshots, null for a game that does not exist),
+//             options { user (ObjectId or null), revertedTo, game (the _id of the game) }
+//
+// returns: the revision, null if there was no change
+//
+// The next number is the latest one + 1. If a concurrent change of the same game stored that number first
+// (unique index on pgn_id and rev), the number after it is taken.
+//
+const recordRevision = async (pgn_id, action, before, after, { user = null, revertedTo, game = null } = {}) => {
+  const changes = diffFields(before, after);
+  if (changes.length === 0) {
+    return null;
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    const last = await RevisionSchema.findOne({ pgn_id }, { rev: 1 }).sort({ rev: -1 }).lean();
+    const revision = new RevisionSchema({
+      pgn_id,
+      rev: last ? last.rev + 1 : 1,
+      action,
+      revertedTo,
+      user,
+      game,
+      changedFields: changes.map(change => change.field),
+      previous: Object.fromEntries(changes.map(change => [change.field, change.from])),
+      values: after ? Object.fromEntries(changes.map(change => [change.field, change.to])) : {}
+    });
+    try {
+      await revision.save();
+      return revision;
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= revisionAttempts) {
+        throw error;
+      }
+    }
+  }
+};
+
+//
+// discardRevisions
+//
+// Deletes revisions whose change could not be written
+//
+const discardRevisions = async (revisions) => {
+  const ids = revisions.filter(Boolean).map(revision => revision._id);
+  if (ids.length > 0) {
+    await RevisionSchema.deleteMany({ _id: { $in: ids } });
+  }
+};
+
+//
+// saveWithRevision
+//
+// Saves a changed game (PgnSchema document), with the change as its next revision. The revision is recorded first,
+// after the validation, whose hooks derive the classification fields (see pgnSchema.js).
+//
+// parameters: pgn, action, before (snapshot of the game as stored, null for a new game), options { user, revertedTo }
+//
+// returns: the revision, null if no revision field changed. Throws if the game cannot be saved.
+//
+const saveWithRevision = async (pgn, action, before, options = {}) => {
+  await pgn.validate();
+  const revision = await recordRevision(pgn.pgn_id, action, before, snapshotFields(pgn), { ...options, game: pgn._id });
+  try {
+    await pgn.save({ validateBeforeSave: false }); // validated above
+  } catch (error) {
+    await discardRevisions([revision]);
+    throw error;
+  }
+  return revision;
+};
+
+//
+// bulkWriteWithRevisions
+//
+// PgnSchema.bulkWrite of updateOne operations by _id, with a revision for each game whose revision fields change.
+// The revisions of the updates that fail are taken back.
+//
+// parameters: updates (bulkWrite operations), before (the games as stored, with _id and pgn_id), after (the same games
+//             with the updates applied, in the same order), action
+//
+// returns: the result of the bulkWrite
+//
+const bulkWriteWithRevisions = async (updates, before, after, action) => {
+  const revisions = [];
+  for (const [index, game] of before.entries()) {
+    revisions.push(await recordRevision(game.pgn_id, action, snapshotFields(game), snapshotFields(after[index]), { game: game._id }));
+  }
+
+  try {
+    return await PgnSchema.bulkWrite(updates, { ordered: false });
+  } catch (error) {
+    // ordered: false, the updates without a write error went through
+    const failed = error.writeErrors ? error.writeErrors.map(writeError => updates[writeError.index]) : updates;
+    const failedIds = new Set(failed.map(update => String(update.updateOne.filter._id)));
+    await discardRevisions(revisions.filter(revision => revision && failedIds.has(String(revision.game))));
+    throw error;
+  }
+};
+
+//
+// stateAtRevision
+//
+// parameters: current (snapshot of the game, null if it has been deleted), revisions (all revisions of the game),
+//             rev (0: before the first revision)
+//
+// returns: the snapshot of the game after revision rev, null if the game did not exist then (deleted).
+// Throws if there is no such revision.
+//
+const stateAtRevision = (current, revisions, rev) => {
+  const latest = revisions.reduce((max, revision) => Math.max(max, revision.rev), 0);
+  if (!Number.isInteger(rev) || rev < 0 || rev > latest) {
+    throw new Error(`There is no revision ${rev}, the revisions go from 0 to ${latest}.`);
+  }
+
+  let state = current ? { ...current } : null;
+  for (const revision of [...revisions].sort((a, b) => b.rev - a.rev)) {
+    if (revision.rev <= rev) {
+      break;
+    }
+    // Going back across a delete brings the game back; going back across a restore, no game
+    state = revision.action === 'restore' ? null : { ...(state || {}), ...revision.previous };
+  }
+  return state;
+};
+
+module.exports = {
+  revisionFields,
+  snapshotFields,
+  diffFields,
+  recordRevision,
+  discardRevisions,
+  saveWithRevision,
+  bulkWriteWithRevisions,
+  stateAtRevision
+};
@@ -0,0 +1,144 @@
+//
+// pgnStream.js
+//
+// Reads PGN databases game by game, so files with millions of games (TWIC, the Lichess monthly dumps)
+// never have to fit into memory. The file is read line by line and split into the text of single games,
+// which are parsed one at a time with the parser's "game" rule.
+//
+// A new game starts with a tag line after the movetext of the previous game, or with any
+// movetext after a game termination marker (1-0, 0-1, 1/2-1/2, *). Tag-like lines in comments do not count.
+//
+
+const fs = require('fs');
+const readline = require('readline');
+const pgnParser = require('@mliebelt/pgn-parser');
+
+const terminationRegex = /(^|\s)(1-0|0-1|1\/2-1\/2|\*)$/;
+
+//
+// INTERNAL: _scanMovetext
+//
+// Tracks comments ({...} may span lines, ; ends at the end of the line) and variations in a movetext line.
+//
+// returns: the new state { inComment, variationDepth } and the line without comments
+//
+const _scanMovetext = (line, state) => {
+  let { inComment, variationDepth } = state;
+  let text = '';
+
+  for (const char of line) {
+    if (inComment) {
+      inComment = char !== '}';
+      continue;
+    }
+    if (char === '{') {
+      inComment = true;
+    } else if (char === ';') {
+      break;
+    } else {
+      if (char === '(') variationDepth++;
+      if (char === ')') variationDepth = Math.max(0, variationDepth - 1);
+      text += char;
+    }
+  }
+  return { inComment, variationDepth, text };
+};
+
+//
+// readPgnGames
+//
+// Async generator over the games of a PGN file.
+//
+// parameters: filePath
+//
+// yields: { index (0-based), line (1-based line of the game's first line), text, bytesRead }
+//
+async function* readPgnGames(filePath) {
+  const input = fs.createReadStream(filePath, { encoding: 'utf8' });
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+  let index = 0;
+  let lineNumber = 0;
+  let bytesRead = 0;
+
+  let game = null; // { line, lines, hasMovetext, terminated }
+  let state = { inComment: false, variationDepth: 0 };
+
+  const finish = () => {
+    const finished = { index: index++, line: game.line, text: game.lines.join('\n'), bytesRead };
+    game = null;
+    state = { inComment: false, variationDepth: 0 };
+    return finished;
+  };
+
+  for await (let line of lines) {
+    lineNumber++;
+    bytesRead += Buffer.byteLength(line) + 1;
+    if (lineNumber === 1) {
+      line = line.replace(/^\uFEFF/, ''); // byte order mark
+    }
+
+    const trimmed = line.trim();
+
+    if (!state.inComment) {
+      // Escape mechanism of the standard: lines starting with % are ignored
+      if (line.startsWith('%')) {
+        continue;
+      }
+      if (!trimmed) {
+        if (game) {
+          game.lines.push(line);
+        }
+        continue;
+      }
+
+      const isTag = trimmed.startsWith('[');
+      if (game && ((isTag && game.hasMovetext) || (!isTag && game.terminated))) {
+        yield finish();
+      }
+      if (!game) {
+        game = { line: lineNumber, lines: [], hasMovetext: false, terminated: false };
+      }
+      if (isTag && !game.hasMovetext) {
+        game.lines.push(line);
+        continue;
+      }
+    }
+
+    game.lines.push(line);
+    game.hasMovetext = true;
+
+    const scanned = _scanMovetext(line, state);
+    state = { inComment: scanned.inComment, variationDepth: scanned.variationDepth };
+    if (!state.inComment && state.variationDepth === 0 && terminationRegex.test(scanned.text.trim())) {
+      game.terminated = true;
+    }
+  }
+
+  if (game && game.lines.some(text => text.trim())) {
+    yield finish();
+  }
+}
+
+//
+// parseGame
+//
+// Parses the text of one game as yielded by readPgnGames.
+//
+// returns: the parsed game. Throws on syntax errors, error.line is the line in the FILE then.
+//
+const parseGame = ({ text, line }) => {
+  try {
+    return pgnParser.parse(text, { startRule: 'game' });
+  } catch (parseError) {
+    const errorLine = parseError.location ? line + parseError.location.start.line - 1 : line;
+    const error = new Error(`Line ${errorLine}: ${parseError.message}`);
+    error.line = errorLine;
+    throw error;
+  }
+};
+
+module.exports = {
+  readPgnGames,
+  parseGame
+};
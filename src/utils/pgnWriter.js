@@ -0,0 +1,281 @@
+//
+// pgnWriter.js
+//
+// Writes stored games back as PGN in export format, as the standard describes it
+// (http://www.saremba.de/chessgml/standards/pgn/pgn-complete.htm#c8):
+//
+// - The Seven Tag Roster first and in its order, unknown values as "?" (Date "????.??.??"),
+//   then the other tags in ASCII order of their names
+// - An empty line between the tag pair section and the movetext, and after the game
+// - Movetext lines of at most 79 characters, so they fit into 80 columns
+// - Move numbers for every White move, Black moves get "N..." after comments and at the start of variations
+// - Comments (including the [%clk ...] commands), NAGs ($n) and variations are preserved
+//
+// The game is taken from pgnContent, the parser tree of the game (see pgnGameToGameData),
+// the tag values of the Seven Tag Roster from the record itself, as they may have been edited since the import.
+//
+
+const maxLineLength = 79;
+
+const sevenTagRoster = ['Event', 'Site', 'Date', 'Round', 'White', 'Black', 'Result'];
+
+// Record field -> tag, for the tags that are stored as fields of their own
+const fieldTags = {
+  event: 'Event',
+  site: 'Site',
+  date: 'Date',
+  round: 'Round',
+  white: 'White',
+  black: 'Black',
+  result: 'Result',
+  eco: 'ECO',
+  opening: 'Opening',
+  variation: 'Variation',
+  whiteElo: 'WhiteElo',
+  blackElo: 'BlackElo',
+  whiteRatingDiff: 'WhiteRatingDiff',
+  blackRatingDiff: 'BlackRatingDiff',
+  timeControl: 'TimeControl',
+  termination: 'Termination',
+  eventDate: 'EventDate'
+};
+
+// The defaults of PgnSchema and the parser's placeholders stand for "unknown"
+const unknownValues = ['', '?', 'Unknown', 'Unknown Event', 'Unknown Site', 'Unknown Date', '????.??.??'];
+
+// Diagram commands of the parser (commentDiag) -> PGN command names
+const diagCommands = { colorArrows: 'cal', colorFields: 'csl' };
+
+// Tag value as the parser delivers it -> string. Dates and time controls come as objects.
+const _tagValue = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(_tagValue).join(':');
+  }
+  if (value && typeof value === 'object') {
+    return String(value.value ?? '');
+  }
+  return String(value ?? '');
+};
+
+// Backslash and quote are escaped in tag values
+const _escapeTag = (value) => value.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+
+// Braces cannot be nested, a closing brace in the text would end the comment
+const _cleanComment = (text) => String(text).replace(/[{}]/g, '').replace(/\s+/g, ' ').trim();
+
+//
+// INTERNAL: _getTags
+//
+// returns: [[name, value]] in export order
+//
+const _getTags = (pgn, game) => {
+  const tags = {};
+  for (const [name, value] of Object.entries(game.tags || {})) {
+    if (name !== 'messages') {
+      tags[name] = _tagValue(value);
+    }
+  }
+  for (const [field, tag] of Object.entries(fieldTags)) {
+    const value = pgn[field] === undefined || pgn[field] === null ? '' : String(pgn[field]);
+    if (!unknownValues.includes(value)) {
+      tags[tag] = value;
+    } else if (sevenTagRoster.includes(tag) && (!tags[tag] || unknownValues.includes(tags[tag]))) {
+      tags[tag] = tag === 'Date' ? '????.??.??' : tag === 'Result' ? '*' : '?';
+    }
+  }
+  if (pgn.setup === '1' && pgn.FEN) {
+    tags.SetUp = '1';
+    tags.FEN = pgn.FEN;
+  }
+
+  const others = Object.keys(tags).filter(name => !sevenTagRoster.includes(name)).sort();
+  return sevenTagRoster.concat(others).map(name => [name, tags[name]]);
+};
+
+// The text of a comment with its diagram commands ([%clk 0:01:00] etc.)
+const _commentText = (comment, diag) => {
+  const parts = [];
+  for (const [key, value] of Object.entries(diag || {})) {
+    if (key === 'comment' || value === null || value === undefined) {
+      continue;
+    }
+    const command = diagCommands[key] || key;
+    parts.push(`[%${command} ${Array.isArray(value) ? value.join(',') : value}]`);
+  }
+  if (comment) {
+    parts.push(_cleanComment(comment));
+  }
+  return parts.join(' ');
+};
+
+// A comment as tokens, so long comments can be wrapped between their words
+const _commentTokens = (text) => {
+  const words = text.split(' ');
+  words[0] = '{' + words[0];
+  words[words.length - 1] += '}';
+  return words;
+};
+
+//
+// INTERNAL: _movetextTokens
+//
+// parameters: moves (parser move objects), number (move number of the first move), tokens (output)
+//
+const _movetextTokens = (moves, number, tokens) => {
+  let needsNumber = true; // Black's move needs "N..." at the start and after comments and variations
+
+  for (const move of moves) {
+    const commentBefore = move.commentMove ? _cleanComment(move.commentMove) : '';
+    if (commentBefore) {
+      tokens.push(..._commentTokens(commentBefore));
+      needsNumber = true;
+    }
+
+    if (move.turn === 'w') {
+      tokens.push(`${number}.`);
+    } else if (needsNumber) {
+      tokens.push(`${number}...`);
+    }
+    tokens.push(move.notation.notation);
+    needsNumber = false;
+
+    for (const nag of move.nag || []) {
+      tokens.push(nag);
+    }
+
+    const comment = _commentText(move.commentAfter, move.commentDiag);
+    if (comment) {
+      tokens.push(..._commentTokens(comment));
+      needsNumber = true;
+    }
+
+    for (const variation of move.variations || []) {
+      tokens.push('(');
+      _movetextTokens(variation, number, tokens);
+      tokens.push(')');
+      needsNumber = true;
+    }
+
+    if (move.turn === 'b') {
+      number++;
+    }
+  }
+  return tokens;
+};
+
+// Tokens -> lines of at most maxLineLength characters. No space after "(" and before ")".
+const _wrap = (tokens) => {
+  const lines = [];
+  let line = '';
+  let previous = null;
+
+  for (const token of tokens) {
+    const separator = line === '' || previous === '(' || token === ')' ? '' : ' ';
+    if (line !== '' && line.length + separator.length + token.length > maxLineLength) {
+      lines.push(line);
+      line = token;
+    } else {
+      line += separator + token;
+    }
+    previous = token;
+  }
+  if (line) {
+    lines.push(line);
+  }
+  return lines;
+};
+
+//
+// gameToPgn
+//
+// parameters: pgn (PgnSchema record, lean or document), game (optional, the parsed game to write instead of pgnContent)
+//
+// returns: the game in PGN export format, terminated by an empty line
+//
+const gameToPgn = (pgn, game) => {
+  if (!game) {
+    try {
+      game = JSON.parse(pgn.pgnContent);
+    } catch (error) {
+      game = null;
+    }
+  }
+  if (!game || !Array.isArray(game.moves)) {
+    throw new Error(`Game ${pgn.pgn_id} has no parsable pgnContent.`);
+  }
+
+  const tags = _getTags(pgn, game);
+  const result = tags.find(([name]) => name === 'Result')[1];
+
+  // Black to move in the start position: the first move gets "N..."
+  const fenFields = pgn.setup === '1' && pgn.FEN ? pgn.FEN.split(/\s+/) : [];
+  const firstNumber = parseInt(fenFields[5]) || 1;
+
+  const tokens = [];
+  const gameComment = game.gameComment && game.gameComment.comment ? _cleanComment(game.gameComment.comment) : '';
+  if (gameComment) {
+    tokens.push(..._commentTokens(gameComment));
+  }
+  _movetextTokens(game.moves, firstNumber, tokens);
+  tokens.push(result);
+
+  return tags.map(([name, value]) => `[${name} "${_escapeTag(value)}"]`).join('\n')
+    + '\n\n'
+    + _wrap(tokens).join('\n')
+    + '\n\n';
+};
+
+//
+// INTERNAL: _drained
+//
+// Resolves when the stream wants more data or is closed, and removes the listener that did not fire,
+// so a long export does not pile up 'close' listeners.
+//
+const _drained = (stream) => new Promise(resolve => {
+  const done = () => {
+    stream.removeListener('drain', done);
+    stream.removeListener('close', done);
+    resolve();
+  };
+  stream.on('drain', done);
+  stream.on('close', done);
+});
+
+//
+// writeGames
+//
+// Writes the games to the stream (e.g. an HTTP response) as one PGN database, respecting backpressure.
+// The canonical PGN text stored with the game (PgnSchema.pgnText) is taken as it is, if there is one.
+// Games that cannot be written (broken pgnContent) are skipped.
+//
+// parameters: stream, games (async iterable of PgnSchema records, e.g. a query cursor)
+//
+// returns: { written, skipped }
+//
+const writeGames = async (stream, games) => {
+  const counts = { written: 0, skipped: 0 };
+  for await (const pgn of games) {
+    if (stream.destroyed) {
+      break; // the client went away
+    }
+    let text;
+    try {
+      text = pgn.pgnText || gameToPgn(pgn);
+    } catch (error) {
+      console.warn(`PGN export: ${error.message}`);
+      counts.skipped++;
+      continue;
+    }
+    if (!stream.write(text)) {
+      await _drained(stream);
+    }
+    counts.written++;
+  }
+  return counts;
+};
+
+module.exports = {
+  fieldTags,
+  gameToPgn,
+  writeGames
+};
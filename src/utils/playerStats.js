@@ -0,0 +1,197 @@
+//
+// playerStats.js
+//
+// Statistics of a player over the stored games (GET /players/:name): score by colour, results by year,
+// openings by ECO for each colour, best wins and worst losses, rating history and performance rating.
+// The games are added one by one, so a player with many games does not have to fit into memory at once.
+//
+// Scores are points: 1 for a win, 1/2 for a draw. Games without a result ("*") count as games, not for the score.
+//
+
+// Length of the lists of openings, best wins and worst losses
+const topCount = 10;
+
+// Performance rating of a 0% or 100% score: opponents' average -/+ 800, as FIDE does
+const maxRatingDifference = 800;
+
+// Elo (stored as string, "?" or "" if unknown) -> number or null
+const _rating = (value) => {
+  const rating = parseInt(value);
+  return isNaN(rating) || rating <= 0 ? null : rating;
+};
+
+// The year of a PGN date, null if unknown
+const _year = (date) => (/^\d{4}/.test(date || '') ? date.slice(0, 4) : null);
+
+// Expected score -> Elo difference
+const _scoreToElo = (score) => -400 * Math.log10(1 / score - 1);
+
+//
+// performanceRating
+//
+// The rating at which the score would be expected against these opponents: their average plus the Elo difference
+// of the score, at most 800 (FIDE's limit, a 0% or 100% score would otherwise be infinitely far off).
+//
+// parameters: score (points), opponentRatings [number]
+//
+// returns: { averageOpponentRating, rating }, both rounded, nulls without games
+//
+const performanceRating = (score, opponentRatings) => {
+  if (opponentRatings.length === 0) {
+    return { averageOpponentRating: null, rating: null };
+  }
+  const averageOpponentRating = opponentRatings.reduce((sum, rating) => sum + rating, 0) / opponentRatings.length;
+  const fraction = score / opponentRatings.length;
+  const difference = fraction <= 0 ? -maxRatingDifference : fraction >= 1 ? maxRatingDifference
+    : Math.max(-maxRatingDifference, Math.min(maxRatingDifference, _scoreToElo(fraction)));
+  return { averageOpponentRating: Math.round(averageOpponentRating), rating: Math.round(averageOpponentRating + difference) };
+};
+
+const _counts = () => ({ games: 0, wins: 0, draws: 0, losses: 0 });
+
+// { games, wins, draws, losses } -> with score (points) and percent
+const _withScore = (counts) => {
+  const scored = counts.wins + counts.draws + counts.losses;
+  const score = counts.wins + counts.draws / 2;
+  return { ...counts, score, percent: scored ? Math.round(score / scored * 1000) / 10 : null };
+};
+
+// Keeps the best topCount entries of a list in the given order
+const _keepTop = (list, entry, compare) => {
+  list.push(entry);
+  list.sort(compare);
+  if (list.length > topCount) {
+    list.pop();
+  }
+};
+
+//
+// INTERNAL: _outcome
+//
+// returns: 'wins', 'draws', 'losses' from the player's point of view, null for games without a result
+//
+const _outcome = (result, color) => {
+  if (result === '1/2-1/2') {
+    return 'draws';
+  }
+  if (result === '1-0' || result === '0-1') {
+    return (result === '1-0') === (color === 'white') ? 'wins' : 'losses';
+  }
+  return null;
+};
+
+//
+// createPlayerStats
+//
+// parameters: name (as stored in white/black), performance period { since, until (as given, for the result),
+//             start, end (Dates: the games whose dateParts.start is from start on and before end) }
+//
+// returns: { add(game), result() }, add takes a game with white, black, whiteElo, blackElo, result, date, dateParts, eco,
+// opening, event and pgn_id, result() returns the statistics
+//
+const createPlayerStats = (name, { since, until, start, end } = {}) => {
+  const total = _counts();
+  const byColor = { white: _counts(), black: _counts() };
+  const byYear = new Map();
+  const openings = { white: new Map(), black: new Map() };
+  const bestWins = [];
+  const worstLosses = [];
+  const ratings = new Map(); // month ('2020.05', or '2020' if only the year is known) -> { date, rating }
+  const performance = { score: 0, opponentRatings: [] };
+  let firstDate = null;
+  let lastDate = null;
+
+  const add = (game) => {
+    const color = game.white === name ? 'white' : 'black';
+    const opponent = color === 'white' ? game.black : game.white;
+    const ownRating = _rating(color === 'white' ? game.whiteElo : game.blackElo);
+    const opponentRating = _rating(color === 'white' ? game.blackElo : game.whiteElo);
+    const outcome = _outcome(game.result, color);
+    const year = _year(game.date);
+
+    const count = (counts) => {
+      counts.games++;
+      if (outcome) {
+        counts[outcome]++;
+      }
+    };
+    count(total);
+    count(byColor[color]);
+
+    if (year) {
+      if (!byYear.has(year)) {
+        byYear.set(year, _counts());
+      }
+      count(byYear.get(year));
+      firstDate = !firstDate || game.date < firstDate ? game.date : firstDate;
+      lastDate = !lastDate || game.date > lastDate ? game.date : lastDate;
+    }
+
+    if (game.eco) {
+      if (!openings[color].has(game.eco)) {
+        openings[color].set(game.eco, { eco: game.eco, opening: game.opening || '', ..._counts() });
+      }
+      count(openings[color].get(game.eco));
+    }
+
+    const summary = {
+      pgn_id: game.pgn_id, color, opponent, opponentRating, result: game.result, date: game.date, event: game.event, eco: game.eco
+    };
+    if (opponentRating && outcome === 'wins') {
+      _keepTop(bestWins, summary, (a, b) => b.opponentRating - a.opponentRating);
+    }
+    if (opponentRating && outcome === 'losses') {
+      _keepTop(worstLosses, summary, (a, b) => a.opponentRating - b.opponentRating);
+    }
+
+    if (ownRating && year) {
+      const month = /^\d{4}\.\d{2}/.test(game.date) ? game.date.slice(0, 7) : year;
+      const known = ratings.get(month);
+      if (!known || game.date >= known.date) {
+        ratings.set(month, { date: game.date, rating: ownRating });
+      }
+    }
+
+    const played = game.dateParts ? game.dateParts.start : null;
+    const inPeriod = (!start || (played && played >= start)) && (!end || (played && played < end));
+    if (inPeriod && opponentRating && outcome) {
+      performance.score += outcome === 'wins' ? 1 : outcome === 'draws' ? 0.5 : 0;
+      performance.opponentRatings.push(opponentRating);
+    }
+  };
+
+  const _topOpenings = (byEco) => [...byEco.values()]
+    .sort((a, b) => b.games - a.games || a.eco.localeCompare(b.eco))
+    .slice(0, topCount)
+    .map(_withScore);
+
+  const _performance = () => ({
+    since: since || null,
+    until: until || null,
+    games: performance.opponentRatings.length,
+    score: performance.score,
+    ...performanceRating(performance.score, performance.opponentRatings)
+  });
+
+  const result = () => ({
+    name,
+    ..._withScore(total),
+    firstDate,
+    lastDate,
+    white: _withScore(byColor.white),
+    black: _withScore(byColor.black),
+    byYear: [...byYear.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([year, counts]) => ({ year, ..._withScore(counts) })),
+    openings: { white: _topOpenings(openings.white), black: _topOpenings(openings.black) },
+    bestWins,
+    worstLosses,
+    ratingHistory: [...ratings.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([month, { rating }]) => ({ date: month, rating })),
+    performance: _performance()
+  });
+
+  return { add, result };
+};
+
+module.exports = {
+  performanceRating,
+  createPlayerStats
+};
@@ -0,0 +1,170 @@
+//
+// positionIndex.js
+//
+// Position index of the stored games: Every position a game passes through (the start position included)
+// is stored as Zobrist hashes in PgnSchema.positionKeys, a multikey index, so "all games that reached
+// this position" is a single index lookup.
+//
+// Each position is stored in four variants, so the search can ignore the side to move and/or the castling rights:
+//
+// f - full:        pieces, side to move and castling rights
+// s - no side:     pieces and castling rights
+// c - no castling: pieces and side to move
+// b - board:       pieces only
+//
+// The en passant square and the move counters are never part of the key (as in most chess databases).
+// A key is the variant letter followed by the 64-bit hash in hex, e.g. 'f463b96181691fc9c'.
+//
+// For the opening explorer, PgnSchema.positionMoves holds the move the game continued with in each of its
+// positions ({ k: full key, m: UCI move }), so the statistics of a position need no replay.
+//
+
+const { FENstartposition } = require('./chessUtils');
+
+const MASK = (1n << 64n) - 1n;
+
+// The random numbers have to be the same in every run, the stored keys depend on them: splitmix64 with a fixed seed
+let _seed = 0x4a75726973436865n;
+const _random64 = () => {
+  _seed = (_seed + 0x9e3779b97f4a7c15n) & MASK;
+  let z = _seed;
+  z = ((z ^ (z >> 30n)) * 0xbf58476d1ce4e5b9n) & MASK;
+  z = ((z ^ (z >> 27n)) * 0x94d049bb133111ebn) & MASK;
+  return z ^ (z >> 31n);
+};
+
+const pieceChars = 'PNBRQKpnbrqk';
+const pieceKeys = Array.from({ length: 12 }, () => Array.from({ length: 64 }, _random64));
+const sideKey = _random64(); // Black to move
+const castlingKeys = { K: _random64(), Q: _random64(), k: _random64(), q: _random64() };
+
+const _hex = (hash) => hash.toString(16).padStart(16, '0');
+
+// Piece placement of a FEN -> hash
+const _boardHash = (placement) => {
+  let hash = 0n;
+  let square = 0;
+  for (const char of placement) {
+    if (char === '/') {
+      continue;
+    }
+    if (char >= '1' && char <= '8') {
+      square += parseInt(char);
+      continue;
+    }
+    const piece = pieceChars.indexOf(char);
+    if (piece < 0) {
+      throw new Error(`Invalid piece placement ${placement}.`);
+    }
+    hash ^= pieceKeys[piece][square++];
+  }
+  return hash;
+};
+
+const _castlingHash = (castling) =>
+  [...(castling || '')].reduce((hash, right) => castlingKeys[right] ? hash ^ castlingKeys[right] : hash, 0n);
+
+//
+// positionKeys
+//
+// parameters: fen
+//
+// returns: { f, s, c, b }, the keys of the position in all four variants
+//
+const positionKeys = (fen) => {
+  const [placement, side, castling] = String(fen).trim().split(/\s+/);
+  const board = _boardHash(placement);
+  const sideHash = side === 'b' ? sideKey : 0n;
+  const castlingHash = _castlingHash(castling);
+  return {
+    f: 'f' + _hex(board ^ sideHash ^ castlingHash),
+    s: 's' + _hex(board ^ castlingHash),
+    c: 'c' + _hex(board ^ sideHash),
+    b: 'b' + _hex(board)
+  };
+};
+
+//
+// gamePositionKeys
+//
+// parameters: startFen, plies (see src/utils/gameReplay.js)
+//
+// returns: the keys of all positions of the game, without repetitions, as stored in PgnSchema.positionKeys
+//
+const gamePositionKeys = (startFen, plies) => {
+  const keys = new Set();
+  for (const fen of [startFen].concat(plies.map(ply => ply.fen))) {
+    for (const key of Object.values(positionKeys(fen))) {
+      keys.add(key);
+    }
+  }
+  return [...keys];
+};
+
+//
+// gamePositionMoves
+//
+// parameters: startFen, plies (see src/utils/gameReplay.js)
+//
+// returns: [{ k, m }], the move played in each position of the game (full key), as stored in PgnSchema.positionMoves.
+// A position that occurs more than once counts with the move played the first time.
+//
+const gamePositionMoves = (startFen, plies) => {
+  const seen = new Set();
+  const positionMoves = [];
+  let fen = startFen;
+  for (const ply of plies) {
+    const k = positionKeys(fen).f;
+    if (!seen.has(k)) {
+      seen.add(k);
+      positionMoves.push({ k, m: ply.uci });
+    }
+    fen = ply.fen;
+  }
+  return positionMoves;
+};
+
+// Which of the variants a search uses
+const _variant = ({ ignoreSideToMove, ignoreCastling }) =>
+  ignoreSideToMove ? (ignoreCastling ? 'b' : 's') : (ignoreCastling ? 'c' : 'f');
+
+//
+// searchKey
+//
+// parameters: fen, options { ignoreSideToMove, ignoreCastling }
+//
+// returns: the key to look up in PgnSchema.positionKeys
+//
+const searchKey = (fen, options = {}) => positionKeys(fen)[_variant(options)];
+
+//
+// matchingPlies
+//
+// The plies at which a game reached the position, 0 being the start position.
+//
+// parameters: game { setup, FEN, plies }, fen, options { ignoreSideToMove, ignoreCastling }
+//
+// returns: [ply]
+//
+const matchingPlies = (game, fen, options = {}) => {
+  const key = searchKey(fen, options);
+  const variant = _variant(options);
+  const startFen = game.setup === '1' && game.FEN ? game.FEN : FENstartposition;
+
+  const matches = [];
+  const fens = [startFen].concat((game.plies || []).map(ply => ply.fen));
+  fens.forEach((positionFen, ply) => {
+    if (positionKeys(positionFen)[variant] === key) {
+      matches.push(ply);
+    }
+  });
+  return matches;
+};
+
+module.exports = {
+  positionKeys,
+  gamePositionKeys,
+  gamePositionMoves,
+  searchKey,
+  matchingPlies
+};
@@ -0,0 +1,108 @@
+//
+// uciInfo.js
+//
+// Parses the lines an engine prints during a search into typed events for the SSE stream.
+//
+// Example:
+// info depth 22 seldepth 30 multipv 1 score cp 31 wdl 68 894 38 nodes 1528383 nps 1014856 hashfull 488 time 1506 pv e2e4 e7e5 g1f3
+// ->
+//{
+//  "type": "info", "depth": 22, "seldepth": 30, "multipv": 1,
+//  "score": { "cp": 31 }, "wdl": { "win": 68, "draw": 894, "loss": 38 },
+//  "nodes": 1528383, "nps": 1014856, "hashfull": 488, "time": 1506,
+//  "pv": { "uci": ["e2e4", "e7e5", "g1f3"], "san": ["e4", "e5", "Nf3"] }
+//}
+//
+// Scores are given from the point of view of the side to move, as the engine reports them.
+//
+
+const { uciLineToSan } = require('./chessUtils');
+
+const numericFields = ['depth', 'seldepth', 'multipv', 'nodes', 'nps', 'time', 'hashfull', 'tbhits', 'currmovenumber'];
+
+//
+// parseInfoLine
+//
+// parameters: line (raw engine output), fen (the position the engine searches, for the SAN conversion)
+//
+// returns: the info event, or null for info lines that carry no evaluation (currmove, string, ...)
+//
+const parseInfoLine = (line, fen) => {
+  const tokens = line.trim().split(/\s+/);
+  if (tokens[0] !== 'info' || tokens.includes('string')) {
+    return null;
+  }
+
+  const info = { type: 'info' };
+
+  for (let i = 1; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    if (numericFields.includes(token)) {
+      info[token] = parseInt(tokens[++i]);
+    } else if (token === 'score') {
+      // score cp <x> | mate <y> [lowerbound | upperbound]
+      const kind = tokens[++i];
+      info.score = { [kind]: parseInt(tokens[++i]) };
+      if (tokens[i + 1] === 'lowerbound' || tokens[i + 1] === 'upperbound') {
+        info.score.bound = tokens[++i].replace('bound', '');
+      }
+    } else if (token === 'wdl') {
+      info.wdl = {
+        win: parseInt(tokens[i + 1]),
+        draw: parseInt(tokens[i + 2]),
+        loss: parseInt(tokens[i + 3])
+      };
+      i += 3;
+    } else if (token === 'currmove') {
+      info.currmove = tokens[++i];
+    } else if (token === 'pv') {
+      // pv is always the last field of the line
+      const uci = tokens.slice(i + 1);
+      info.pv = { uci, san: uciLineToSan(fen, uci) };
+      break;
+    }
+  }
+
+  if (!info.score && !info.pv) {
+    return null;
+  }
+  if (info.score && info.multipv === undefined) {
+    info.multipv = 1;
+  }
+  return info;
+};
+
+//
+// parseBestMoveLine
+//
+// bestmove e2e4 ponder e7e5 -> { type: 'bestmove', bestmove: { uci: 'e2e4', san: 'e4' }, ponder: { uci: 'e7e5', san: 'e5' } }
+//
+// returns: the bestmove event, or null if the line is something else
+//
+const parseBestMoveLine = (line, fen) => {
+  const tokens = line.trim().split(/\s+/);
+  if (tokens[0] !== 'bestmove') {
+    return null;
+  }
+
+  const uci = [tokens[1]];
+  if (tokens[2] === 'ponder' && tokens[3]) {
+    uci.push(tokens[3]);
+  }
+  const san = uciLineToSan(fen, uci);
+
+  const event = {
+    type: 'bestmove',
+    bestmove: { uci: uci[0], san: san[0] || null }
+  };
+  if (uci[1]) {
+    event.ponder = { uci: uci[1], san: san[1] || null };
+  }
+  return event;
+};
+
+module.exports = {
+  parseInfoLine,
+  parseBestMoveLine
+};